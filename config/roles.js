@@ -0,0 +1,107 @@
+/**
+ * Role & permission configuration
+ *
+ * Permissions are `resource:action` strings. A role may also hold
+ * `resource:*` (every action on a resource), `*` (everything) or
+ * `resource:action:own` (only on documents the user authored/uploaded).
+ * Custom roles are stored in the Role collection and may inherit one of the
+ * built-in roles below.
+ */
+
+const PERMISSIONS = [
+  'page:create',
+  'page:read',
+  'page:update',
+  'page:delete',
+  'page:publish',
+  'page:review',
+  'blueprint:manage',
+  'post:create',
+  'post:read',
+  'post:update',
+  'post:delete',
+  'post:publish',
+  'post:review',
+  'media:upload',
+  'media:update',
+  'media:delete',
+  'media:approve',
+  'comment:moderate',
+  'category:manage',
+  'tag:manage',
+  'seo:read',
+  'seo:update',
+  'redirect:manage',
+  // Custom JavaScript on pages; deliberately not covered by page:*
+  'script:manage',
+  'settings:read',
+  'settings:update',
+  'analytics:read',
+  'user:read',
+  'user:manage',
+  'role:manage',
+];
+
+const BUILT_IN_ROLES = {
+  admin: {
+    label: 'Yönetici',
+    permissions: ['*'],
+  },
+  editor: {
+    label: 'Editör',
+    permissions: [
+      'page:*',
+      'blueprint:manage',
+      'post:*',
+      'media:*',
+      'comment:moderate',
+      'category:manage',
+      'tag:manage',
+      'seo:read',
+      'seo:update',
+      'redirect:manage',
+      'settings:read',
+      'analytics:read',
+      'user:read',
+    ],
+  },
+  author: {
+    label: 'Yazar',
+    permissions: [
+      'page:create',
+      'page:read:own',
+      'page:update:own',
+      'post:create',
+      'post:read:own',
+      'post:update:own',
+      'post:delete:own',
+      'media:upload',
+      'media:update:own',
+      'analytics:read',
+    ],
+  },
+  subscriber: {
+    label: 'Abone',
+    permissions: [],
+  },
+  guest: {
+    label: 'Ziyaretçi',
+    permissions: [],
+  },
+};
+
+// Role names used before the unified role model, mapped to their replacement
+const LEGACY_ROLE_ALIASES = {
+  user: 'subscriber',
+  moderator: 'editor',
+};
+
+// Role assigned to visitors who are not signed in
+const GUEST_ROLE = 'guest';
+
+module.exports = {
+  PERMISSIONS,
+  BUILT_IN_ROLES,
+  LEGACY_ROLE_ALIASES,
+  GUEST_ROLE,
+};
@@ -0,0 +1,39 @@
+const authorization = require('../services/authorization');
+const { HttpError } = require('../utils/errors');
+
+/**
+ * Route guard for admin operations, e.g.
+ *
+ *   router.post('/pages/:id/publish',
+ *     requirePermission('page:publish', (req) => Page.findById(req.params.id)),
+ *     publishPage);
+ *
+ * `loadResource` is optional; when given, the loaded document is checked for
+ * `:own` permissions and exposed as `req.resource`.
+ */
+const requirePermission = (permission, loadResource) => async (req, res, next) => {
+  try {
+    const resource = loadResource ? await loadResource(req) : undefined;
+    if (loadResource && !resource) {
+      throw new HttpError(404, 'Resource not found');
+    }
+
+    await authorization.authorize(req.user, permission, resource);
+    if (resource) req.resource = resource;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const requireAuthentication = (req, res, next) => {
+  if (!req.user) {
+    return next(new HttpError(401, 'Authentication required'));
+  }
+  next();
+};
+
+module.exports = {
+  requirePermission,
+  requireAuthentication,
+};
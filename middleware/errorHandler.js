@@ -0,0 +1,31 @@
+/**
+ * Translate errors thrown by routes and services into JSON responses.
+ * HttpError carries its own status; mongoose validation errors become 400
+ * with field-level messages; anything else is a 500.
+ */
+const errorHandler = (err, req, res, next) => {
+  if (err.name === 'ValidationError' && err.errors) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      fields: Object.fromEntries(Object.entries(err.errors).map(([path, error]) => [path, error.message])),
+    });
+  }
+
+  const statusCode = err.statusCode || 500;
+  if (statusCode >= 500) {
+    console.error(err);
+  }
+
+  if (err.details && err.details.retryAfter) {
+    res.set('Retry-After', String(err.details.retryAfter));
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    error: statusCode >= 500 ? 'Internal server error' : err.message,
+    ...(statusCode < 500 && err.details ? { details: err.details } : {}),
+  });
+};
+
+module.exports = errorHandler;
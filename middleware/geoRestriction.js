@@ -0,0 +1,50 @@
+const geoip = require('../services/geoip');
+const { escapeHtml } = require('../utils/html');
+
+/**
+ * Enforce `Page.visibility.geoRestrictions` for routes that serve a page.
+ *
+ *   router.get('/api/pages/:slug', geoRestriction({ loadPage: (req) => Page.findOne({ slug: req.params.slug }) }), ...);
+ *
+ * Options (defaults come from the GEOIP_* environment variables):
+ *   - loadPage:     (req) => page; defaults to `req.page`
+ *   - statusCode:   status for blocked visitors (451)
+ *   - redirectTo:   redirect blocked visitors instead of answering with statusCode
+ *   - message:      body text for the blocked response
+ *   - allowUnknown: let through visitors whose country cannot be determined
+ * The resolved country is exposed as `req.country`.
+ */
+const geoRestriction = (options = {}) => {
+  const {
+    loadPage = (req) => req.page,
+    statusCode = geoip.config.blockedStatus,
+    redirectTo = geoip.config.blockedRedirect,
+    message = 'Bu içerik bulunduğunuz ülkeden görüntülenemez.',
+    allowUnknown = geoip.config.allowUnknown,
+  } = options;
+
+  return async (req, res, next) => {
+    try {
+      const page = await loadPage(req);
+      if (!page) return next();
+
+      const { allowed, country } = await geoip.checkPageAccess(page, req.ip, { allowUnknown });
+      req.country = country;
+      if (allowed) return next();
+
+      if (redirectTo) {
+        return res.redirect(302, redirectTo);
+      }
+
+      res.status(statusCode);
+      if (req.accepts(['html', 'json']) === 'json') {
+        return res.json({ success: false, error: message });
+      }
+      return res.type('html').send(`<!DOCTYPE html><html lang="tr"><head><meta charset="utf-8"><meta name="robots" content="noindex"></head><body><p>${escapeHtml(message)}</p></body></html>`);
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = geoRestriction;
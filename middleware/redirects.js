@@ -0,0 +1,36 @@
+const redirects = require('../services/redirects');
+
+/**
+ * Answer requests matching a Redirect rule (see services/redirects).
+ * Mount before content routing:
+ *
+ *   app.use(redirectMiddleware());
+ *
+ * Only GET and HEAD requests are redirected. Options:
+ *   - skip: (req) => true for requests that are never redirected;
+ *           defaults to the /api routes
+ * The request's query string is kept unless the rule turns that off; when
+ * the target has a query string of its own, both are combined.
+ */
+const redirectMiddleware = ({ skip = (req) => req.path.startsWith('/api/') } = {}) => async (req, res, next) => {
+  if ((req.method !== 'GET' && req.method !== 'HEAD') || skip(req)) {
+    return next();
+  }
+
+  try {
+    const found = await redirects.match(req.path);
+    if (!found) return next();
+
+    redirects.recordHit(found.rule);
+
+    const queryIndex = req.originalUrl.indexOf('?');
+    const query = found.rule.preserveQueryString !== false && queryIndex !== -1 ? req.originalUrl.slice(queryIndex + 1) : '';
+    const location = query ? `${found.location}${found.location.includes('?') ? '&' : '?'}${query}` : found.location;
+
+    res.redirect(found.rule.statusCode || 301, location);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = redirectMiddleware;
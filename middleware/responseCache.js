@@ -0,0 +1,79 @@
+const cache = require('../services/cache');
+
+/**
+ * Default cache key: the path and the query parameters in a fixed order, so
+ * '?b=2&a=1' and '?a=1&b=2' share an entry. With `names` only those
+ * parameters count and any others are ignored.
+ */
+const urlKey = (names) => (req) => {
+  const url = new URL(req.originalUrl, 'http://localhost');
+  const params = new URLSearchParams([...url.searchParams].filter(([name]) => !names || names.includes(name)));
+  params.sort();
+
+  const query = params.toString();
+  return query ? `${url.pathname}?${query}` : url.pathname;
+};
+
+/**
+ * Cache JSON responses of public GET routes (see services/cache).
+ *
+ *   router.get('/api/pages/:slug',
+ *     responseCache({ tags: (req) => ['page', 'menu'], ttl: 600 }),
+ *     showPage);
+ *
+ * Options:
+ *   - tags: dependency tags (array or `(req) => array`); the collection
+ *           tags 'page', 'post', 'category', ... cover any change to them
+ *   - ttl:  seconds, defaults to CACHE_TTL
+ *   - query: names of the query parameters the response depends on; the
+ *           others are left out of the cache key. Without it every
+ *           parameter is part of the key
+ *   - key:  (req) => cache key; defaults to the path and the query
+ * Requests of signed-in users bypass the cache. Responses carry ETag and
+ * Last-Modified, and conditional requests get a 304 when nothing changed.
+ */
+const responseCache = ({ tags = [], ttl, query, key = urlKey(query) } = {}) => async (req, res, next) => {
+  if (req.method !== 'GET' || req.user) {
+    return next();
+  }
+
+  try {
+    if (!(await cache.isEnabled())) return next();
+
+    const cacheKey = `api:${key(req)}`;
+    const entry = await cache.get(cacheKey);
+
+    if (entry) {
+      res.set({ ...cache.headersFor(entry), 'Cache-Control': 'no-cache', 'X-Cache': 'HIT' });
+      if (cache.isNotModified(req.headers, entry)) {
+        return res.status(304).end();
+      }
+      return res.status(200).json(entry.value);
+    }
+
+    const dependencies = typeof tags === 'function' ? tags(req) : tags;
+    const versions = await cache.tagVersions(dependencies);
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+      if (res.statusCode !== 200) return json(body);
+
+      const stored = cache.set(cacheKey, body, { ttl, tags: dependencies, versions });
+      stored.catch((error) => console.error(`Caching ${cacheKey} failed:`, error.message));
+
+      res.set({
+        ETag: cache.etagFor(body),
+        'Last-Modified': new Date().toUTCString(),
+        'Cache-Control': 'no-cache',
+        'X-Cache': 'MISS',
+      });
+      return json(body);
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = responseCache;
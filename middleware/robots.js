@@ -0,0 +1,21 @@
+const robots = require('../services/robots');
+
+/**
+ * Serve /robots.txt (see services/robots).
+ *
+ *   app.use(robotsMiddleware());
+ */
+const robotsMiddleware = () => async (req, res, next) => {
+  if ((req.method !== 'GET' && req.method !== 'HEAD') || req.path !== '/robots.txt') {
+    return next();
+  }
+
+  try {
+    res.set({ 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'public, max-age=3600' });
+    res.send(await robots.getRobotsTxt());
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = robotsMiddleware;
@@ -0,0 +1,28 @@
+const sitemap = require('../services/sitemap');
+
+/**
+ * Serve the XML sitemaps (see services/sitemap).
+ *
+ *   app.use(sitemapMiddleware());
+ *
+ * Answers GET and HEAD requests for the sitemap index
+ * (Settings.seo.sitemapUrl) and the sitemaps it lists; everything else is
+ * passed on.
+ */
+const sitemapMiddleware = () => async (req, res, next) => {
+  if ((req.method !== 'GET' && req.method !== 'HEAD') || !req.path.endsWith('.xml')) {
+    return next();
+  }
+
+  try {
+    const xml = await sitemap.getSitemapXml(req.path);
+    if (xml === null) return next();
+
+    res.set({ 'Content-Type': 'application/xml; charset=utf-8', 'Cache-Control': 'public, max-age=3600' });
+    res.send(xml);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = sitemapMiddleware;
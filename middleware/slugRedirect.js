@@ -0,0 +1,26 @@
+/**
+ * Answer requests for an outdated slug with a 301 to the current URL.
+ *
+ *   router.get('/blog/:slug', slugRedirect(Post, (post) => `/blog/${post.slug}`), showPost);
+ *
+ * `Model` must use the slug plugin (models/plugins/slug). The query string
+ * is kept on redirects; the resolved document is exposed as `req.resource`
+ * (undefined when nothing matches, so the route can answer 404 itself).
+ */
+const slugRedirect = (Model, urlFor, { param = 'slug' } = {}) => async (req, res, next) => {
+  try {
+    const { document, redirect } = await Model.findBySlugWithHistory(String(req.params[param] || '').toLowerCase());
+
+    if (document && redirect) {
+      const queryIndex = req.originalUrl.indexOf('?');
+      return res.redirect(301, `${urlFor(document)}${queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex)}`);
+    }
+
+    if (document) req.resource = document;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = slugRedirect;
@@ -0,0 +1,77 @@
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+const { connectDB, disconnectDB } = require('../config/database');
+
+/**
+ * Move the comments embedded in `posts.comments` into the Comment collection.
+ *
+ * Embedded comments were shown without moderation, so they are imported as
+ * approved. Their ids are kept, which makes the migration safe to re-run.
+ * Legacy comments without a user had no guest details; they are imported
+ * as "Anonim".
+ *
+ *   node migrations/001-move-post-comments.js
+ */
+
+const up = async () => {
+  // The `comments` path is no longer in the Post schema, so read the raw collection
+  const cursor = Post.collection.find(
+    { 'comments.0': { $exists: true } },
+    { projection: { comments: 1, status: 1 } }
+  );
+
+  let posts = 0;
+  let comments = 0;
+
+  for await (const post of cursor) {
+    const operations = post.comments
+      .filter((comment) => comment && comment._id && comment.text)
+      .map((comment) => ({
+        updateOne: {
+          filter: { _id: comment._id },
+          update: {
+            $setOnInsert: {
+              targetType: 'Post',
+              target: post._id,
+              parent: null,
+              ancestors: [],
+              author: comment.user || null,
+              ...(comment.user ? {} : { guestName: 'Anonim' }),
+              content: comment.text,
+              status: 'approved',
+              spamScore: 0,
+              spamReasons: [],
+              createdAt: comment.createdAt || new Date(),
+              updatedAt: comment.createdAt || new Date(),
+            },
+          },
+          upsert: true,
+        },
+      }));
+
+    if (operations.length) {
+      // Raw writes: the legacy data predates the Comment validation rules
+      await Comment.collection.bulkWrite(operations, { ordered: false });
+    }
+    await Post.collection.updateOne({ _id: post._id }, { $unset: { comments: '' } });
+
+    posts += 1;
+    comments += operations.length;
+  }
+
+  console.log(`Moved ${comments} comment(s) from ${posts} post(s)`);
+  return { posts, comments };
+};
+
+module.exports = { up };
+
+if (require.main === module) {
+  connectDB(process.env.NODE_ENV || 'development')
+    .then(up)
+    .then(disconnectDB)
+    .catch(async (error) => {
+      console.error('Migration failed:', error.message);
+      await disconnectDB();
+      process.exit(1);
+    });
+}
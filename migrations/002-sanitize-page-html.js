@@ -0,0 +1,50 @@
+const Page = require('../models/Page');
+const contentPolicy = require('../services/contentPolicy');
+const { connectDB, disconnectDB } = require('../config/database');
+
+/**
+ * Sanitize the HTML and CSS stored on pages before sanitization on save
+ * was introduced (see services/contentPolicy). Pages are updated directly so
+ * no revisions are created; existing custom scripts are left untouched.
+ *
+ *   node migrations/002-sanitize-page-html.js
+ */
+
+const up = async () => {
+  const cursor = Page.collection.find(
+    {},
+    { projection: { content: 1, templateSettings: 1, sections: 1 } }
+  );
+
+  let scanned = 0;
+  let updated = 0;
+
+  for await (const page of cursor) {
+    scanned += 1;
+    const changed = contentPolicy.sanitizePage(page);
+    if (changed.length === 0) continue;
+
+    const $set = changed.reduce((fields, path) => {
+      fields[path] = path.split('.').reduce((value, key) => value[key], page);
+      return fields;
+    }, {});
+    await Page.collection.updateOne({ _id: page._id }, { $set });
+    updated += 1;
+  }
+
+  console.log(`Sanitized ${updated} of ${scanned} page(s)`);
+  return { scanned, updated };
+};
+
+module.exports = { up };
+
+if (require.main === module) {
+  connectDB(process.env.NODE_ENV || 'development')
+    .then(up)
+    .then(disconnectDB)
+    .catch(async (error) => {
+      console.error('Migration failed:', error.message);
+      await disconnectDB();
+      process.exit(1);
+    });
+}
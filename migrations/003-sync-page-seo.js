@@ -0,0 +1,62 @@
+const Page = require('../models/Page');
+const seoRecords = require('../services/seoRecords');
+const { connectDB, disconnectDB } = require('../config/database');
+
+/**
+ * Reconcile Page.seo with the SEO records of pages from before the two
+ * were kept in sync (see services/seoRecords): every page ends up with one
+ * linked record carrying its values, and empty page fields are filled from
+ * the record. Records whose page no longer exists are reported, not deleted.
+ * Pages whose slug is already used by another record are skipped and
+ * listed; rename one of the two and run the migration again.
+ *
+ *   node migrations/003-sync-page-seo.js
+ */
+
+const up = async () => {
+  const cursor = Page.find().cursor();
+
+  let scanned = 0;
+  let created = 0;
+  let filled = 0;
+  let unlinked = 0;
+  const conflicts = [];
+
+  for await (const page of cursor) {
+    scanned += 1;
+    let result;
+    try {
+      result = await seoRecords.reconcilePage(page);
+    } catch (error) {
+      if (error.statusCode !== 409) throw error;
+      conflicts.push(page.slug);
+      continue;
+    }
+    if (result.created) created += 1;
+    if (result.filled.length) filled += 1;
+    unlinked += result.unlinked.length;
+  }
+
+  const { orphans, drifted } = await seoRecords.findInconsistencies();
+
+  console.log(`Reconciled ${scanned} page(s): ${created} record(s) created, ${filled} page(s) filled from their record`);
+  if (unlinked) console.log(`${unlinked} duplicate record(s) unlinked from their page`);
+  if (orphans.length) console.log(`${orphans.length} record(s) point to a missing page: ${orphans.map((record) => record.pageSlug).join(', ')}`);
+  if (drifted.length) console.log(`${drifted.length} record(s) still differ from their page`);
+  if (conflicts.length) console.log(`${conflicts.length} page(s) skipped, their slug is used by another record: ${conflicts.join(', ')}`);
+
+  return { scanned, created, filled, unlinked, orphans: orphans.length, conflicts: conflicts.length };
+};
+
+module.exports = { up };
+
+if (require.main === module) {
+  connectDB(process.env.NODE_ENV || 'development')
+    .then(up)
+    .then(disconnectDB)
+    .catch(async (error) => {
+      console.error('Migration failed:', error.message);
+      await disconnectDB();
+      process.exit(1);
+    });
+}
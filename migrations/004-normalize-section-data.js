@@ -0,0 +1,58 @@
+const Page = require('../models/Page');
+const sectionRegistry = require('../services/sections');
+const { connectDB, disconnectDB } = require('../config/database');
+
+/**
+ * Bring the section data of pages saved before the section registry (see
+ * services/sections) up to date: data is migrated to the current version of
+ * its type and missing fields get their defaults. Pages are updated directly
+ * so no revisions are created.
+ *
+ * Sections that still do not validate (e.g. a FAQ without items) are listed;
+ * they render their title and content only until an editor fixes them.
+ *
+ *   node migrations/004-normalize-section-data.js
+ */
+
+const up = async () => {
+  const cursor = Page.collection.find({ 'sections.0': { $exists: true } }, { projection: { slug: 1, sections: 1 } });
+
+  let scanned = 0;
+  let updated = 0;
+  const invalid = [];
+
+  for await (const page of cursor) {
+    scanned += 1;
+    const $set = {};
+
+    page.sections.forEach((section, index) => {
+      const { data, dataVersion, errors } = sectionRegistry.prepareSection(section);
+
+      if (errors.length) invalid.push(`${page.slug}#${section.id} (${section.type})`);
+      if (JSON.stringify(section.data) !== JSON.stringify(data)) $set[`sections.${index}.data`] = data;
+      if (dataVersion !== undefined && section.dataVersion !== dataVersion) $set[`sections.${index}.dataVersion`] = dataVersion;
+    });
+
+    if (Object.keys($set).length === 0) continue;
+    await Page.collection.updateOne({ _id: page._id }, { $set });
+    updated += 1;
+  }
+
+  console.log(`Normalized section data of ${updated} of ${scanned} page(s)`);
+  if (invalid.length) console.log(`${invalid.length} section(s) need editing: ${invalid.join(', ')}`);
+
+  return { scanned, updated, invalid: invalid.length };
+};
+
+module.exports = { up };
+
+if (require.main === module) {
+  connectDB(process.env.NODE_ENV || 'development')
+    .then(up)
+    .then(disconnectDB)
+    .catch(async (error) => {
+      console.error('Migration failed:', error.message);
+      await disconnectDB();
+      process.exit(1);
+    });
+}
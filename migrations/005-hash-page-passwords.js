@@ -0,0 +1,64 @@
+const bcrypt = require('bcryptjs');
+const Page = require('../models/Page');
+const { connectDB, disconnectDB } = require('../config/database');
+
+/**
+ * Hash page passwords stored in plain text before hashing on save was
+ * introduced (see models/Page). Values that already are bcrypt hashes are
+ * left alone, so the migration can be run more than once. Pages are updated
+ * directly so no revisions are created.
+ *
+ * Protected pages without a password are listed: nobody can unlock them
+ * until an editor sets one.
+ *
+ *   node migrations/005-hash-page-passwords.js
+ */
+
+const BCRYPT_HASH = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+const up = async () => {
+  const cursor = Page.collection.find(
+    { $or: [{ 'visibility.passwordProtected': true }, { 'visibility.password': { $nin: [null, ''] } }] },
+    { projection: { slug: 1, visibility: 1 } }
+  );
+
+  let scanned = 0;
+  let hashed = 0;
+  const missing = [];
+
+  for await (const page of cursor) {
+    scanned += 1;
+    const { password, passwordProtected } = page.visibility || {};
+
+    if (!password) {
+      if (passwordProtected) missing.push(page.slug);
+      continue;
+    }
+    if (BCRYPT_HASH.test(password)) continue;
+
+    const salt = await bcrypt.genSalt(10);
+    await Page.collection.updateOne(
+      { _id: page._id },
+      { $set: { 'visibility.password': await bcrypt.hash(String(password), salt), 'visibility.passwordChangedAt': new Date() } }
+    );
+    hashed += 1;
+  }
+
+  console.log(`Hashed the password of ${hashed} of ${scanned} page(s)`);
+  if (missing.length) console.log(`${missing.length} protected page(s) have no password: ${missing.join(', ')}`);
+
+  return { scanned, hashed, missing: missing.length };
+};
+
+module.exports = { up };
+
+if (require.main === module) {
+  connectDB(process.env.NODE_ENV || 'development')
+    .then(up)
+    .then(disconnectDB)
+    .catch(async (error) => {
+      console.error('Migration failed:', error.message);
+      await disconnectDB();
+      process.exit(1);
+    });
+}
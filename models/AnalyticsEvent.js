@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.ANALYTICS_RAW_RETENTION_DAYS, 10) || 30;
+
+/**
+ * AnalyticsEvent Schema - raw page analytics events
+ *
+ * `visitor` is a daily-rotating hash (see utils/visitorId), never a cookie or
+ * IP address. Events of one page view share a client-generated `viewId`.
+ * Raw events expire after ANALYTICS_RAW_RETENTION_DAYS; the daily rollups in
+ * PageAnalyticsDaily are kept.
+ */
+const AnalyticsEventSchema = new mongoose.Schema(
+  {
+    page: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Page',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['pageview', 'engagement', 'conversion'],
+      required: true,
+    },
+    viewId: {
+      type: String,
+      required: true,
+      maxlength: 64,
+    },
+    visitor: {
+      type: String,
+      required: true,
+    },
+    // Engaged seconds so far in this view (engagement events)
+    duration: {
+      type: Number,
+      min: 0,
+    },
+    // Conversion goal, e.g. 'appointment-form'
+    goal: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    referrer: {
+      type: String,
+      maxlength: 500,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    collection: 'analytics_events',
+  }
+);
+
+AnalyticsEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+AnalyticsEventSchema.index({ page: 1, createdAt: 1 });
+
+module.exports = mongoose.model('AnalyticsEvent', AnalyticsEventSchema);
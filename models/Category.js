@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const contentEvents = require('../services/contentEvents');
+const slugPlugin = require('./plugins/slug');
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -37,10 +39,24 @@ const categorySchema = new mongoose.Schema({
   }
 });
 
+categorySchema.plugin(slugPlugin, { source: 'name', fallback: 'kategori' });
+
 // Update the updatedAt field before saving
 categorySchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
 });
 
+categorySchema.post('save', function(doc) {
+  contentEvents.emit('saved', { model: 'Category', document: doc });
+});
+
+categorySchema.post('deleteOne', { document: true, query: false }, function(doc) {
+  contentEvents.emit('removed', { model: 'Category', document: doc });
+});
+
+categorySchema.post('findOneAndDelete', function(doc) {
+  if (doc) contentEvents.emit('removed', { model: 'Category', document: doc });
+});
+
 module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+const COMMENT_STATUSES = ['pending', 'approved', 'spam', 'rejected'];
+
+/**
+ * Comment Schema - threaded comments on pages and posts
+ * Written by signed-in users (`author`) or guests (`guestName`/`guestEmail`).
+ * Only `approved` comments are ever shown publicly; see services/comments.
+ */
+const CommentSchema = new mongoose.Schema(
+  {
+    targetType: {
+      type: String,
+      enum: ['Page', 'Post'],
+      required: true,
+    },
+    target: {
+      type: mongoose.Schema.ObjectId,
+      refPath: 'targetType',
+      required: true,
+    },
+
+    // Threading: direct parent and the whole chain up to the top-level comment
+    parent: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Comment',
+      default: null,
+    },
+    ancestors: [
+      {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Comment',
+      },
+    ],
+
+    author: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    guestName: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Name cannot be more than 100 characters'],
+      required: [
+        function () {
+          return !this.author;
+        },
+        'Please provide your name',
+      ],
+    },
+    guestEmail: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address'],
+      required: [
+        function () {
+          return !this.author;
+        },
+        'Please provide your email address',
+      ],
+    },
+
+    content: {
+      type: String,
+      required: [true, 'Please provide a comment'],
+      trim: true,
+      maxlength: [5000, 'Comment cannot be more than 5000 characters'],
+    },
+
+    status: {
+      type: String,
+      enum: COMMENT_STATUSES,
+      default: 'pending',
+    },
+    spamScore: {
+      type: Number,
+      default: 0,
+    },
+    spamReasons: [String],
+
+    moderatedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    moderatedAt: Date,
+    moderationNote: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+CommentSchema.index({ targetType: 1, target: 1, status: 1, createdAt: 1 });
+CommentSchema.index({ status: 1, createdAt: -1 });
+CommentSchema.index({ ancestors: 1 });
+
+CommentSchema.virtual('depth').get(function () {
+  return this.ancestors.length;
+});
+
+// Fields safe to show to visitors (no e-mail addresses or moderation data)
+CommentSchema.methods.toPublicJSON = function () {
+  const author = this.author && this.author.username ? this.author.username : null;
+  return {
+    id: this._id,
+    parent: this.parent,
+    author: author || this.guestName,
+    isGuest: !this.author,
+    content: this.content,
+    createdAt: this.createdAt,
+  };
+};
+
+CommentSchema.statics.COMMENT_STATUSES = COMMENT_STATUSES;
+
+module.exports = mongoose.model('Comment', CommentSchema);
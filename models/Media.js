@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { foldedPattern } = require('../utils/turkish');
+const contentEvents = require('../services/contentEvents');
 
 // Media Schema for managing images and other media files
 const MediaSchema = new mongoose.Schema(
@@ -292,6 +294,18 @@ MediaSchema.pre('save', function (next) {
   next();
 });
 
+MediaSchema.post('save', function (doc) {
+  contentEvents.emit('saved', { model: 'Media', document: doc });
+});
+
+MediaSchema.post('deleteOne', { document: true, query: false }, function (doc) {
+  contentEvents.emit('removed', { model: 'Media', document: doc });
+});
+
+MediaSchema.post('findOneAndDelete', function (doc) {
+  if (doc) contentEvents.emit('removed', { model: 'Media', document: doc });
+});
+
 // Method to increment view count
 MediaSchema.methods.incrementViews = function () {
   this.analytics.views += 1;
@@ -345,13 +359,14 @@ MediaSchema.statics.getPublicMedia = function (filter = {}) {
   }).sort({ createdAt: -1 });
 };
 
-// Static method to search media
+// Static method to search media (Turkish-insensitive; the query is escaped)
 MediaSchema.statics.searchMedia = function (query, filter = {}) {
+  const pattern = new RegExp(foldedPattern(query), 'i');
   return this.find({
     $or: [
-      { title: { $regex: query, $options: 'i' } },
-      { description: { $regex: query, $options: 'i' } },
-      { tags: { $in: [new RegExp(query, 'i')] } }
+      { title: pattern },
+      { description: pattern },
+      { tags: pattern }
     ],
     isActive: true,
     ...filter
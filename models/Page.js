@@ -1,4 +1,14 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const contentEvents = require('../services/contentEvents');
+const PageRevision = require('./PageRevision');
+const SlugHistory = require('./SlugHistory');
+const slugPlugin = require('./plugins/slug');
+const Role = require('./Role');
+const { isBot } = require('../utils/userAgent');
+const { WorkflowSchema, WORKFLOW_STATUSES, requireReview } = require('./schemas/workflow');
+const sectionRegistry = require('../services/sections');
+const contentPolicy = require('../services/contentPolicy');
 
 /**
  * Page Schema - Comprehensive page management for CMS
@@ -51,10 +61,10 @@ const PageSchema = new mongoose.Schema(
       required: [true, 'Please provide an author'],
     },
 
-    // Page Status
+    // Page Status (editorial workflow state, see services/workflow)
     status: {
       type: String,
-      enum: ['draft', 'published', 'scheduled', 'archived'],
+      enum: WORKFLOW_STATUSES,
       default: 'draft',
       index: true,
     },
@@ -76,6 +86,25 @@ const PageSchema = new mongoose.Schema(
       },
     },
 
+    // Scheduled take-down (e.g. campaign landing pages)
+    unpublishAt: {
+      type: Date,
+      default: null,
+      validate: {
+        validator: function (v) {
+          if (!v || !this.scheduledFor) return true;
+          return v > this.scheduledFor;
+        },
+        message: 'Unpublish date must be after the scheduled publish date',
+      },
+    },
+
+    unpublishAction: {
+      type: String,
+      enum: ['archive', 'draft'],
+      default: 'archive',
+    },
+
     // Page Type
     pageType: {
       type: String,
@@ -120,9 +149,16 @@ const PageSchema = new mongoose.Schema(
           ],
           required: true,
         },
+        // Registered definition name for `custom` sections
+        customType: String,
         title: String,
         content: String,
+        // Validated against the section type's definition in services/sections
         data: mongoose.Schema.Types.Mixed,
+        dataVersion: {
+          type: Number,
+          default: 1,
+        },
         order: {
           type: Number,
           default: 0,
@@ -221,15 +257,30 @@ const PageSchema = new mongoose.Schema(
         type: Boolean,
         default: false,
       },
+      // bcrypt hash, set through visibility.password and hashed on save
       password: {
         type: String,
         default: null,
+        select: false,
+      },
+      // Unlock tokens issued before this date are no longer accepted
+      passwordChangedAt: {
+        type: Date,
+        default: null,
       },
+      // Roles allowed to view a non-public page ('guest' = anyone)
       roles: {
         type: [String],
-        enum: ['admin', 'editor', 'author', 'subscriber', 'guest'],
         default: ['admin', 'editor'],
+        validate: {
+          validator: async function (v) {
+            const results = await Promise.all(v.map((name) => Role.roleExists(name)));
+            return results.every(Boolean);
+          },
+          message: 'Visibility contains an unknown role',
+        },
       },
+      // When not empty, only these users (and page editors) can view the page
       restrictedUsers: {
         type: [mongoose.Schema.ObjectId],
         ref: 'User',
@@ -240,6 +291,7 @@ const PageSchema = new mongoose.Schema(
           type: Boolean,
           default: false,
         },
+        // ISO 3166-1 alpha-2 codes, e.g. 'TR'
         allowedCountries: [String],
         blockedCountries: [String],
       },
@@ -275,6 +327,7 @@ const PageSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      // Metrics above are computed by services/analytics from AnalyticsEvent
       trackingCode: String,
       gaPageId: String,
       lastAnalyticsUpdate: Date,
@@ -282,6 +335,7 @@ const PageSchema = new mongoose.Schema(
 
     // Advanced Features
     advancedFeatures: {
+      // Comments are stored in the Comment collection (services/comments)
       enableComments: {
         type: Boolean,
         default: false,
@@ -304,15 +358,26 @@ const PageSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      // Sum of all rating values; kept with ratingCount by services/ratings
+      ratingSum: {
+        type: Number,
+        default: 0,
+      },
       enableSocialSharing: {
         type: Boolean,
         default: true,
       },
+      // Pinned by editors; shown before the automatic suggestions
       relatedPages: {
         type: [mongoose.Schema.ObjectId],
         ref: 'Page',
         default: [],
       },
+      // Fill related content with suggestions from services/relatedContent
+      autoRelatedContent: {
+        type: Boolean,
+        default: true,
+      },
       tags: {
         type: [String],
         default: [],
@@ -327,22 +392,7 @@ const PageSchema = new mongoose.Schema(
         type: Boolean,
         default: true,
       },
-      versionHistory: [
-        {
-          versionNumber: Number,
-          title: String,
-          content: String,
-          author: {
-            type: mongoose.Schema.ObjectId,
-            ref: 'User',
-          },
-          createdAt: {
-            type: Date,
-            default: Date.now,
-          },
-          changes: String,
-        },
-      ],
+      // Revisions are stored in the PageRevision collection
       currentVersion: {
         type: Number,
         default: 1,
@@ -397,21 +447,8 @@ const PageSchema = new mongoose.Schema(
 
     // Workflow & Publishing
     workflow: {
-      submittedAt: Date,
-      submittedBy: {
-        type: mongoose.Schema.ObjectId,
-        ref: 'User',
-      },
-      approvedAt: Date,
-      approvedBy: {
-        type: mongoose.Schema.ObjectId,
-        ref: 'User',
-      },
-      reviewNotes: String,
-      requiresApproval: {
-        type: Boolean,
-        default: true,
-      },
+      type: WorkflowSchema,
+      default: () => ({}),
     },
 
     // Metadata
@@ -447,6 +484,19 @@ const PageSchema = new mongoose.Schema(
       default: [],
     },
 
+    // Materialized tree data, maintained by the tree middleware below
+    ancestors: {
+      type: [mongoose.Schema.ObjectId],
+      ref: 'Page',
+      default: [],
+    },
+
+    path: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+
     // Timestamps
     createdAt: {
       type: Date,
@@ -467,7 +517,14 @@ const PageSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
-    toJSON: { virtuals: true },
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        // Never expose the page password hash
+        if (ret.visibility) delete ret.visibility.password;
+        return ret;
+      },
+    },
     toObject: { virtuals: true },
   }
 );
@@ -479,11 +536,19 @@ PageSchema.index({ author: 1, createdAt: -1 });
 PageSchema.index({ pageType: 1 });
 PageSchema.index({ 'tags': 1 });
 PageSchema.index({ 'seo.metaKeywords': 1 });
-PageSchema.index({ parentPage: 1 });
+PageSchema.index({ parentPage: 1, 'metadata.displayOrder': 1 });
+PageSchema.index({ path: 1 });
+PageSchema.index({ ancestors: 1 });
+PageSchema.index({ status: 1, scheduledFor: 1 });
+PageSchema.index({ status: 1, unpublishAt: 1 });
+
+// Slugs are generated from the title; old URLs are recorded by path below
+PageSchema.plugin(slugPlugin, { source: 'title', fallback: 'sayfa', history: false });
 
 // Virtual for page URL
 PageSchema.virtual('url').get(function () {
-  return `/pages/${this.slug}`;
+  if (this.metadata && this.metadata.isHomePage) return '/';
+  return `/${this.path || this.slug}`;
 });
 
 // Virtual for read time (estimates based on content)
@@ -498,11 +563,74 @@ PageSchema.virtual('isPublished').get(function () {
   return this.status === 'published' && this.publishedAt <= new Date();
 });
 
+// Status changes that need review go through services/workflow
+PageSchema.pre('validate', requireReview);
+
+// Migrate, default and validate section data against the section registry
+PageSchema.pre('validate', function (next) {
+  if (!this.isNew && !this.isModified('sections')) {
+    return next();
+  }
+
+  this.sections.forEach((section, index) => {
+    const { data, dataVersion, errors } = sectionRegistry.prepareSection(section);
+
+    if (errors.length) {
+      errors.forEach(({ path, message, value }) => {
+        const field = path ? `sections.${index}.data.${path}` : `sections.${index}.data`;
+        this.invalidate(field, `Section "${section.id}" (${section.type}): ${path || 'data'} ${message}`, value);
+      });
+      return;
+    }
+
+    // Only write back real changes so unchanged sections do not create revisions
+    if (JSON.stringify(section.data) !== JSON.stringify(data)) section.data = data;
+    if (section.dataVersion !== dataVersion) section.dataVersion = dataVersion;
+  });
+
+  next();
+});
+
+// Sanitize editor HTML/CSS and check who may add custom scripts (services/contentPolicy).
+// Changing the script requires the caller to set `$locals.actor` to the acting
+// user; stored user ids (lastModifiedBy, author) are never trusted for it.
+PageSchema.pre('validate', async function () {
+  if (this.isNew || ['content', 'templateSettings', 'sections'].some((path) => this.isModified(path))) {
+    contentPolicy.sanitizePage(this);
+  }
+
+  if (this.isModified('templateSettings.customJS') && this.templateSettings.customJS) {
+    const { actor } = this.$locals;
+    if (!actor || !(await contentPolicy.canUseCustomScript(actor))) {
+      this.invalidate('templateSettings.customJS', 'You are not allowed to add custom scripts to pages');
+    }
+  }
+});
+
+// Hash the page password before saving, the same way User passwords are hashed
+PageSchema.pre('save', async function () {
+  if (this.isModified('visibility.password') && this.visibility.password) {
+    const salt = await bcrypt.genSalt(10);
+    this.visibility.password = await bcrypt.hash(this.visibility.password, salt);
+    this.visibility.passwordChangedAt = new Date();
+  }
+
+  // Pages loaded without '+visibility.password' do not have the hash in memory
+  const passwordLoaded = this.isNew || this.isSelected('visibility.password');
+  if (this.visibility.passwordProtected && passwordLoaded && !this.visibility.password) {
+    throw new Error('Password-protected pages require a password');
+  }
+});
+
 // Pre-save middleware
 PageSchema.pre('save', function (next) {
   // Update the updatedAt timestamp
   this.updatedAt = new Date();
 
+  if (this.status === 'scheduled' && !this.scheduledFor) {
+    return next(new Error('Scheduled pages require a scheduledFor date'));
+  }
+
   // Update publishedAt based on status
   if (this.status === 'published' && !this.publishedAt) {
     this.publishedAt = new Date();
@@ -521,55 +649,298 @@ PageSchema.pre('save', function (next) {
   next();
 });
 
-// Post-save middleware for version history
-PageSchema.post('save', function (doc, next) {
-  if (this.advancedFeatures.enableVersioning && this.isModified('content')) {
-    if (!doc.advancedFeatures.versionHistory) {
-      doc.advancedFeatures.versionHistory = [];
+// Keep ancestors/path in sync with parentPage and reject cycles
+PageSchema.pre('save', async function () {
+  if (!this.isNew && !this.isModified('parentPage') && !this.isModified('slug') && this.path) {
+    return;
+  }
+
+  const Page = this.constructor;
+  let ancestors = [];
+  let path = this.slug;
+
+  if (this.parentPage) {
+    if (this.parentPage.equals(this._id)) {
+      throw new Error('A page cannot be its own parent');
     }
 
-    doc.advancedFeatures.versionHistory.push({
-      versionNumber: doc.advancedFeatures.currentVersion,
-      title: doc.title,
-      content: doc.content,
-      author: doc.lastModifiedBy || doc.author,
-      createdAt: new Date(),
-    });
+    const parent = await Page.findById(this.parentPage).select('slug path ancestors');
+    if (!parent) {
+      throw new Error('Parent page not found');
+    }
+    if (parent.ancestors.some((id) => id.equals(this._id))) {
+      throw new Error('Cannot move a page below one of its own descendants');
+    }
+
+    ancestors = [...parent.ancestors, parent._id];
+    path = `${parent.path || parent.slug}/${this.slug}`;
+  }
+
+  const previous = this.isNew
+    ? null
+    : await Page.findById(this._id).select('parentPage path').lean();
+
+  this.ancestors = ancestors;
+  this.path = path;
+  this.$locals.treeChange = {
+    previousParent: previous ? previous.parentPage : null,
+    previousPath: previous ? previous.path : null,
+  };
+});
+
+// Update the parent's childPages, move descendants along with this page and
+// keep their previous paths in SlugHistory so old URLs redirect
+PageSchema.post('save', async function (doc) {
+  const change = doc.$locals.treeChange;
+  if (!change) return;
+  doc.$locals.treeChange = undefined;
+
+  const Page = doc.constructor;
+  const { previousParent, previousPath } = change;
+  const parentChanged = String(previousParent || '') !== String(doc.parentPage || '');
 
-    doc.advancedFeatures.currentVersion += 1;
+  if (parentChanged && previousParent) {
+    await Page.updateOne({ _id: previousParent }, { $pull: { childPages: doc._id } });
   }
+  if (doc.parentPage) {
+    await Page.updateOne({ _id: doc.parentPage }, { $addToSet: { childPages: doc._id } });
+  }
+
+  if (!previousPath) {
+    await SlugHistory.release('Page', doc.path);
+    return;
+  }
+  if (previousPath === doc.path) return;
+
+  const descendants = await Page.find({ ancestors: doc._id }).select('path ancestors').lean();
+  const moves = [
+    { _id: doc._id, from: previousPath, to: doc.path },
+    ...descendants.map((descendant) => ({
+      _id: descendant._id,
+      from: descendant.path,
+      to: `${doc.path}${(descendant.path || '').slice(previousPath.length)}`,
+    })),
+  ];
+
+  if (descendants.length) {
+    await Page.bulkWrite(
+      descendants.map((descendant, index) => {
+        const position = descendant.ancestors.findIndex((id) => id.equals(doc._id));
+        const ancestors = [...doc.ancestors, doc._id, ...descendant.ancestors.slice(position + 1)];
+
+        return {
+          updateOne: {
+            filter: { _id: descendant._id },
+            update: { $set: { ancestors, path: moves[index + 1].to } },
+          },
+        };
+      })
+    );
+  }
+
+  // Listeners of the 'saved' event rewrite links to the old paths (services/seoRecords)
+  doc.$locals.movedPaths = moves.filter((move) => move.from && move.from !== move.to);
+
+  await SlugHistory.release('Page', moves.map((move) => move.to));
+  await SlugHistory.bulkWrite(
+    moves
+      .filter((move) => move.from && move.from !== move.to)
+      .map((move) => ({
+        updateOne: {
+          filter: { model: 'Page', slug: move.from },
+          update: { $set: { document: move._id } },
+          upsert: true,
+        },
+      }))
+  );
+});
+
+// Decide whether this save produces a new revision
+PageSchema.pre('save', function (next) {
+  if (!this.advancedFeatures.enableVersioning) {
+    return next();
+  }
+
+  const changed = PageRevision.SNAPSHOT_FIELDS.some((path) => this.isModified(path));
+
+  if (this.isNew) {
+    this.$locals.createRevision = true;
+  } else if (changed) {
+    this.advancedFeatures.currentVersion += 1;
+    this.$locals.createRevision = true;
+  }
+
   next();
 });
 
+// Persist the revision snapshot once the page itself has been saved
+PageSchema.post('save', async function (doc) {
+  if (!doc.$locals.createRevision) return;
+
+  const { changeNote = '', restoredFrom = null } = doc.$locals;
+  doc.$locals.createRevision = false;
+  doc.$locals.changeNote = undefined;
+  doc.$locals.restoredFrom = undefined;
+
+  await PageRevision.create({
+    page: doc._id,
+    revisionNumber: doc.advancedFeatures.currentVersion,
+    snapshot: PageRevision.snapshotOf(doc),
+    author: doc.lastModifiedBy || doc.author,
+    changeNote,
+    restoredFrom,
+  });
+});
+
+PageSchema.post('save', function (doc) {
+  contentEvents.emit('saved', { model: 'Page', document: doc });
+});
+
+PageSchema.post('deleteOne', { document: true, query: false }, function (doc) {
+  contentEvents.emit('removed', { model: 'Page', document: doc });
+});
+
+PageSchema.post('findOneAndDelete', function (doc) {
+  if (doc) contentEvents.emit('removed', { model: 'Page', document: doc });
+});
+
 // Instance methods
-PageSchema.methods.publish = function () {
+PageSchema.methods.publish = async function () {
+  if (this.workflow.requiresApproval && this.status !== 'approved') {
+    throw new Error('Page must be approved before it can be published');
+  }
+
   this.status = 'published';
   this.publishedAt = new Date();
-  return this.save();
+  this.scheduledFor = null;
+  this.$locals.workflowAction = 'publish';
+  await this.save();
+  contentEvents.emit('published', { model: 'Page', document: this });
+  return this;
 };
 
-PageSchema.methods.archive = function () {
+PageSchema.methods.archive = async function () {
   this.status = 'archived';
+  this.unpublishAt = null;
+  await this.save();
+  contentEvents.emit('unpublished', { model: 'Page', document: this });
+  return this;
+};
+
+// Schedule the page to be published by the publish scheduler
+PageSchema.methods.schedule = function (date) {
+  if (this.workflow.requiresApproval && this.status !== 'approved') {
+    throw new Error('Page must be approved before it can be scheduled');
+  }
+
+  this.status = 'scheduled';
+  this.scheduledFor = date;
+  this.$locals.workflowAction = 'schedule';
   return this.save();
 };
 
-PageSchema.methods.revert = function (versionNumber) {
-  const version = this.advancedFeatures.versionHistory.find(
-    (v) => v.versionNumber === versionNumber
-  );
+// Schedule the page to be archived (or returned to draft) at a given date
+PageSchema.methods.scheduleUnpublish = function (date, action = 'archive') {
+  this.unpublishAt = date;
+  this.unpublishAction = action;
+  return this.save();
+};
 
-  if (!version) {
-    throw new Error('Version not found');
+// Save the page, recording who changed it and why in the new revision.
+// Pass the user document (not only its id) when the save may change customJS.
+PageSchema.methods.saveWithNote = function (changeNote, user) {
+  this.$locals.changeNote = changeNote;
+  if (user && user._id) {
+    this.$locals.actor = user;
+    this.lastModifiedBy = user._id;
+  } else if (user) {
+    this.lastModifiedBy = user;
   }
-
-  this.content = version.content;
-  this.title = version.title;
   return this.save();
 };
 
+// Restore every versioned field from a stored revision; the restore itself
+// becomes a new revision so it can be undone
+PageSchema.methods.revert = async function (versionNumber, user) {
+  const revision = await PageRevision.findRevision(this._id, versionNumber);
+
+  revision.applyTo(this);
+  this.$locals.restoredFrom = revision.revisionNumber;
+  return this.saveWithNote(`Restored revision ${revision.revisionNumber}`, user);
+};
+
+PageSchema.methods.getRevisions = function () {
+  return PageRevision.listForPage(this._id);
+};
+
+PageSchema.methods.compareRevisions = function (fromVersion, toVersion) {
+  return PageRevision.compare(this._id, fromVersion, toVersion);
+};
+
+// Compare a visitor-supplied password with the hash (load it with '+visibility.password')
+PageSchema.methods.comparePagePassword = async function (enteredPassword) {
+  if (!this.visibility.password || !enteredPassword) return false;
+  return await bcrypt.compare(String(enteredPassword), this.visibility.password);
+};
+
+/**
+ * Page data safe to return from public content APIs. Password-protected
+ * pages only expose their title and SEO data until unlocked.
+ */
+PageSchema.methods.toPublicJSON = function ({ unlocked = false } = {}) {
+  const page = this.toJSON();
+  delete page.workflow;
+  delete page.lastModifiedBy;
+
+  if (this.visibility.passwordProtected && !unlocked) {
+    ['content', 'excerpt', 'sections', 'media', 'templateSettings', 'advancedFeatures'].forEach((field) => {
+      delete page[field];
+    });
+    page.locked = true;
+  }
+
+  return page;
+};
+
+/**
+ * Whether visitors from a country (ISO alpha-2 code, null when unknown) may
+ * view the page. Blocked countries win over allowed ones; when an allow list
+ * is set, unknown locations are only let through with `allowUnknown`.
+ */
+PageSchema.methods.isAvailableInCountry = function (countryCode, { allowUnknown = false } = {}) {
+  const { enabled, allowedCountries = [], blockedCountries = [] } = this.visibility.geoRestrictions || {};
+  if (!enabled) return true;
+
+  const normalize = (codes) => codes.map((code) => code.toUpperCase());
+  if (!countryCode) {
+    return allowUnknown || allowedCountries.length === 0;
+  }
+
+  const country = countryCode.toUpperCase();
+  if (normalize(blockedCountries).includes(country)) return false;
+  return allowedCountries.length === 0 || normalize(allowedCountries).includes(country);
+};
+
+// Breadcrumb trail from the root of the tree down to this page
+PageSchema.methods.getBreadcrumbs = async function () {
+  const ancestors = this.ancestors.length
+    ? await this.constructor.find({ _id: { $in: this.ancestors } }).select('title slug path metadata')
+    : [];
+  const byId = new Map(ancestors.map((page) => [String(page._id), page]));
+
+  return [...this.ancestors.map((id) => byId.get(String(id))).filter(Boolean), this].map((page) => ({
+    id: page._id,
+    name: page.title,
+    url: page.url,
+  }));
+};
+
+// Only the external tracking ids are editable; the metrics are computed from
+// analytics events by services/analytics
 PageSchema.methods.updateAnalytics = function (data) {
-  Object.assign(this.analytics, data);
-  this.analytics.lastAnalyticsUpdate = new Date();
+  ['trackingCode', 'gaPageId'].forEach((field) => {
+    if (data[field] !== undefined) this.analytics[field] = data[field];
+  });
   return this.save();
 };
 
@@ -601,11 +972,27 @@ PageSchema.statics.findByTag = function (tag) {
   return this.find({ 'advancedFeatures.tags': tag });
 };
 
+// Find a page by its nested path, e.g. '/hizmetler/akupunktur/fiyatlar'
+PageSchema.statics.findByPath = function (path) {
+  const normalized = String(path || '')
+    .toLowerCase()
+    .split('/')
+    .filter(Boolean)
+    .join('/');
+
+  return this.findOne({ path: normalized });
+};
+
 PageSchema.statics.findHomePage = function () {
   return this.findOne({ 'metadata.isHomePage': true });
 };
 
-PageSchema.statics.incrementPageView = function (pageId) {
+// Prefer services/analytics recordEvent(), which also records the view for rollups
+PageSchema.statics.incrementPageView = function (pageId, userAgent) {
+  if (userAgent !== undefined && isBot(userAgent)) {
+    return this.findById(pageId);
+  }
+
   return this.findByIdAndUpdate(
     pageId,
     { $inc: { 'analytics.pageViews': 1 } },
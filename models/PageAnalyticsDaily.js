@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+/**
+ * PageAnalyticsDaily Schema - one document per page and (UTC) day
+ * Computed from AnalyticsEvent by services/analytics; rates are derived
+ * from the stored counts so days can be summed over any period.
+ */
+const PageAnalyticsDailySchema = new mongoose.Schema(
+  {
+    page: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Page',
+      required: true,
+    },
+    date: {
+      type: Date,
+      required: true,
+    },
+    pageViews: {
+      type: Number,
+      default: 0,
+    },
+    uniqueVisitors: {
+      type: Number,
+      default: 0,
+    },
+    // Views without meaningful engagement or a conversion
+    bounces: {
+      type: Number,
+      default: 0,
+    },
+    // Views that reported engagement time
+    engagedViews: {
+      type: Number,
+      default: 0,
+    },
+    engagementSeconds: {
+      type: Number,
+      default: 0,
+    },
+    // Views with at least one conversion
+    conversions: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    collection: 'page_analytics_daily',
+    timestamps: true,
+    toJSON: { virtuals: true },
+  }
+);
+
+PageAnalyticsDailySchema.index({ page: 1, date: 1 }, { unique: true });
+PageAnalyticsDailySchema.index({ date: 1 });
+
+const percentage = (part, total) => (total ? Math.round((part / total) * 10000) / 100 : 0);
+
+PageAnalyticsDailySchema.virtual('bounceRate').get(function () {
+  return percentage(this.bounces, this.pageViews);
+});
+
+PageAnalyticsDailySchema.virtual('averageTimeOnPage').get(function () {
+  return this.engagedViews ? Math.round(this.engagementSeconds / this.engagedViews) : 0;
+});
+
+PageAnalyticsDailySchema.virtual('conversionRate').get(function () {
+  return percentage(this.conversions, this.pageViews);
+});
+
+PageAnalyticsDailySchema.statics.percentage = percentage;
+
+module.exports = mongoose.model('PageAnalyticsDaily', PageAnalyticsDailySchema);
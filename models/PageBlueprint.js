@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * PageBlueprint Schema - reusable page layouts
+ * A snapshot of a page's content, sections, template and SEO defaults that
+ * new pages can be created from (see services/blueprints). Section ids are
+ * not stored; every page created from a blueprint gets new ones.
+ */
+const PageBlueprintSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide a blueprint name'],
+      unique: true,
+      trim: true,
+      maxlength: [100, 'Blueprint name cannot be more than 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot be more than 500 characters'],
+    },
+    pageType: {
+      type: String,
+      default: 'standard',
+    },
+    template: {
+      type: String,
+      default: 'default',
+    },
+    // Starter content of new pages; blueprints saved before it was stored have none
+    content: {
+      type: String,
+      default: '',
+    },
+    templateSettings: mongoose.Schema.Types.Mixed,
+    sections: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: [],
+    },
+    // Default SEO settings for new pages (without a canonical URL)
+    seo: mongoose.Schema.Types.Mixed,
+    sourcePage: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Page',
+    },
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+    createdBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    collection: 'page_blueprints',
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('PageBlueprint', PageBlueprintSchema);
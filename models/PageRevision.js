@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+
+/**
+ * Page fields captured in every revision. URL and tree placement (slug,
+ * parentPage) and lifecycle data (status, analytics, workflow) are not
+ * versioned, so restoring a revision never moves or unpublishes a page.
+ */
+const SNAPSHOT_FIELDS = [
+  'title',
+  'content',
+  'excerpt',
+  'pageType',
+  'sections',
+  'seo',
+  'template',
+  'templateSettings',
+  'visibility',
+  'media',
+  'metadata',
+  'advancedFeatures.tags',
+  'advancedFeatures.categories',
+  'advancedFeatures.relatedPages',
+];
+
+// Never stored in a snapshot, even though they live under versioned fields
+const EXCLUDED_FIELDS = ['visibility.password', 'visibility.passwordChangedAt'];
+
+const getPath = (obj, path) =>
+  path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+
+const setPath = (obj, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((node, key) => {
+    if (node[key] == null) node[key] = {};
+    return node[key];
+  }, obj);
+  target[last] = value;
+};
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !(value instanceof mongoose.Types.ObjectId);
+
+const normalize = (value) => JSON.parse(JSON.stringify(value === undefined ? null : value));
+
+/**
+ * Flatten a snapshot into `{ 'seo.metaTitle': ..., 'sections[hero-1].data.heading': ... }`.
+ * Arrays of objects with an `id` (page sections) are keyed by id so reordering
+ * or inserting a section does not show up as a change to every later section.
+ */
+const flatten = (value, prefix, out) => {
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value).filter((key) => key !== '_id');
+    if (keys.length === 0 && prefix) out[prefix] = {};
+    keys.forEach((key) => flatten(value[key], prefix ? `${prefix}.${key}` : key, out));
+  } else if (Array.isArray(value) && value.length && value.every((item) => isPlainObject(item) && item.id)) {
+    value.forEach((item) => flatten(item, `${prefix}[${item.id}]`, out));
+  } else {
+    out[prefix] = normalize(value);
+  }
+  return out;
+};
+
+const PageRevisionSchema = new mongoose.Schema(
+  {
+    page: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Page',
+      required: [true, 'Revision must belong to a page'],
+    },
+
+    revisionNumber: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    // Full copy of the versioned page fields at the time of the save
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+
+    author: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+
+    changeNote: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Change note cannot be more than 500 characters'],
+      default: '',
+    },
+
+    // Set when this revision was produced by restoring an older one
+    restoredFrom: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    collection: 'page_revisions',
+  }
+);
+
+PageRevisionSchema.index({ page: 1, revisionNumber: -1 }, { unique: true });
+
+// Build the snapshot stored for a page document
+PageRevisionSchema.statics.snapshotOf = function (page) {
+  const source = page.toObject({ depopulate: true, virtuals: false });
+  const snapshot = {};
+
+  SNAPSHOT_FIELDS.forEach((path) => {
+    const value = getPath(source, path);
+    if (value !== undefined) setPath(snapshot, path, normalize(value));
+  });
+
+  EXCLUDED_FIELDS.forEach((path) => {
+    if (getPath(snapshot, path) !== undefined) setPath(snapshot, path, undefined);
+  });
+
+  return normalize(snapshot);
+};
+
+// List revisions of a page, newest first, without the (large) snapshots
+PageRevisionSchema.statics.listForPage = function (pageId) {
+  return this.find({ page: pageId })
+    .select('-snapshot')
+    .sort({ revisionNumber: -1 })
+    .populate('author', 'username firstName lastName');
+};
+
+PageRevisionSchema.statics.findRevision = async function (pageId, revisionNumber) {
+  const revision = await this.findOne({ page: pageId, revisionNumber });
+  if (!revision) {
+    throw new Error(`Revision ${revisionNumber} not found`);
+  }
+  return revision;
+};
+
+/**
+ * Field-level diff between two snapshots.
+ * Returns `[{ path, type: 'added' | 'removed' | 'changed', from, to }]`.
+ */
+PageRevisionSchema.statics.diffSnapshots = function (from, to) {
+  const before = flatten(from || {}, '', {});
+  const after = flatten(to || {}, '', {});
+  const paths = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+
+  return paths.reduce((changes, path) => {
+    const hadValue = path in before && before[path] !== null;
+    const hasValue = path in after && after[path] !== null;
+
+    if (!hadValue && hasValue) {
+      changes.push({ path, type: 'added', from: null, to: after[path] });
+    } else if (hadValue && !hasValue) {
+      changes.push({ path, type: 'removed', from: before[path], to: null });
+    } else if (JSON.stringify(before[path]) !== JSON.stringify(after[path])) {
+      changes.push({ path, type: 'changed', from: before[path], to: after[path] });
+    }
+
+    return changes;
+  }, []);
+};
+
+// Diff any two revisions of the same page
+PageRevisionSchema.statics.compare = async function (pageId, fromRevision, toRevision) {
+  const [from, to] = await Promise.all([
+    this.findRevision(pageId, fromRevision),
+    this.findRevision(pageId, toRevision),
+  ]);
+
+  return {
+    from: from.revisionNumber,
+    to: to.revisionNumber,
+    changes: this.diffSnapshots(from.snapshot, to.snapshot),
+  };
+};
+
+// Write a revision snapshot back onto a page document (does not save)
+PageRevisionSchema.methods.applyTo = function (page) {
+  SNAPSHOT_FIELDS.forEach((path) => {
+    const value = getPath(this.snapshot, path);
+    const hasExcluded = EXCLUDED_FIELDS.some((excluded) => excluded.startsWith(`${path}.`));
+
+    // Set objects holding excluded fields key by key so those fields stay untouched
+    if (hasExcluded && isPlainObject(value)) {
+      Object.entries(value).forEach(([key, child]) => page.set(`${path}.${key}`, child));
+    } else {
+      page.set(path, value);
+    }
+  });
+
+  return page;
+};
+
+PageRevisionSchema.statics.SNAPSHOT_FIELDS = SNAPSHOT_FIELDS;
+
+module.exports = mongoose.model('PageRevision', PageRevisionSchema);
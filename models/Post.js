@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const contentEvents = require('../services/contentEvents');
+const slugPlugin = require('./plugins/slug');
+const { WorkflowSchema, WORKFLOW_STATUSES, requireReview } = require('./schemas/workflow');
 
 const postSchema = new mongoose.Schema(
   {
@@ -44,7 +47,7 @@ const postSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['draft', 'published', 'archived'],
+      enum: WORKFLOW_STATUSES,
       default: 'draft',
     },
     views: {
@@ -55,19 +58,15 @@ const postSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
-    comments: [
-      {
-        user: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: 'User',
-        },
-        text: String,
-        createdAt: {
-          type: Date,
-          default: Date.now,
-        },
-      },
-    ],
+    // Comments are stored in the Comment collection (services/comments)
+    allowComments: {
+      type: Boolean,
+      default: true,
+    },
+    commentModeration: {
+      type: Boolean,
+      default: true,
+    },
     meta: {
       description: String,
       keywords: [String],
@@ -76,6 +75,23 @@ const postSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    scheduledFor: {
+      type: Date,
+      default: null,
+    },
+    unpublishAt: {
+      type: Date,
+      default: null,
+    },
+    unpublishAction: {
+      type: String,
+      enum: ['archive', 'draft'],
+      default: 'archive',
+    },
+    workflow: {
+      type: WorkflowSchema,
+      default: () => ({}),
+    },
     updatedAt: {
       type: Date,
       default: null,
@@ -92,5 +108,77 @@ postSchema.index({ author: 1 });
 postSchema.index({ status: 1 });
 postSchema.index({ tags: 1 });
 postSchema.index({ publishedAt: -1 });
+postSchema.index({ status: 1, scheduledFor: 1 });
+postSchema.index({ status: 1, unpublishAt: 1 });
+
+postSchema.plugin(slugPlugin, { source: 'title', fallback: 'yazi' });
+
+// Status changes that need review go through services/workflow
+postSchema.pre('validate', requireReview);
+
+postSchema.pre('save', function (next) {
+  if (this.status === 'scheduled' && !this.scheduledFor) {
+    return next(new Error('Scheduled posts require a scheduledFor date'));
+  }
+
+  if (this.status === 'published' && !this.publishedAt) {
+    this.publishedAt = new Date();
+  }
+
+  next();
+});
+
+postSchema.post('save', function (doc) {
+  contentEvents.emit('saved', { model: 'Post', document: doc });
+});
+
+postSchema.post('deleteOne', { document: true, query: false }, function (doc) {
+  contentEvents.emit('removed', { model: 'Post', document: doc });
+});
+
+postSchema.post('findOneAndDelete', function (doc) {
+  if (doc) contentEvents.emit('removed', { model: 'Post', document: doc });
+});
+
+postSchema.methods.publish = async function () {
+  if (this.workflow.requiresApproval && this.status !== 'approved') {
+    throw new Error('Post must be approved before it can be published');
+  }
+
+  this.status = 'published';
+  this.publishedAt = new Date();
+  this.scheduledFor = null;
+  this.$locals.workflowAction = 'publish';
+  await this.save();
+  contentEvents.emit('published', { model: 'Post', document: this });
+  return this;
+};
+
+postSchema.methods.archive = async function () {
+  this.status = 'archived';
+  this.unpublishAt = null;
+  await this.save();
+  contentEvents.emit('unpublished', { model: 'Post', document: this });
+  return this;
+};
+
+// Schedule the post to be published by the publish scheduler
+postSchema.methods.schedule = function (date) {
+  if (this.workflow.requiresApproval && this.status !== 'approved') {
+    throw new Error('Post must be approved before it can be scheduled');
+  }
+
+  this.status = 'scheduled';
+  this.scheduledFor = date;
+  this.$locals.workflowAction = 'schedule';
+  return this.save();
+};
+
+// Schedule the post to be archived (or returned to draft) at a given date
+postSchema.methods.scheduleUnpublish = function (date, action = 'archive') {
+  this.unpublishAt = date;
+  this.unpublishAction = action;
+  return this.save();
+};
 
 module.exports = mongoose.model('Post', postSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+/**
+ * Rating Schema - one vote per page and voter
+ * `voter` is `user:<id>` for signed-in users or `guest:<hash>` for guests
+ * (see utils/visitorId scopedVisitorId), so the unique index stops the same
+ * visitor rating a page more than once.
+ */
+const RatingSchema = new mongoose.Schema(
+  {
+    page: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Page',
+      required: true,
+    },
+    voter: {
+      type: String,
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    value: {
+      type: Number,
+      required: [true, 'Please provide a rating'],
+      min: [1, 'Rating must be between 1 and 5'],
+      max: [5, 'Rating must be between 1 and 5'],
+      validate: {
+        validator: Number.isInteger,
+        message: 'Rating must be a whole number',
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+RatingSchema.index({ page: 1, voter: 1 }, { unique: true });
+
+module.exports = mongoose.model('Rating', RatingSchema);
@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+
+/**
+ * Redirect Schema - URL redirects managed in the CMS
+ * `source` is matched against the request path (see services/redirects):
+ *   - exact:  '/eski-sayfa' matches only that path
+ *   - prefix: '/blog' matches '/blog' and everything below it; the rest of
+ *             the path is appended to the target ('/blog/a' -> '/yazilar/a')
+ *   - regex:  a regular expression; `$1`.. in the target are replaced by
+ *             its capture groups
+ * Matching ignores case and trailing slashes unless `caseSensitive` is set.
+ * Regex sources are kept short and may not repeat a group that contains a
+ * repetition or alternatives, which is what makes backtracking blow up on
+ * crafted paths.
+ */
+
+const MATCH_TYPES = ['exact', 'prefix', 'regex'];
+const STATUS_CODES = [301, 302, 307, 308];
+
+// '/Eski//Sayfa/?a=1' -> '/Eski/Sayfa'
+const normalizePath = (path) => {
+  const clean = `/${String(path || '').split(/[?#]/)[0].trim()}`.replace(/\/{2,}/g, '/');
+  return clean.length > 1 ? clean.replace(/\/+$/, '') : clean;
+};
+
+// Site paths or http(s) URLs; browsers read '//' and '/\' as another host
+const isValidTarget = (target) => /^\/(?![/\\])/.test(target) || /^https?:\/\/[^\s/\\]+/i.test(target);
+
+const MAX_PATTERN_LENGTH = 200;
+// Quantifiers that repeat; '?' only makes optional
+const REPEATS = ['+', '*', '{'];
+
+/**
+ * Whether a repeated group contains a repetition or alternatives, e.g.
+ * '(a+)+', '((ab)*)*' or '(a|aa)+'. Groups inherit what their inner groups
+ * contain.
+ */
+const hasRiskyRepetition = (source) => {
+  const outer = [];
+  let risky = false;
+
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+
+    if (char === '\\') {
+      index += 1;
+    } else if (char === '[') {
+      // Skip the character class
+      for (index += 1; index < source.length && source[index] !== ']'; index += 1) {
+        if (source[index] === '\\') index += 1;
+      }
+    } else if (char === '(') {
+      outer.push(risky);
+      risky = false;
+    } else if (char === ')') {
+      const inner = risky;
+      if (inner && REPEATS.includes(source[index + 1])) return true;
+      risky = outer.pop() || inner;
+    } else if (char === '|' || ((REPEATS.includes(char) || char === '?') && source[index - 1] !== '(')) {
+      risky = true;
+    }
+  }
+  return false;
+};
+
+// Why a regex source cannot be used, or null when it can
+const patternError = (source) => {
+  if (String(source).length > MAX_PATTERN_LENGTH) {
+    return `Regular expressions cannot be more than ${MAX_PATTERN_LENGTH} characters`;
+  }
+  if (hasRiskyRepetition(String(source))) {
+    return 'Regular expressions cannot repeat a group that contains a repetition or alternatives';
+  }
+  try {
+    new RegExp(source);
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+};
+
+const RedirectSchema = new mongoose.Schema(
+  {
+    source: {
+      type: String,
+      required: [true, 'Please provide a source path'],
+      trim: true,
+      maxlength: [500, 'Source cannot be more than 500 characters'],
+    },
+    matchType: {
+      type: String,
+      enum: MATCH_TYPES,
+      default: 'exact',
+    },
+    target: {
+      type: String,
+      required: [true, 'Please provide a target URL'],
+      trim: true,
+      maxlength: [1000, 'Target cannot be more than 1000 characters'],
+      validate: {
+        validator: isValidTarget,
+        message: 'Target must be a path starting with / or an http(s) URL',
+      },
+    },
+    statusCode: {
+      type: Number,
+      enum: STATUS_CODES,
+      default: 301,
+    },
+    preserveQueryString: {
+      type: Boolean,
+      default: true,
+    },
+    caseSensitive: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    hits: {
+      type: Number,
+      default: 0,
+    },
+    lastHitAt: {
+      type: Date,
+      default: null,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot be more than 500 characters'],
+    },
+    createdBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    updatedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    collection: 'redirects',
+    timestamps: true,
+  }
+);
+
+RedirectSchema.index({ matchType: 1, source: 1 }, { unique: true });
+RedirectSchema.index({ isActive: 1 });
+
+// Normalize paths and make sure regular expressions compile
+RedirectSchema.pre('validate', function (next) {
+  if (this.matchType === 'regex') {
+    const error = patternError(this.source);
+    if (error) this.invalidate('source', error);
+    return next();
+  }
+
+  if (this.source) {
+    this.source = normalizePath(this.source);
+  }
+  if (this.matchType === 'exact' && this.target && this.target.startsWith('/')) {
+    const sameCase = this.caseSensitive ? (value) => value : (value) => value.toLowerCase();
+    if (sameCase(normalizePath(this.target)) === sameCase(this.source)) {
+      this.invalidate('target', 'A redirect cannot point to its own source');
+    }
+  }
+  next();
+});
+
+RedirectSchema.statics.MATCH_TYPES = MATCH_TYPES;
+RedirectSchema.statics.STATUS_CODES = STATUS_CODES;
+RedirectSchema.statics.normalizePath = normalizePath;
+RedirectSchema.statics.isValidTarget = isValidTarget;
+RedirectSchema.statics.patternError = patternError;
+
+module.exports = mongoose.model('Redirect', RedirectSchema);
@@ -0,0 +1,45 @@
+const Redirect = require('./Redirect');
+
+describe('Redirect.patternError', () => {
+  it('accepts ordinary patterns', () => {
+    expect(Redirect.patternError('^/blog/(\\d{4})/(\\d{2})/(.*)$')).toBeNull();
+    expect(Redirect.patternError('^/(?:urun|product)/([\\w-]+)$')).toBeNull();
+    expect(Redirect.patternError('^/etiket/(a+)?$')).toBeNull();
+    expect(Redirect.patternError('^/([(|+)]+)$')).toBeNull();
+  });
+
+  it('rejects repeated groups that contain a repetition', () => {
+    expect(Redirect.patternError('^(a+)+$')).toMatch(/cannot repeat a group/);
+    expect(Redirect.patternError('^((ab)*)*$')).toMatch(/cannot repeat a group/);
+    expect(Redirect.patternError('^(\\w{2,})+$')).toMatch(/cannot repeat a group/);
+  });
+
+  it('rejects repeated groups that contain alternatives', () => {
+    expect(Redirect.patternError('^(a|aa)+$')).toMatch(/cannot repeat a group/);
+    expect(Redirect.patternError('(\\w|\\d)+x')).toMatch(/cannot repeat a group/);
+    expect(Redirect.patternError('^((a|b)c)*$')).toMatch(/cannot repeat a group/);
+  });
+
+  it('rejects long and invalid patterns', () => {
+    expect(Redirect.patternError(`^/${'a'.repeat(200)}$`)).toMatch(/more than 200 characters/);
+    expect(Redirect.patternError('^/(eski$')).toMatch(/Invalid regular expression/);
+  });
+});
+
+describe('Redirect.isValidTarget', () => {
+  it('accepts site paths and http(s) URLs only', () => {
+    expect(Redirect.isValidTarget('/yeni-sayfa')).toBe(true);
+    expect(Redirect.isValidTarget('https://example.com/a')).toBe(true);
+    expect(Redirect.isValidTarget('//evil.com')).toBe(false);
+    expect(Redirect.isValidTarget('/\\evil.com')).toBe(false);
+    expect(Redirect.isValidTarget('javascript:alert(1)')).toBe(false);
+  });
+});
+
+describe('Redirect.normalizePath', () => {
+  it('drops the query, repeated and trailing slashes', () => {
+    expect(Redirect.normalizePath('/Eski//Sayfa/?a=1')).toBe('/Eski/Sayfa');
+    expect(Redirect.normalizePath('eski')).toBe('/eski');
+    expect(Redirect.normalizePath('')).toBe('/');
+  });
+});
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+/**
+ * RelatedContent Schema - precomputed related-content suggestions
+ * One document per page or post, kept up to date by services/relatedContent.
+ */
+const RelatedContentSchema = new mongoose.Schema(
+  {
+    sourceType: {
+      type: String,
+      enum: ['Page', 'Post'],
+      required: true,
+    },
+    source: {
+      type: mongoose.Schema.ObjectId,
+      refPath: 'sourceType',
+      required: true,
+    },
+    // Best matches first
+    suggestions: [
+      {
+        _id: false,
+        targetType: {
+          type: String,
+          enum: ['Page', 'Post'],
+          required: true,
+        },
+        target: {
+          type: mongoose.Schema.ObjectId,
+          refPath: 'suggestions.targetType',
+          required: true,
+        },
+        score: {
+          type: Number,
+          required: true,
+        },
+        // What the two documents share, e.g. ['tags', 'content']
+        reasons: [String],
+      },
+    ],
+    computedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    collection: 'related_content',
+  }
+);
+
+RelatedContentSchema.index({ sourceType: 1, source: 1 }, { unique: true });
+RelatedContentSchema.index({ 'suggestions.target': 1 });
+
+module.exports = mongoose.model('RelatedContent', RelatedContentSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS, BUILT_IN_ROLES, LEGACY_ROLE_ALIASES } = require('../config/roles');
+
+const RESOURCES = [...new Set(PERMISSIONS.map((permission) => permission.split(':')[0]))];
+
+// Accepts known permissions, their `:own` variants, `resource:*` and `*`
+const isValidPermission = (permission) => {
+  if (permission === '*') return true;
+  const [resource, action, scope] = permission.split(':');
+  if (action === '*' && !scope) return RESOURCES.includes(resource);
+  if (scope && scope !== 'own') return false;
+  return PERMISSIONS.includes(`${resource}:${action}`);
+};
+
+/**
+ * Role Schema - custom roles configured by administrators
+ * Built-in roles (admin, editor, author, subscriber, guest) live in config/roles.js
+ */
+const RoleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide a role name'],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      maxlength: [50, 'Role name cannot be more than 50 characters'],
+      validate: [
+        {
+          validator: function (v) {
+            return /^[a-z][a-z0-9-]*$/.test(v);
+          },
+          message: 'Role name must contain only lowercase letters, numbers, and hyphens',
+        },
+        {
+          validator: function (v) {
+            return !BUILT_IN_ROLES[v] && !LEGACY_ROLE_ALIASES[v];
+          },
+          message: 'Role name is reserved for a built-in role',
+        },
+      ],
+    },
+
+    label: {
+      type: String,
+      required: [true, 'Please provide a role label'],
+      trim: true,
+      maxlength: [100, 'Role label cannot be more than 100 characters'],
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot be more than 500 characters'],
+    },
+
+    // Built-in role whose permissions (and page visibility) this role extends
+    inherits: {
+      type: String,
+      enum: [...Object.keys(BUILT_IN_ROLES), null],
+      default: null,
+    },
+
+    permissions: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: function (v) {
+          return v.every(isValidPermission);
+        },
+        message: 'Role contains an unknown permission',
+      },
+    },
+
+    createdBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+RoleSchema.statics.isValidPermission = isValidPermission;
+
+// Whether a role name can be assigned: built-in, legacy alias or custom role
+RoleSchema.statics.roleExists = async function (name) {
+  if (BUILT_IN_ROLES[name] || LEGACY_ROLE_ALIASES[name]) return true;
+  return Boolean(await this.exists({ name }));
+};
+
+module.exports = mongoose.model('Role', RoleSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const contentEvents = require('../services/contentEvents');
+const slugPlugin = require('./plugins/slug');
 
 const seoSchema = new mongoose.Schema(
   {
@@ -200,12 +202,26 @@ seoSchema.index({ pageType: 1 });
 seoSchema.index({ includeInSitemap: 1 });
 seoSchema.index({ createdAt: -1 });
 
+seoSchema.plugin(slugPlugin, { field: 'pageSlug', source: 'pageTitle', fallback: 'sayfa' });
+
 // Update the updatedAt timestamp on save
 seoSchema.pre('save', function(next) {
   this.updatedAt = new Date();
   next();
 });
 
+seoSchema.post('save', function(doc) {
+  contentEvents.emit('saved', { model: 'SEO', document: doc });
+});
+
+seoSchema.post('deleteOne', { document: true, query: false }, function(doc) {
+  contentEvents.emit('removed', { model: 'SEO', document: doc });
+});
+
+seoSchema.post('findOneAndDelete', function(doc) {
+  if (doc) contentEvents.emit('removed', { model: 'SEO', document: doc });
+});
+
 // Virtual for full canonical URL if not explicitly set
 seoSchema.virtual('fullCanonicalUrl').get(function() {
   return this.canonicalUrl || `/${this.pageSlug}`;
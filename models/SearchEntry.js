@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+/**
+ * SearchEntry Schema - search index maintained by services/search
+ *
+ * One entry per page, post, category, tag and media item. `fields` and
+ * `tokens` hold Turkish-folded text (utils/turkish) used for matching and
+ * scoring; `text` keeps the original plain text for result snippets.
+ */
+const SearchEntrySchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['page', 'post', 'category', 'tag', 'media'],
+      required: true,
+    },
+    ref: {
+      type: mongoose.Schema.ObjectId,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    slug: String,
+    url: String,
+    text: String,
+    fields: {
+      title: String,
+      keywords: String,
+      summary: String,
+      body: String,
+    },
+    // Unique folded words of all fields, for indexed prefix matching
+    tokens: {
+      type: [String],
+      default: [],
+    },
+    categories: {
+      type: [String],
+      default: [],
+    },
+    tags: {
+      type: [String],
+      default: [],
+    },
+
+    // Visibility: only published, public entries are shown to everyone
+    published: {
+      type: Boolean,
+      default: false,
+    },
+    isPublic: {
+      type: Boolean,
+      default: true,
+    },
+    // Roles allowed to find a published non-public page
+    roles: {
+      type: [String],
+      default: [],
+    },
+    // Pages limited to specific users are only found by their editors
+    restricted: {
+      type: Boolean,
+      default: false,
+    },
+    date: Date,
+  },
+  {
+    collection: 'search_entries',
+    timestamps: true,
+  }
+);
+
+SearchEntrySchema.index({ type: 1, ref: 1 }, { unique: true });
+SearchEntrySchema.index({ tokens: 1 });
+SearchEntrySchema.index({ published: 1, isPublic: 1 });
+
+module.exports = mongoose.model('SearchEntry', SearchEntrySchema);
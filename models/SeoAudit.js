@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+/**
+ * SeoAudit Schema - SEO audit results of a page or post
+ * Written by services/seoAudit. A new document is stored only when the
+ * score or the issues of the target change, so the documents of a target
+ * are its history; `isLatest` marks the current result.
+ */
+const SeoAuditSchema = new mongoose.Schema(
+  {
+    targetType: {
+      type: String,
+      enum: ['Page', 'Post'],
+      required: true,
+    },
+    target: {
+      type: mongoose.Schema.ObjectId,
+      refPath: 'targetType',
+      required: true,
+    },
+    // Title and URL at the time of the audit, so the dashboard needs no lookups
+    title: String,
+    url: String,
+    focusKeyword: String,
+    // 0-100, the weighted share of the applicable checks that passed
+    score: {
+      type: Number,
+      min: 0,
+      max: 100,
+      required: true,
+    },
+    // Score of the previous result, null for the first one
+    previousScore: {
+      type: Number,
+      default: null,
+    },
+    issues: [
+      {
+        _id: false,
+        check: {
+          type: String,
+          required: true,
+        },
+        severity: {
+          type: String,
+          enum: ['error', 'warning', 'notice'],
+          required: true,
+        },
+        message: {
+          type: String,
+          required: true,
+        },
+        details: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    wordCount: {
+      type: Number,
+      default: 0,
+    },
+    isLatest: {
+      type: Boolean,
+      default: true,
+    },
+    // When this result was first found and when it was last confirmed
+    auditedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    checkedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    collection: 'seo_audits',
+    toJSON: { virtuals: true },
+  }
+);
+
+SeoAuditSchema.index({ targetType: 1, target: 1, auditedAt: -1 });
+SeoAuditSchema.index({ isLatest: 1, score: 1 });
+SeoAuditSchema.index({ 'issues.check': 1, isLatest: 1 });
+
+// Negative when the score dropped since the previous result
+SeoAuditSchema.virtual('scoreChange').get(function () {
+  return this.previousScore === null || this.previousScore === undefined ? null : this.score - this.previousScore;
+});
+
+module.exports = mongoose.model('SeoAudit', SeoAuditSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const contentEvents = require('../services/contentEvents');
 
 /**
  * Settings Schema - Comprehensive site configuration for Tamamlayıcı Sağlık CMS
@@ -61,6 +62,12 @@ const SettingsSchema = new mongoose.Schema(
         required: true,
         description: 'Default site title for SEO'
       },
+      titleTemplate: {
+        type: String,
+        default: '%title% | %site%',
+        maxlength: 100,
+        description: 'Page title format; %title% is the page title and %site% the site title'
+      },
       siteDescription: {
         type: String,
         required: true,
@@ -528,6 +535,38 @@ const SettingsSchema = new mongoose.Schema(
       }
     },
 
+    // ==================== COMMENTS ====================
+    comments: {
+      maxLinks: {
+        type: Number,
+        default: 2,
+        min: 0,
+        description: 'Links allowed in a comment before it counts towards spam'
+      },
+      blockedWords: {
+        type: [String],
+        description: 'Words and phrases that mark a comment as likely spam'
+      },
+      spamThreshold: {
+        type: Number,
+        default: 70,
+        min: 0,
+        max: 100,
+        description: 'Spam score at which comments are marked as spam'
+      },
+      moderateGuestComments: {
+        type: Boolean,
+        default: true,
+        description: 'Hold comments from guests for moderation'
+      },
+      maxThreadDepth: {
+        type: Number,
+        default: 3,
+        min: 0,
+        description: 'Maximum reply nesting level'
+      }
+    },
+
     // ==================== MAINTENANCE & SYSTEM ====================
     maintenance: {
       maintenanceMode: {
@@ -604,4 +643,13 @@ SettingsSchema.pre('save', function (next) {
   next();
 });
 
+SettingsSchema.post('save', function (doc) {
+  contentEvents.emit('saved', { model: 'Settings', document: doc });
+});
+
+// The site keeps a single settings document; return the most recent one
+SettingsSchema.statics.getCurrent = function () {
+  return this.findOne().sort({ updatedAt: -1 });
+};
+
 module.exports = mongoose.model('Settings', SettingsSchema);
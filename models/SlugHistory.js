@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+/**
+ * SlugHistory Schema - previous slugs of documents
+ * Maintained by models/plugins/slug; for pages `slug` holds the previous
+ * full path (e.g. 'hizmetler/akupunktur'). Old slugs resolve to the
+ * document's current URL with a permanent redirect.
+ */
+const SlugHistorySchema = new mongoose.Schema(
+  {
+    model: {
+      type: String,
+      enum: ['Page', 'Post', 'Category', 'Tag', 'SEO'],
+      required: true,
+    },
+    slug: {
+      type: String,
+      required: true,
+    },
+    document: {
+      type: mongoose.Schema.ObjectId,
+      refPath: 'model',
+      required: true,
+    },
+  },
+  {
+    collection: 'slug_history',
+    timestamps: true,
+  }
+);
+
+SlugHistorySchema.index({ model: 1, slug: 1 }, { unique: true });
+SlugHistorySchema.index({ document: 1 });
+
+// Point an old slug at a document (the newest owner of an old slug wins)
+SlugHistorySchema.statics.record = function (model, slug, documentId) {
+  return this.updateOne({ model, slug }, { $set: { document: documentId } }, { upsert: true });
+};
+
+// Slugs in use again by current documents must not redirect anywhere
+SlugHistorySchema.statics.release = function (model, slugs) {
+  return this.deleteMany({ model, slug: { $in: [].concat(slugs) } });
+};
+
+module.exports = mongoose.model('SlugHistory', SlugHistorySchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const contentEvents = require('../services/contentEvents');
+const slugPlugin = require('./plugins/slug');
 
 const tagSchema = new mongoose.Schema({
   name: {
@@ -46,6 +48,20 @@ const tagSchema = new mongoose.Schema({
 
 // Index for slug
 tagSchema.index({ slug: 1 });
+
+tagSchema.plugin(slugPlugin, { source: 'name', fallback: 'etiket' });
 tagSchema.index({ isActive: 1 });
 
+tagSchema.post('save', function(doc) {
+  contentEvents.emit('saved', { model: 'Tag', document: doc });
+});
+
+tagSchema.post('deleteOne', { document: true, query: false }, function(doc) {
+  contentEvents.emit('removed', { model: 'Tag', document: doc });
+});
+
+tagSchema.post('findOneAndDelete', function(doc) {
+  if (doc) contentEvents.emit('removed', { model: 'Tag', document: doc });
+});
+
 module.exports = mongoose.model('Tag', tagSchema);
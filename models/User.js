@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const Role = require('./Role');
 
 // User Schema for authentication
 const userSchema = new mongoose.Schema(
@@ -38,10 +39,16 @@ const userSchema = new mongoose.Schema(
       required: [true, 'Please provide your last name'],
       trim: true
     },
+    // Built-in role from config/roles.js or the name of a custom Role
     role: {
       type: String,
-      enum: ['user', 'admin', 'moderator'],
-      default: 'user'
+      default: 'subscriber',
+      validate: {
+        validator: function(v) {
+          return Role.roleExists(v);
+        },
+        message: 'Unknown role'
+      }
     },
     isActive: {
       type: Boolean,
@@ -0,0 +1,82 @@
+const SlugHistory = require('../SlugHistory');
+const { slugify } = require('../../utils/slug');
+const { escapeRegExp } = require('../../utils/turkish');
+
+/**
+ * Slug plugin - generated, unique slugs with history
+ *
+ *   schema.plugin(slugPlugin, { field: 'slug', source: 'title', fallback: 'yazi' })
+ *
+ * Before validation an empty slug is generated from `source` and any slug
+ * is transliterated (utils/slug) and made unique with a numeric suffix
+ * ('kupa-terapisi', 'kupa-terapisi-2', ...). With `history` on (default),
+ * the previous slug is recorded in SlugHistory whenever it changes, and
+ * `Model.findBySlugWithHistory()` resolves old slugs.
+ */
+
+const nextFreeSlug = async (Model, field, base, id, maxLength) => {
+  const pattern = new RegExp(`^${escapeRegExp(base)}(-\\d+)?$`);
+  const taken = new Set(
+    (await Model.find({ [field]: pattern, _id: { $ne: id } }).select(field).lean()).map((doc) => doc[field])
+  );
+
+  let candidate = base;
+  for (let suffix = 2; taken.has(candidate); suffix += 1) {
+    const tail = `-${suffix}`;
+    candidate = `${base.slice(0, maxLength - tail.length).replace(/-+$/, '')}${tail}`;
+  }
+  return candidate;
+};
+
+const slugPlugin = (schema, options = {}) => {
+  const { field = 'slug', source = 'title', fallback = 'icerik', history = true, maxLength = 200 } = options;
+
+  schema.pre('validate', async function () {
+    const current = this.get(field);
+    if (current && !this.isNew && !this.isModified(field)) return;
+
+    const text = current || this.get(source);
+    if (!text) return;
+
+    const base = slugify(text, { maxLength }) || fallback;
+    this.set(field, await nextFreeSlug(this.constructor, field, base, this._id, maxLength));
+  });
+
+  if (!history) return;
+
+  schema.pre('save', async function () {
+    if (!this.isNew && !this.isModified(field)) return;
+
+    const previous = this.isNew ? null : await this.constructor.findById(this._id).select(field).lean();
+    this.$locals.slugChange = { previous: previous ? previous[field] : null };
+  });
+
+  schema.post('save', async function (doc) {
+    const change = doc.$locals.slugChange;
+    if (!change) return;
+    doc.$locals.slugChange = undefined;
+
+    const model = doc.constructor.modelName;
+    const slug = doc.get(field);
+    await SlugHistory.release(model, slug);
+    if (change.previous && change.previous !== slug) {
+      await SlugHistory.record(model, change.previous, doc._id);
+    }
+  });
+
+  /**
+   * Find a document by its current slug or, failing that, by a previous
+   * one. Resolves to `{ document, redirect }`; `redirect` is true when the
+   * slug is outdated and clients should be sent to the current URL.
+   */
+  schema.statics.findBySlugWithHistory = async function (slug) {
+    const document = await this.findOne({ [field]: slug });
+    if (document) return { document, redirect: false };
+
+    const entry = await SlugHistory.findOne({ model: this.modelName, slug }).lean();
+    const renamed = entry ? await this.findById(entry.document) : null;
+    return { document: renamed, redirect: Boolean(renamed) };
+  };
+};
+
+module.exports = slugPlugin;
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+/**
+ * Editorial workflow state shared by Page and Post.
+ * The state itself is the document `status`; transitions are performed by
+ * services/workflow, which also appends to `history`.
+ */
+const WORKFLOW_STATUSES = [
+  'draft',
+  'in_review',
+  'changes_requested',
+  'approved',
+  'scheduled',
+  'published',
+  'archived',
+];
+
+// Statuses only reached through review while `requiresApproval` is on
+const REVIEWED_STATUSES = ['approved', 'scheduled', 'published'];
+
+/**
+ * pre('validate') hook for Page and Post: setting `status` directly must
+ * not skip review. Only services/workflow and the models' publish() and
+ * schedule() may move content into a reviewed status; they mark the save
+ * with `$locals.workflowAction`.
+ */
+function requireReview(next) {
+  const action = this.$locals.workflowAction;
+  this.$locals.workflowAction = undefined;
+
+  if (this.isModified('status') && REVIEWED_STATUSES.includes(this.status) && this.workflow.requiresApproval && !action) {
+    this.invalidate('status', `Content must go through review before it is ${this.status}`, this.status);
+  }
+  next();
+}
+
+const WorkflowSchema = new mongoose.Schema(
+  {
+    submittedAt: Date,
+    submittedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    approvedAt: Date,
+    approvedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+    },
+    reviewNotes: String,
+    requiresApproval: {
+      type: Boolean,
+      default: true,
+    },
+    history: [
+      {
+        action: {
+          type: String,
+          required: true,
+        },
+        from: String,
+        to: String,
+        actor: {
+          type: mongoose.Schema.ObjectId,
+          ref: 'User',
+        },
+        notes: String,
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  { _id: false }
+);
+
+module.exports = {
+  WorkflowSchema,
+  WORKFLOW_STATUSES,
+  requireReview,
+};
@@ -0,0 +1,269 @@
+const mongoose = require('mongoose');
+const Page = require('../models/Page');
+const AnalyticsEvent = require('../models/AnalyticsEvent');
+const PageAnalyticsDaily = require('../models/PageAnalyticsDaily');
+const { isBot } = require('../utils/userAgent');
+const { visitorId } = require('../utils/visitorId');
+const { HttpError } = require('../utils/errors');
+
+/**
+ * Page Analytics - event collection, daily rollups and page summaries
+ *
+ *   recordEvent()        raw pageview / engagement / conversion events
+ *   rollupDay()          AnalyticsEvent => PageAnalyticsDaily for one day
+ *   refreshPageSummary() PageAnalyticsDaily => Page.analytics
+ *
+ * No cookies are used: visitors are identified by a daily-rotating hash
+ * (utils/visitorId) and the events of one page view share a `viewId`
+ * generated by the tracking script for that view only.
+ */
+
+const BOUNCE_THRESHOLD_SECONDS = 10;
+const MAX_ENGAGEMENT_SECONDS = 30 * 60;
+const SUMMARY_DAYS = parseInt(process.env.ANALYTICS_SUMMARY_DAYS, 10) || 30;
+const DEFAULT_INTERVAL_MS = (parseInt(process.env.ANALYTICS_ROLLUP_INTERVAL_MINUTES, 10) || 15) * 60 * 1000;
+const EVENT_TYPES = ['pageview', 'engagement', 'conversion'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Record one analytics event.
+ * `event`: { page, type, viewId, duration?, goal?, referrer? }
+ * `client`: { ip, userAgent } of the request.
+ * Resolves to `{ recorded: false, reason }` for ignored traffic.
+ */
+const recordEvent = async (event, { ip, userAgent } = {}) => {
+  if (isBot(userAgent)) {
+    return { recorded: false, reason: 'bot' };
+  }
+
+  if (!EVENT_TYPES.includes(event.type)) {
+    throw new HttpError(400, 'Unknown analytics event type');
+  }
+  if (!event.viewId || !/^[A-Za-z0-9_-]{8,64}$/.test(event.viewId)) {
+    throw new HttpError(400, 'Invalid view id');
+  }
+  if (!mongoose.isValidObjectId(event.page)) {
+    throw new HttpError(400, 'Invalid page id');
+  }
+
+  // Only published pages are tracked
+  const page = await Page.exists({ _id: event.page, status: 'published' });
+  if (!page) {
+    return { recorded: false, reason: 'unknown page' };
+  }
+
+  const now = new Date();
+  const duration = Number(event.duration);
+
+  await AnalyticsEvent.create({
+    page: page._id,
+    type: event.type,
+    viewId: event.viewId,
+    visitor: visitorId(ip, userAgent, now),
+    duration: event.type === 'engagement' && Number.isFinite(duration)
+      ? Math.min(Math.max(Math.round(duration), 0), MAX_ENGAGEMENT_SECONDS)
+      : undefined,
+    goal: event.type === 'conversion' ? event.goal : undefined,
+    referrer: event.type === 'pageview' && event.referrer ? String(event.referrer).slice(0, 500) : undefined,
+    createdAt: now,
+  });
+
+  // The raw view counter stays live between rollups
+  if (event.type === 'pageview') {
+    await Page.updateOne({ _id: page._id }, { $inc: { 'analytics.pageViews': 1 } });
+  }
+
+  return { recorded: true };
+};
+
+/**
+ * Compute the rollup documents for the UTC day containing `date`.
+ * Safe to run repeatedly: each run replaces that day's counts.
+ * Resolves to the ids of the pages that had views on that day.
+ */
+const rollupDay = async (date = new Date()) => {
+  const from = startOfDay(date);
+  const to = new Date(from.getTime() + DAY_MS);
+
+  const rows = await AnalyticsEvent.aggregate([
+    { $match: { createdAt: { $gte: from, $lt: to } } },
+    // One row per page view
+    {
+      $group: {
+        _id: { page: '$page', viewId: '$viewId' },
+        visitor: { $first: '$visitor' },
+        viewed: { $max: { $cond: [{ $eq: ['$type', 'pageview'] }, 1, 0] } },
+        engagement: { $max: { $cond: [{ $eq: ['$type', 'engagement'] }, '$duration', 0] } },
+        converted: { $max: { $cond: [{ $eq: ['$type', 'conversion'] }, 1, 0] } },
+      },
+    },
+    { $match: { viewed: 1 } },
+    {
+      $group: {
+        _id: '$_id.page',
+        pageViews: { $sum: 1 },
+        visitors: { $addToSet: '$visitor' },
+        bounces: {
+          $sum: {
+            $cond: [
+              { $and: [{ $lt: ['$engagement', BOUNCE_THRESHOLD_SECONDS] }, { $eq: ['$converted', 0] }] },
+              1,
+              0,
+            ],
+          },
+        },
+        engagedViews: { $sum: { $cond: [{ $gt: ['$engagement', 0] }, 1, 0] } },
+        engagementSeconds: { $sum: '$engagement' },
+        conversions: { $sum: '$converted' },
+      },
+    },
+  ]);
+
+  if (rows.length) {
+    await PageAnalyticsDaily.bulkWrite(
+      rows.map((row) => ({
+        updateOne: {
+          filter: { page: row._id, date: from },
+          update: {
+            $set: {
+              pageViews: row.pageViews,
+              uniqueVisitors: row.visitors.length,
+              bounces: row.bounces,
+              engagedViews: row.engagedViews,
+              engagementSeconds: row.engagementSeconds,
+              conversions: row.conversions,
+            },
+          },
+          upsert: true,
+        },
+      }))
+    );
+  }
+
+  return rows.map((row) => row._id);
+};
+
+/**
+ * Update the computed `Page.analytics` fields from the last
+ * ANALYTICS_SUMMARY_DAYS of rollups. Unique visitors are summed per day,
+ * since visitor ids deliberately change every day.
+ */
+const refreshPageSummary = async (pageIds, { days = SUMMARY_DAYS, now = new Date() } = {}) => {
+  if (!pageIds || pageIds.length === 0) return 0;
+
+  const since = new Date(startOfDay(now).getTime() - (days - 1) * DAY_MS);
+  const totals = await PageAnalyticsDaily.aggregate([
+    { $match: { page: { $in: pageIds }, date: { $gte: since } } },
+    {
+      $group: {
+        _id: '$page',
+        pageViews: { $sum: '$pageViews' },
+        uniqueVisitors: { $sum: '$uniqueVisitors' },
+        bounces: { $sum: '$bounces' },
+        engagedViews: { $sum: '$engagedViews' },
+        engagementSeconds: { $sum: '$engagementSeconds' },
+        conversions: { $sum: '$conversions' },
+      },
+    },
+  ]);
+
+  const { percentage } = PageAnalyticsDaily;
+  const byPage = new Map(totals.map((total) => [String(total._id), total]));
+
+  // Pages without views in the period are reset rather than left stale
+  const result = await Page.bulkWrite(
+    pageIds.map((pageId) => {
+      const total = byPage.get(String(pageId)) || {};
+      return {
+        updateOne: {
+          filter: { _id: pageId },
+          update: {
+            $set: {
+              'analytics.uniqueVisitors': total.uniqueVisitors || 0,
+              'analytics.bounceRate': percentage(total.bounces, total.pageViews),
+              'analytics.averageTimeOnPage': total.engagedViews
+                ? Math.round(total.engagementSeconds / total.engagedViews)
+                : 0,
+              'analytics.conversionRate': percentage(total.conversions, total.pageViews),
+              'analytics.conversionCount': total.conversions || 0,
+              'analytics.lastAnalyticsUpdate': now,
+            },
+          },
+        },
+      };
+    })
+  );
+
+  return result.modifiedCount;
+};
+
+// Daily series for one page, oldest first (admin charts)
+const getPageStats = (pageId, { from, to = new Date() } = {}) =>
+  PageAnalyticsDaily.find({
+    page: pageId,
+    date: { $gte: startOfDay(from || new Date(to.getTime() - (SUMMARY_DAYS - 1) * DAY_MS)), $lte: to },
+  }).sort({ date: 1 });
+
+/**
+ * Roll up yesterday (late events) and today, then refresh the summaries of
+ * the affected pages and of pages whose period just lost its oldest day.
+ */
+const runOnce = async (now = new Date()) => {
+  const yesterday = new Date(startOfDay(now).getTime() - DAY_MS);
+  const pageIds = [...(await rollupDay(yesterday)), ...(await rollupDay(now))];
+
+  const expiring = await PageAnalyticsDaily.distinct('page', {
+    date: new Date(startOfDay(now).getTime() - SUMMARY_DAYS * DAY_MS),
+  });
+
+  const unique = [...new Map([...pageIds, ...expiring].map((id) => [String(id), id])).values()];
+  await refreshPageSummary(unique, { now });
+  return unique.length;
+};
+
+const tick = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    await runOnce();
+  } catch (error) {
+    console.error('Analytics rollup failed:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+const start = (intervalMs = DEFAULT_INTERVAL_MS) => {
+  if (timer) return;
+
+  tick();
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+};
+
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  recordEvent,
+  rollupDay,
+  refreshPageSummary,
+  getPageStats,
+  runOnce,
+  start,
+  stop,
+};
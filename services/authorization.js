@@ -0,0 +1,199 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { BUILT_IN_ROLES, LEGACY_ROLE_ALIASES, GUEST_ROLE } = require('../config/roles');
+const { HttpError } = require('../utils/errors');
+
+/**
+ * Authorization - the single permission check for users, pages and the admin
+ *
+ * `can()` answers "may this user perform `resource:action` (on this
+ * document)?" for built-in and custom roles alike; `canViewPage()` applies
+ * the page visibility rules on top of it. Routes use `middleware/authorize`.
+ */
+
+const ROLE_CACHE_TTL_MS = 30 * 1000;
+
+// role name => { role, expiresAt }
+const roleCache = new Map();
+
+const clearRoleCache = () => roleCache.clear();
+
+const normalizeRoleName = (name) => LEGACY_ROLE_ALIASES[name] || name || GUEST_ROLE;
+
+/**
+ * Resolve a role name to `{ name, chain, permissions }` where `chain` lists
+ * the role and the built-in role it inherits from. Unknown roles resolve to
+ * the guest role.
+ */
+const resolveRole = async (roleName) => {
+  const name = normalizeRoleName(roleName);
+
+  if (BUILT_IN_ROLES[name]) {
+    return { name, chain: [name], permissions: new Set(BUILT_IN_ROLES[name].permissions) };
+  }
+
+  const cached = roleCache.get(name);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.role;
+  }
+
+  const custom = await Role.findOne({ name }).lean();
+  const role = custom
+    ? {
+      name,
+      chain: custom.inherits ? [name, custom.inherits] : [name],
+      permissions: new Set([
+        ...(custom.inherits ? BUILT_IN_ROLES[custom.inherits].permissions : []),
+        ...custom.permissions,
+      ]),
+    }
+    : { name: GUEST_ROLE, chain: [GUEST_ROLE], permissions: new Set(BUILT_IN_ROLES[GUEST_ROLE].permissions) };
+
+  roleCache.set(name, { role, expiresAt: Date.now() + ROLE_CACHE_TTL_MS });
+  return role;
+};
+
+const roleOf = (user) => (user && user.isActive !== false ? user.role : GUEST_ROLE);
+
+const hasPermission = (permissions, permission) => {
+  const [resource] = permission.split(':');
+  return permissions.has('*') || permissions.has(`${resource}:*`) || permissions.has(permission);
+};
+
+const ownerIdOf = (resource) => {
+  if (!resource) return null;
+  const owner = resource.author || resource.uploadedBy || resource.createdBy || resource.user;
+  return owner && owner._id ? owner._id : owner;
+};
+
+/**
+ * Whether `user` (null for anonymous visitors) holds `permission`.
+ * With a `resource`, `resource:action:own` permissions count for documents
+ * the user authored or uploaded.
+ */
+const can = async (user, permission, resource) => {
+  const { permissions } = await resolveRole(roleOf(user));
+
+  if (hasPermission(permissions, permission)) return true;
+
+  if (user && resource && permissions.has(`${permission}:own`)) {
+    const owner = ownerIdOf(resource);
+    return Boolean(owner) && String(owner) === String(user._id);
+  }
+
+  return false;
+};
+
+// Like can(), but throws 401/403 so callers can simply await it
+const authorize = async (user, permission, resource) => {
+  if (await can(user, permission, resource)) return;
+
+  if (!user) {
+    throw new HttpError(401, 'Authentication required');
+  }
+  throw new HttpError(403, `Missing permission ${permission}`);
+};
+
+/**
+ * Names of the roles that grant `permission` (custom roles and legacy
+ * aliases included), to find its holders with one User query.
+ * `:own` permissions are not counted since they depend on the document.
+ */
+const rolesWith = async (permission) => {
+  const custom = await Role.find().select('name inherits permissions').lean();
+  const granted = [
+    ...Object.entries(BUILT_IN_ROLES).map(([name, role]) => ({ name, permissions: role.permissions })),
+    ...custom.map((role) => ({
+      name: role.name,
+      permissions: [...(role.inherits ? BUILT_IN_ROLES[role.inherits].permissions : []), ...role.permissions],
+    })),
+  ]
+    .filter((role) => hasPermission(new Set(role.permissions), permission))
+    .map((role) => role.name);
+
+  const aliases = Object.keys(LEGACY_ROLE_ALIASES).filter((alias) => granted.includes(LEGACY_ROLE_ALIASES[alias]));
+  return [...granted, ...aliases];
+};
+
+/**
+ * Page visibility:
+ *   - users who may update the page can always view it (previews)
+ *   - everyone else only sees published pages
+ *   - `restrictedUsers`, when set, limits the page to those users
+ *   - non-public pages require one of `visibility.roles` ('guest' = anyone)
+ * Password protection is checked separately (services/pageAccess).
+ */
+const canViewPage = async (user, page) => {
+  if (user && (await can(user, 'page:update', page))) return true;
+
+  if (!page.isPublished) return false;
+
+  const { restrictedUsers = [], isPublic = true, roles = [] } = page.visibility || {};
+
+  if (restrictedUsers.length) {
+    if (!user || !restrictedUsers.some((id) => String(id) === String(user._id))) return false;
+  }
+
+  if (isPublic || roles.includes(GUEST_ROLE)) return true;
+
+  const { chain } = await resolveRole(roleOf(user));
+  return chain.some((name) => roles.includes(name));
+};
+
+// Built-in and custom roles for the admin UI
+const listRoles = async () => {
+  const custom = await Role.find().sort({ name: 1 }).lean();
+  return [
+    ...Object.entries(BUILT_IN_ROLES).map(([name, role]) => ({ name, ...role, builtIn: true })),
+    ...custom.map((role) => ({ ...role, builtIn: false })),
+  ];
+};
+
+const createRole = async (actor, data) => {
+  await authorize(actor, 'role:manage');
+  const role = await Role.create({ ...data, createdBy: actor._id });
+  clearRoleCache();
+  return role;
+};
+
+const updateRole = async (actor, name, changes) => {
+  await authorize(actor, 'role:manage');
+  const role = await Role.findOne({ name });
+  if (!role) {
+    throw new HttpError(404, 'Role not found');
+  }
+
+  ['label', 'description', 'inherits', 'permissions'].forEach((field) => {
+    if (changes[field] !== undefined) role[field] = changes[field];
+  });
+  await role.save();
+  clearRoleCache();
+  return role;
+};
+
+const deleteRole = async (actor, name) => {
+  await authorize(actor, 'role:manage');
+  if (await User.exists({ role: name })) {
+    throw new HttpError(409, 'Role is still assigned to users');
+  }
+
+  const role = await Role.findOneAndDelete({ name });
+  if (!role) {
+    throw new HttpError(404, 'Role not found');
+  }
+  clearRoleCache();
+  return role;
+};
+
+module.exports = {
+  can,
+  authorize,
+  rolesWith,
+  canViewPage,
+  resolveRole,
+  listRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  clearRoleCache,
+};
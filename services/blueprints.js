@@ -0,0 +1,176 @@
+const { v4: uuidv4 } = require('uuid');
+const Page = require('../models/Page');
+const PageBlueprint = require('../models/PageBlueprint');
+const authorization = require('./authorization');
+const contentPolicy = require('./contentPolicy');
+const { HttpError } = require('../utils/errors');
+const { escapeHtml } = require('../utils/html');
+
+/**
+ * Page Blueprints - reusable page layouts and page duplication
+ *
+ * Pages created from a blueprint or cloned from another page always start
+ * as drafts owned by the acting user, with a new slug, new section ids and
+ * fresh analytics, ratings, workflow and version history.
+ */
+
+// Copy sections without their ids; `withNewIds` assigns fresh ones
+const copySections = (sections, { withNewIds = false } = {}) =>
+  (sections || []).map((section) => {
+    const { _id, id, ...rest } = section.toObject ? section.toObject() : section;
+    return withNewIds ? { ...rest, id: uuidv4() } : rest;
+  });
+
+const seoDefaults = (seo = {}) => {
+  const { canonicalUrl, ...defaults } = seo.toObject ? seo.toObject() : seo;
+  return defaults;
+};
+
+// Custom scripts are only copied for users who may add them
+const templateSettingsFor = async (templateSettings, actor) => {
+  if (!templateSettings || !templateSettings.customJS || (await contentPolicy.canUseCustomScript(actor))) {
+    return templateSettings;
+  }
+  const { customJS, ...rest } = templateSettings;
+  return rest;
+};
+
+const loadPage = async (pageId) => {
+  const page = await Page.findById(pageId);
+  if (!page) {
+    throw new HttpError(404, 'Page not found');
+  }
+  return page;
+};
+
+const loadBlueprint = async (blueprintId) => {
+  const blueprint = await PageBlueprint.findById(blueprintId);
+  if (!blueprint) {
+    throw new HttpError(404, 'Blueprint not found');
+  }
+  return blueprint;
+};
+
+/**
+ * Save a page's content, sections, template, template settings and SEO
+ * defaults as a blueprint. `data`: { name, description }
+ */
+const saveAsBlueprint = async (pageId, data, actor) => {
+  await authorization.authorize(actor, 'blueprint:manage');
+  const page = await loadPage(pageId);
+
+  return PageBlueprint.create({
+    name: data.name,
+    description: data.description,
+    pageType: page.pageType,
+    template: page.template,
+    content: page.content,
+    templateSettings: page.templateSettings.toObject(),
+    sections: copySections(page.sections),
+    seo: seoDefaults(page.seo),
+    sourcePage: page._id,
+    createdBy: actor._id,
+  });
+};
+
+const listBlueprints = () => PageBlueprint.find().select('-sections').sort({ name: 1 });
+
+const deleteBlueprint = async (blueprintId, actor) => {
+  await authorization.authorize(actor, 'blueprint:manage');
+  const blueprint = await loadBlueprint(blueprintId);
+  await blueprint.deleteOne();
+  return blueprint;
+};
+
+/**
+ * Create a draft page from a blueprint.
+ * `data`: { title, slug?, content?, parentPage? }
+ * Page content is required: `data.content`, else the blueprint's, else a
+ * paragraph with the title.
+ */
+const createPageFromBlueprint = async (blueprintId, data, actor) => {
+  await authorization.authorize(actor, 'page:create');
+  const blueprint = await loadBlueprint(blueprintId);
+
+  const page = new Page({
+    title: data.title,
+    // The slug plugin transliterates and adds -2, -3, ... when taken
+    slug: data.slug || data.title,
+    content: data.content || blueprint.content || `<p>${escapeHtml(data.title)}</p>`,
+    pageType: blueprint.pageType,
+    template: blueprint.template,
+    templateSettings: await templateSettingsFor(blueprint.templateSettings, actor),
+    sections: copySections(blueprint.sections, { withNewIds: true }),
+    seo: blueprint.seo,
+    parentPage: data.parentPage || null,
+    status: 'draft',
+    author: actor._id,
+    lastModifiedBy: actor._id,
+  });
+  // Lets the Page model check who adds the custom script, if any
+  page.$locals.actor = actor;
+  await page.save();
+
+  await PageBlueprint.updateOne({ _id: blueprint._id }, { $inc: { usageCount: 1 } });
+  return page;
+};
+
+/**
+ * Duplicate a page as a new draft next to the original (or under
+ * `data.parentPage`). `data`: { title?, slug?, parentPage? }
+ * The copy is not password protected and is never the home page.
+ */
+const clonePage = async (pageId, data, actor) => {
+  await authorization.authorize(actor, 'page:create');
+  const source = await loadPage(pageId);
+  if (!(await authorization.canViewPage(actor, source))) {
+    throw new HttpError(404, 'Page not found');
+  }
+
+  const copy = source.toObject({ depopulate: true, virtuals: false });
+  const title = data.title || `${source.title} (Kopya)`;
+
+  const page = new Page({
+    title,
+    slug: data.slug || title,
+    content: copy.content,
+    excerpt: copy.excerpt,
+    pageType: copy.pageType,
+    sections: copySections(copy.sections, { withNewIds: true }),
+    seo: seoDefaults(copy.seo),
+    template: copy.template,
+    templateSettings: await templateSettingsFor(copy.templateSettings, actor),
+    visibility: {
+      ...copy.visibility,
+      passwordProtected: false,
+      password: null,
+      passwordChangedAt: null,
+    },
+    media: copy.media,
+    performance: copy.performance,
+    metadata: { ...copy.metadata, isHomePage: false },
+    advancedFeatures: {
+      ...copy.advancedFeatures,
+      averageRating: 0,
+      ratingCount: 0,
+      ratingSum: 0,
+      currentVersion: 1,
+    },
+    parentPage: data.parentPage !== undefined ? data.parentPage : copy.parentPage,
+    status: 'draft',
+    author: actor._id,
+    lastModifiedBy: actor._id,
+  });
+  page.$locals.actor = actor;
+  await page.save();
+
+  return page;
+};
+
+module.exports = {
+  saveAsBlueprint,
+  listBlueprints,
+  deleteBlueprint,
+  createPageFromBlueprint,
+  clonePage,
+};
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const Page = require('../models/Page');
+const PageBlueprint = require('../models/PageBlueprint');
+const authorization = require('./authorization');
+const blueprints = require('./blueprints');
+
+const actor = { _id: new mongoose.Types.ObjectId(), role: 'editor', isActive: true };
+
+// Query stub for the slug plugin's lookup of taken slugs
+const noDocuments = () => ({ select: () => ({ lean: async () => [] }) });
+
+describe('createPageFromBlueprint', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = null;
+    jest.spyOn(authorization, 'authorize').mockResolvedValue();
+    jest.spyOn(PageBlueprint, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Page, 'find').mockImplementation(noDocuments);
+    // Validate like save() would, without a database
+    jest.spyOn(Page.prototype, 'save').mockImplementation(async function save() {
+      await this.validate();
+      saved = this;
+      return this;
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const blueprintWith = (fields) =>
+    jest.spyOn(PageBlueprint, 'findById').mockResolvedValue(
+      new PageBlueprint({
+        name: 'Hizmet sayfası',
+        template: 'default',
+        sections: [{ id: 'old', type: 'content', title: 'Giriş', data: {} }],
+        seo: { metaDescription: 'Açıklama', canonicalUrl: 'https://example.com/eski' },
+        ...fields,
+      })
+    );
+
+  it('creates a valid draft with the blueprint content and new section ids', async () => {
+    blueprintWith({ content: '<p>Başlangıç metni</p>' });
+
+    const page = await blueprints.createPageFromBlueprint(new mongoose.Types.ObjectId(), { title: 'Akupunktur' }, actor);
+
+    expect(saved).toBe(page);
+    expect(page.content).toBe('<p>Başlangıç metni</p>');
+    expect(page.status).toBe('draft');
+    expect(String(page.author)).toBe(String(actor._id));
+    expect(page.sections).toHaveLength(1);
+    expect(page.sections[0].id).not.toBe('old');
+    expect(PageBlueprint.updateOne).toHaveBeenCalledWith(expect.anything(), { $inc: { usageCount: 1 } });
+  });
+
+  it('starts blueprints saved without content with a paragraph of the title', async () => {
+    blueprintWith({ content: '' });
+
+    const page = await blueprints.createPageFromBlueprint(new mongoose.Types.ObjectId(), { title: 'Kupa <Terapisi>' }, actor);
+
+    expect(page.content).toBe('<p>Kupa &lt;Terapisi&gt;</p>');
+  });
+
+  it('prefers explicitly given content', async () => {
+    blueprintWith({ content: '<p>Şablon</p>' });
+
+    const page = await blueprints.createPageFromBlueprint(
+      new mongoose.Types.ObjectId(),
+      { title: 'Hacamat', content: '<p>Kendi metnim</p>' },
+      actor
+    );
+
+    expect(page.content).toBe('<p>Kendi metnim</p>');
+  });
+});
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * File cache driver: one JSON file per entry and one file per tag version
+ * below `directory`, named by the SHA-1 of the key. Writes go to a
+ * temporary file first so readers never see half-written entries; several
+ * processes can share the directory.
+ *
+ * Every `sweepEvery` writes the entries beyond `maxEntries` are deleted,
+ * the least recently written first, so the directory cannot grow without
+ * bounds.
+ */
+
+const hash = (value) => crypto.createHash('sha1').update(value).digest('hex');
+
+const readFile = async (file) => {
+  try {
+    return await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+const writeFile = async (file, contents) => {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const temporary = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.writeFile(temporary, contents);
+  await fs.rename(temporary, file);
+};
+
+const modifiedAt = async (file) => {
+  try {
+    return (await fs.stat(file)).mtimeMs;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+const createFileDriver = ({ directory, maxEntries = 1000, sweepEvery = 100 }) => {
+  const entriesDirectory = path.join(directory, 'entries');
+  const entryFile = (key) => path.join(entriesDirectory, `${hash(key)}.json`);
+  const tagFile = (tag) => path.join(directory, 'tags', hash(tag));
+
+  let writes = 0;
+  let sweeping = null;
+
+  // Delete the oldest entries beyond maxEntries
+  const sweep = async () => {
+    let names;
+    try {
+      names = (await fs.readdir(entriesDirectory)).filter((name) => name.endsWith('.json'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    if (names.length <= maxEntries) return;
+
+    const files = await Promise.all(
+      names.map(async (name) => {
+        const file = path.join(entriesDirectory, name);
+        return { file, modified: await modifiedAt(file) };
+      })
+    );
+    const existing = files.filter((entry) => entry.modified !== null).sort((a, b) => a.modified - b.modified);
+    await Promise.all(existing.slice(0, existing.length - maxEntries).map(({ file }) => fs.rm(file, { force: true })));
+  };
+
+  return {
+    name: 'file',
+
+    async get(key) {
+      const contents = await readFile(entryFile(key));
+      if (!contents) return null;
+
+      try {
+        return JSON.parse(contents);
+      } catch (error) {
+        // Unreadable entries count as misses
+        return null;
+      }
+    },
+
+    async set(key, entry) {
+      await writeFile(entryFile(key), JSON.stringify(entry));
+
+      writes += 1;
+      if (writes % sweepEvery === 0 && !sweeping) {
+        sweeping = sweep()
+          .catch((error) => console.error('Cache sweep failed:', error.message))
+          .finally(() => {
+            sweeping = null;
+          });
+      }
+    },
+
+    async delete(key) {
+      await fs.rm(entryFile(key), { force: true });
+    },
+
+    async clear() {
+      await fs.rm(path.join(directory, 'entries'), { recursive: true, force: true });
+    },
+
+    async getTagVersions(tags) {
+      const versions = await Promise.all(tags.map(async (tag) => (await readFile(tagFile(tag))) || '0'));
+      return Object.fromEntries(tags.map((tag, index) => [tag, versions[index]]));
+    },
+
+    async setTagVersions(versions) {
+      await Promise.all(Object.entries(versions).map(([tag, version]) => writeFile(tagFile(tag), version)));
+    },
+  };
+};
+
+module.exports = createFileDriver;
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const path = require('path');
+const Settings = require('../../models/Settings');
+const contentEvents = require('../contentEvents');
+const createMemoryDriver = require('./memoryDriver');
+const createFileDriver = require('./fileDriver');
+
+/**
+ * Cache - rendered pages and API responses
+ *
+ * Entries are stored by the driver selected with CACHE_DRIVER ('memory',
+ * an LRU, or 'file' below CACHE_PATH; both keep at most CACHE_MAX_ENTRIES) and
+ * expire after their TTL (CACHE_TTL by default). Every entry lists the
+ * dependency tags it was built from, e.g. 'page:<id>', 'menu', 'settings'
+ * or 'media:<url>'; invalidating a tag bumps its version, which turns all
+ * entries built with the old version into misses. start() invalidates
+ * tags automatically when content changes (see services/contentEvents).
+ *
+ * Caching can be switched off site-wide with Settings.performance.enableCaching.
+ */
+
+const config = {
+  driver: process.env.CACHE_DRIVER || 'memory',
+  ttl: parseInt(process.env.CACHE_TTL, 10) || 3600,
+  path: process.env.CACHE_PATH || path.join(process.cwd(), 'storage', 'cache'),
+  maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 1000,
+};
+
+const EVENTS = ['saved', 'published', 'unpublished', 'removed'];
+
+let driver = null;
+let enabled = null;
+let listening = false;
+
+const createDriver = (name) => {
+  if (name === 'file') return createFileDriver({ directory: config.path, maxEntries: config.maxEntries });
+  if (name === 'memory') return createMemoryDriver({ maxEntries: config.maxEntries });
+  throw new Error(`Unknown cache driver: ${name}`);
+};
+
+const getDriver = () => {
+  if (!driver) driver = createDriver(config.driver);
+  return driver;
+};
+
+// Switch drivers at runtime, by name or with a driver object
+const useDriver = (nameOrDriver) => {
+  driver = typeof nameOrDriver === 'string' ? createDriver(nameOrDriver) : nameOrDriver;
+  return driver;
+};
+
+// Settings.performance.enableCaching; remembered until Settings change
+const isEnabled = async () => {
+  if (enabled === null) {
+    const settings = await Settings.getCurrent();
+    enabled = !settings || !settings.performance || settings.performance.enableCaching !== false;
+  }
+  return enabled;
+};
+
+// Strong validator for a value ('"<sha1>"')
+const etagFor = (value) =>
+  `"${crypto
+    .createHash('sha1')
+    .update(typeof value === 'string' ? value : JSON.stringify(value))
+    .digest('base64url')}"`;
+
+/**
+ * Current versions of dependency tags, `{ tag: version }`. Read them before
+ * building a value and pass them to set() so a change made in the meantime
+ * invalidates the new entry as well.
+ */
+const tagVersions = (tags = []) => getDriver().getTagVersions([...new Set(tags)]);
+
+// Cached entry `{ value, etag, lastModified, expiresAt, tags }`, or null
+const get = async (key) => {
+  const store = getDriver();
+  const entry = await store.get(key);
+  if (!entry) return null;
+
+  if (entry.expiresAt <= Date.now()) {
+    await store.delete(key);
+    return null;
+  }
+
+  const current = await store.getTagVersions(Object.keys(entry.tags || {}));
+  if (Object.entries(entry.tags || {}).some(([tag, version]) => current[tag] !== version)) {
+    await store.delete(key);
+    return null;
+  }
+
+  return entry;
+};
+
+/**
+ * Store a value. Options: `ttl` in seconds, `tags` it depends on and the
+ * `versions` of those tags read before the value was built (tagVersions()).
+ * `Last-Modified` of the entry is the time it was stored: every dependency
+ * change invalidates it, so nothing it was built from is newer.
+ */
+const set = async (key, value, { ttl = config.ttl, tags = [], versions } = {}) => {
+  const now = Date.now();
+  const entry = {
+    value,
+    etag: etagFor(value),
+    lastModified: Math.floor(now / 1000) * 1000,
+    expiresAt: now + ttl * 1000,
+    tags: versions || (await tagVersions(tags)),
+  };
+
+  await getDriver().set(key, entry);
+  return entry;
+};
+
+// Builds in progress by key, so concurrent misses share one produce() call
+const building = new Map();
+
+// Cached entry for `key`, or build, store and return a new one with `produce()`
+const wrap = async (key, options, produce) => {
+  const cached = await get(key);
+  if (cached) return { ...cached, hit: true };
+
+  if (!building.has(key)) {
+    const build = (async () => {
+      const versions = await tagVersions(options.tags);
+      return set(key, await produce(), { ...options, versions });
+    })().finally(() => building.delete(key));
+    building.set(key, build);
+  }
+  return { ...(await building.get(key)), hit: false };
+};
+
+const del = (key) => getDriver().delete(key);
+
+const clear = () => getDriver().clear();
+
+// Invalidate every entry that depends on one of `tags`
+const invalidateTags = async (tags) => {
+  const version = `${Date.now().toString(36)}${crypto.randomBytes(4).toString('hex')}`;
+  await getDriver().setTagVersions(Object.fromEntries([...new Set(tags)].map((tag) => [tag, version])));
+};
+
+// ETag and Last-Modified response headers for an entry
+const headersFor = (entry) => ({
+  ETag: entry.etag,
+  'Last-Modified': new Date(entry.lastModified).toUTCString(),
+});
+
+/**
+ * Whether a conditional request (If-None-Match / If-Modified-Since in
+ * `requestHeaders`, e.g. req.headers) already has the entry's version.
+ */
+const isNotModified = (requestHeaders = {}, entry) => {
+  const ifNoneMatch = requestHeaders['if-none-match'];
+  if (ifNoneMatch) {
+    return ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some((tag) => tag.trim().replace(/^W\//, '') === entry.etag);
+  }
+
+  const since = Date.parse(requestHeaders['if-modified-since'] || '');
+  return !Number.isNaN(since) && entry.lastModified <= since;
+};
+
+/**
+ * Dependency tags touched by a content change: the document itself
+ * ('<model>:<id>') and its collection ('<model>'). Any page change also
+ * touches 'menu' (navigation and sidebars list pages), and media are
+ * referenced by URL in page content ('media:<url>').
+ */
+const tagsForChange = (model, document) => {
+  const name = model.toLowerCase();
+  const tags = [name, `${name}:${document._id}`];
+
+  if (model === 'Page') tags.push('menu');
+  if (model === 'Media') {
+    [document.url, ...(document.thumbnails || []).map((thumbnail) => thumbnail.url)]
+      .filter(Boolean)
+      .forEach((url) => tags.push(`media:${url}`));
+  }
+
+  return tags;
+};
+
+const handleChange = async ({ model, document }) => {
+  if (!document) return;
+  if (model === 'Settings') enabled = null;
+
+  try {
+    await invalidateTags(tagsForChange(model, document));
+  } catch (error) {
+    console.error(`Cache invalidation for ${model} ${document._id} failed:`, error.message);
+  }
+};
+
+// Invalidate dependent entries whenever content changes
+const start = () => {
+  if (listening) return;
+  listening = true;
+  EVENTS.forEach((event) => contentEvents.on(event, handleChange));
+};
+
+const stop = () => {
+  if (!listening) return;
+  listening = false;
+  EVENTS.forEach((event) => contentEvents.off(event, handleChange));
+};
+
+module.exports = {
+  config,
+  useDriver,
+  isEnabled,
+  etagFor,
+  tagVersions,
+  get,
+  set,
+  wrap,
+  delete: del,
+  clear,
+  invalidateTags,
+  headersFor,
+  isNotModified,
+  tagsForChange,
+  start,
+  stop,
+};
@@ -0,0 +1,49 @@
+/**
+ * In-memory cache driver with least-recently-used eviction.
+ * Entries live in a Map whose insertion order doubles as recency order;
+ * tag versions are kept apart so they are never evicted.
+ */
+const createMemoryDriver = ({ maxEntries = 1000 } = {}) => {
+  const entries = new Map();
+  const tagVersions = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async clear() {
+      entries.clear();
+    },
+
+    async getTagVersions(tags) {
+      return Object.fromEntries(tags.map((tag) => [tag, tagVersions.get(tag) || '0']));
+    },
+
+    async setTagVersions(versions) {
+      Object.entries(versions).forEach(([tag, version]) => tagVersions.set(tag, version));
+    },
+  };
+};
+
+module.exports = createMemoryDriver;
@@ -0,0 +1,322 @@
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+const Page = require('../models/Page');
+const Post = require('../models/Post');
+const Settings = require('../models/Settings');
+const authorization = require('./authorization');
+const pageAccess = require('./pageAccess');
+const { HttpError } = require('../utils/errors');
+
+/**
+ * Comments - threaded comments on pages and posts with a moderation queue
+ *
+ * New comments get a heuristic spam score. Comments at or above
+ * `Settings.comments.spamThreshold` go straight to `spam`; otherwise they are
+ * `pending` when the target (or the guest setting) requires moderation and
+ * `approved` when it does not. Public reads only ever return approved
+ * comments, and replies under a comment that is not approved stay hidden.
+ *
+ * Comments of a page are only readable and writable by visitors who may see
+ * the page itself: its visibility rules apply, and password-protected pages
+ * need an unlock token (see services/pageAccess).
+ */
+
+const TARGET_MODELS = { Page, Post };
+const MODERATION_ACTIONS = { approve: 'approved', reject: 'rejected', spam: 'spam', unapprove: 'pending' };
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const LINK_PATTERN = /(https?:\/\/|www\.)[^\s<>"']+|<a\s[^>]*href/gi;
+
+const getCommentSettings = async () => {
+  const settings = await Settings.getCurrent();
+  const comments = (settings && settings.comments) || {};
+  return {
+    maxLinks: comments.maxLinks ?? 2,
+    blockedWords: comments.blockedWords || [],
+    spamThreshold: comments.spamThreshold ?? 70,
+    moderateGuestComments: comments.moderateGuestComments !== false,
+    maxThreadDepth: comments.maxThreadDepth ?? 3,
+  };
+};
+
+const countLinks = (text) => (String(text || '').match(LINK_PATTERN) || []).length;
+
+const lower = (value) => String(value || '').toLocaleLowerCase('tr');
+
+/**
+ * Heuristic spam score between 0 and 100 with the reasons that contributed.
+ * `comment`: { content, guestName, guestEmail, author }
+ */
+const scoreComment = (comment, { maxLinks = 2, blockedWords = [] } = {}) => {
+  const reasons = [];
+  let score = 0;
+  const add = (points, reason) => {
+    score += points;
+    reasons.push(reason);
+  };
+
+  const content = String(comment.content || '');
+  const text = lower(`${comment.guestName || ''} ${content}`);
+
+  const links = countLinks(content);
+  if (links > maxLinks) {
+    add(Math.min(25 * (links - maxLinks), 60), `${links} links`);
+  } else if (links > 0 && !comment.author) {
+    add(10, 'guest comment with links');
+  }
+
+  const blocked = blockedWords.map(lower).filter((word) => word && text.includes(word));
+  if (blocked.length) {
+    add(Math.min(40 * blocked.length, 80), `blocked words: ${blocked.join(', ')}`);
+  }
+
+  if (countLinks(comment.guestName)) {
+    add(40, 'link in name');
+  }
+
+  const letters = content.replace(/[^A-Za-zÇĞİÖŞÜçğıöşü]/g, '');
+  if (letters.length >= 20 && letters.replace(/[^A-ZÇĞİÖŞÜ]/g, '').length / letters.length > 0.7) {
+    add(15, 'mostly capital letters');
+  }
+
+  if (/(.)\1{7,}/.test(content)) {
+    add(10, 'repeated characters');
+  }
+
+  if (links > 0 && content.replace(LINK_PATTERN, '').trim().length < 20) {
+    add(20, 'little text besides links');
+  }
+
+  return { score: Math.min(score, 100), reasons };
+};
+
+/**
+ * A published page or post that `user` may see. `unlockToken` unlocks
+ * password-protected pages.
+ */
+const loadTarget = async (targetType, targetId, { user = null, unlockToken = null } = {}) => {
+  const Model = TARGET_MODELS[targetType];
+  if (!Model) {
+    throw new HttpError(400, 'Comments are only supported on pages and posts');
+  }
+  if (!mongoose.isValidObjectId(targetId)) {
+    throw new HttpError(404, `${targetType} not found`);
+  }
+
+  const target = await Model.findById(targetId);
+  if (!target || target.status !== 'published') {
+    throw new HttpError(404, `${targetType} not found`);
+  }
+
+  if (targetType === 'Page') {
+    if (!(await authorization.canViewPage(user, target))) {
+      throw new HttpError(404, 'Page not found');
+    }
+    if (!pageAccess.isUnlocked(target, unlockToken)) {
+      throw new HttpError(401, 'This page is password protected');
+    }
+  }
+  return target;
+};
+
+const commentsEnabled = (targetType, target) =>
+  targetType === 'Page' ? target.advancedFeatures.enableComments : target.allowComments;
+
+const moderationRequired = (targetType, target) =>
+  targetType === 'Page' ? target.advancedFeatures.commentModeration : target.commentModeration;
+
+/**
+ * Add a comment or reply.
+ * `data`: { targetType, targetId, parentId?, content, guestName?, guestEmail? }
+ * `user` is the signed-in user, or null for guests. `options.unlockToken`
+ * unlocks password-protected pages.
+ */
+const createComment = async (data, user, { unlockToken } = {}) => {
+  const target = await loadTarget(data.targetType, data.targetId, { user, unlockToken });
+  if (!commentsEnabled(data.targetType, target)) {
+    throw new HttpError(403, 'Comments are disabled');
+  }
+
+  const settings = await getCommentSettings();
+  let ancestors = [];
+
+  if (data.parentId) {
+    const parent = mongoose.isValidObjectId(data.parentId)
+      ? await Comment.findOne({ _id: data.parentId, target: target._id, status: 'approved' })
+      : null;
+    if (!parent) {
+      throw new HttpError(404, 'Parent comment not found');
+    }
+    if (parent.ancestors.length >= settings.maxThreadDepth) {
+      throw new HttpError(400, 'Replies cannot be nested any deeper');
+    }
+    ancestors = [...parent.ancestors, parent._id];
+  }
+
+  const comment = new Comment({
+    targetType: data.targetType,
+    target: target._id,
+    parent: ancestors.length ? ancestors[ancestors.length - 1] : null,
+    ancestors,
+    author: user ? user._id : null,
+    guestName: user ? undefined : data.guestName,
+    guestEmail: user ? undefined : data.guestEmail,
+    content: data.content,
+  });
+
+  const { score, reasons } = scoreComment(comment, settings);
+  comment.spamScore = score;
+  comment.spamReasons = reasons;
+
+  if (score >= settings.spamThreshold) {
+    comment.status = 'spam';
+  } else if (user && (await authorization.can(user, 'comment:moderate'))) {
+    comment.status = 'approved';
+  } else if (moderationRequired(data.targetType, target) || (!user && settings.moderateGuestComments) || reasons.length) {
+    comment.status = 'pending';
+  } else {
+    comment.status = 'approved';
+  }
+
+  await comment.save();
+  return comment;
+};
+
+/**
+ * Approved comments of a page or post as a nested thread.
+ * Top-level comments are paginated (oldest first); each has `replies`.
+ * `options.user` and `options.unlockToken` decide whether the page is visible.
+ */
+const getThread = async (targetType, targetId, { page = 1, limit = DEFAULT_PAGE_SIZE, user, unlockToken } = {}) => {
+  const target = await loadTarget(targetType, targetId, { user, unlockToken });
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const filter = { targetType, target: target._id, status: 'approved' };
+
+  const [topLevel, total] = await Promise.all([
+    Comment.find({ ...filter, parent: null })
+      .sort({ createdAt: 1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .populate('author', 'username'),
+    Comment.countDocuments({ ...filter, parent: null }),
+  ]);
+
+  const replies = await Comment.find({ ...filter, ancestors: { $in: topLevel.map((comment) => comment._id) } })
+    .sort({ createdAt: 1 })
+    .populate('author', 'username');
+
+  // Replies are only attached below approved parents, so hidden comments
+  // hide their whole sub-thread
+  const nodes = new Map();
+  const build = (comment) => {
+    const node = { ...comment.toPublicJSON(), replies: [] };
+    nodes.set(String(comment._id), node);
+    return node;
+  };
+
+  const comments = topLevel.map(build);
+  replies.forEach((reply) => {
+    const parent = nodes.get(String(reply.parent));
+    if (parent) parent.replies.push(build(reply));
+  });
+
+  return {
+    comments,
+    total,
+    page: pageNumber,
+    pages: Math.ceil(total / pageSize),
+  };
+};
+
+// Number of publicly visible comments
+const countApproved = (targetType, targetId) =>
+  Comment.countDocuments({ targetType, target: targetId, status: 'approved' });
+
+/**
+ * Moderation queue, newest first.
+ * Options: `status` (default 'pending'), `targetType`, `targetId`, `page`, `limit`.
+ */
+const listQueue = async (actor, { status = 'pending', targetType, targetId, page = 1, limit = DEFAULT_PAGE_SIZE } = {}) => {
+  await authorization.authorize(actor, 'comment:moderate');
+
+  if (!Comment.COMMENT_STATUSES.includes(status)) {
+    throw new HttpError(400, 'Unknown comment status');
+  }
+
+  const filter = { status };
+  if (targetType) filter.targetType = targetType;
+  if (targetId) filter.target = targetId;
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+
+  const [comments, total] = await Promise.all([
+    Comment.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .populate('author', 'username email')
+      .populate('target', 'title slug'),
+    Comment.countDocuments(filter),
+  ]);
+
+  return { comments, total, page: pageNumber, pages: Math.ceil(total / pageSize) };
+};
+
+// Comments waiting in each queue, for the admin dashboard badge
+const queueCounts = async (actor) => {
+  await authorization.authorize(actor, 'comment:moderate');
+
+  const counts = await Comment.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+  return Comment.COMMENT_STATUSES.reduce((result, status) => {
+    const entry = counts.find((count) => count._id === status);
+    result[status] = entry ? entry.count : 0;
+    return result;
+  }, {});
+};
+
+/**
+ * Apply a moderation action ('approve', 'reject', 'spam', 'unapprove') to
+ * one or more comments. Resolves to the number of comments changed.
+ */
+const moderate = async (actor, commentIds, action, { note } = {}) => {
+  await authorization.authorize(actor, 'comment:moderate');
+
+  const status = MODERATION_ACTIONS[action];
+  if (!status) {
+    throw new HttpError(400, `Unknown moderation action: ${action}`);
+  }
+
+  const ids = [].concat(commentIds).filter((id) => mongoose.isValidObjectId(id));
+  const result = await Comment.updateMany(
+    { _id: { $in: ids } },
+    { $set: { status, moderatedBy: actor._id, moderatedAt: new Date(), moderationNote: note } }
+  );
+  return result.modifiedCount;
+};
+
+// Delete a comment together with all of its replies
+const deleteComment = async (actor, commentId) => {
+  await authorization.authorize(actor, 'comment:moderate');
+
+  const comment = await Comment.findById(commentId);
+  if (!comment) {
+    throw new HttpError(404, 'Comment not found');
+  }
+
+  const result = await Comment.deleteMany({ $or: [{ _id: comment._id }, { ancestors: comment._id }] });
+  return result.deletedCount;
+};
+
+module.exports = {
+  scoreComment,
+  createComment,
+  getThread,
+  countApproved,
+  listQueue,
+  queueCounts,
+  moderate,
+  deleteComment,
+};
@@ -0,0 +1,18 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Content Events - process-wide bus for content lifecycle notifications
+ *
+ * Emitted events carry `{ model, document }` where `model` is the mongoose
+ * model name ('Page', 'Post', ...) and `document` the affected document.
+ *   - published:   content went live (manually or by the scheduler)
+ *   - unpublished: content was taken down (archived or reverted to draft)
+ *   - saved:       a document was created or saved (any status)
+ *   - removed:     a document was deleted
+ */
+const contentEvents = new EventEmitter();
+
+// Many independent subsystems subscribe to the same events
+contentEvents.setMaxListeners(50);
+
+module.exports = contentEvents;
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const authorization = require('./authorization');
+const { sanitizeHtml, sanitizeCss } = require('../utils/sanitize');
+
+/**
+ * Content Policy - what editor supplied markup, styles and scripts may do
+ *
+ *   - page and section HTML is sanitized against an allowlist on save
+ *   - custom CSS is sanitized on save; section CSS is scoped to its section
+ *     when rendered (utils/sanitize scopeCss)
+ *   - `templateSettings.customJS` may only be set by users holding
+ *     `script:manage`
+ *   - rendered pages carry a Content-Security-Policy whose nonce is the only
+ *     way for inline <script>/<style> elements to run, when
+ *     `Settings.security.enableContentSecurityPolicy` is on
+ */
+
+const SCRIPT_PERMISSION = 'script:manage';
+
+const getPath = (doc, path) =>
+  typeof doc.get === 'function' ? doc.get(path) : path.split('.').reduce((value, key) => (value ? value[key] : undefined), doc);
+
+const setPath = (doc, path, value) => {
+  if (typeof doc.set === 'function') {
+    doc.set(path, value);
+    return;
+  }
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((object, key) => object[key], doc);
+  parent[keys[keys.length - 1]] = value;
+};
+
+/**
+ * Sanitize the HTML and CSS fields of a page document (or plain object)
+ * in place. Returns the paths whose value changed.
+ */
+const sanitizePage = (page) => {
+  const fields = [
+    ['content', sanitizeHtml],
+    ['templateSettings.customHeaderHTML', sanitizeHtml],
+    ['templateSettings.customFooterHTML', sanitizeHtml],
+    ['templateSettings.customCSS', sanitizeCss],
+  ];
+  (page.sections || []).forEach((section, index) => {
+    fields.push([`sections.${index}.content`, sanitizeHtml]);
+    if (section.styling) fields.push([`sections.${index}.styling.customCSS`, sanitizeCss]);
+  });
+
+  return fields
+    .filter(([path, clean]) => {
+      const value = getPath(page, path);
+      if (!value) return false;
+
+      const cleaned = clean(value);
+      if (cleaned === value) return false;
+      setPath(page, path, cleaned);
+      return true;
+    })
+    .map(([path]) => path);
+};
+
+// Whether a user (document or id) may add custom JavaScript to pages
+const canUseCustomScript = async (user) => {
+  const actor = user instanceof mongoose.Types.ObjectId || typeof user === 'string'
+    ? await User.findById(user).select('role isActive')
+    : user;
+  if (!actor) return false;
+  return authorization.can(actor, SCRIPT_PERMISSION);
+};
+
+const isEnabled = (settings = {}) => !settings.security || settings.security.enableContentSecurityPolicy !== false;
+
+const createNonce = () => crypto.randomBytes(16).toString('base64');
+
+// Hosts the analytics snippets load scripts from and report to (services/head)
+const ANALYTICS_SOURCES = {
+  googleAnalyticsId: {
+    script: ['https://www.googletagmanager.com'],
+    connect: ['https://www.google-analytics.com', 'https://*.google-analytics.com', 'https://www.googletagmanager.com'],
+  },
+  facebookPixelId: {
+    script: ['https://connect.facebook.net'],
+    connect: ['https://www.facebook.com'],
+  },
+};
+
+// Extra sources for the analytics configured in Settings.seo
+const analyticsSources = (settings = {}) => {
+  const seo = settings.seo || {};
+  const sources = Object.entries(ANALYTICS_SOURCES).filter(([field]) => seo[field]).map(([, hosts]) => hosts);
+  return {
+    script: sources.flatMap((hosts) => hosts.script),
+    connect: sources.flatMap((hosts) => hosts.connect),
+  };
+};
+
+const buildPolicy = (nonce, settings) => {
+  const extra = analyticsSources(settings);
+  return [
+    "default-src 'self'",
+    ["script-src 'self'", `'nonce-${nonce}'`, ...extra.script].join(' '),
+    ["connect-src 'self'", ...extra.connect].join(' '),
+    `style-src 'self' 'nonce-${nonce}'`,
+    // Section background colors and images are inline style attributes
+    "style-src-attr 'unsafe-inline'",
+    "img-src 'self' data: https:",
+    "font-src 'self' data: https:",
+    "media-src 'self' https:",
+    'frame-src https://www.youtube.com https://www.youtube-nocookie.com https://player.vimeo.com https://www.google.com https://maps.google.com',
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'self'",
+  ].join('; ');
+};
+
+/**
+ * Nonce and response headers for one rendered page. Without CSP the nonce
+ * is null and no header is sent.
+ */
+const policyFor = (settings) => {
+  if (!isEnabled(settings)) {
+    return { nonce: null, headers: {} };
+  }
+
+  const nonce = createNonce();
+  return { nonce, headers: { 'Content-Security-Policy': buildPolicy(nonce, settings) } };
+};
+
+module.exports = {
+  SCRIPT_PERMISSION,
+  sanitizePage,
+  canUseCustomScript,
+  policyFor,
+  buildPolicy,
+};
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const net = require('net');
+const readline = require('readline');
+
+/**
+ * GeoIP - offline IP to country lookup
+ *
+ * Reads a local CSV database of IP ranges (no network calls). Both common
+ * free formats are supported:
+ *   - DB-IP "IP to Country Lite":  1.0.0.0,1.0.0.255,AU
+ *   - IP2Location LITE DB1:        "16777216","16777471","AU","Australia"
+ * Ranges are kept in sorted arrays and looked up with a binary search.
+ */
+
+const config = {
+  databasePath: process.env.GEOIP_DATABASE_PATH || '',
+  blockedStatus: parseInt(process.env.GEOIP_BLOCKED_STATUS, 10) || 451,
+  blockedRedirect: process.env.GEOIP_BLOCKED_REDIRECT || '',
+  allowUnknown: process.env.GEOIP_ALLOW_UNKNOWN === 'true',
+};
+
+let database = null;
+let loading = null;
+
+const ipv4ToNumber = (ip) => ip.split('.').reduce((value, octet) => value * 256 + Number(octet), 0);
+
+const ipv6ToBigInt = (ip) => {
+  let address = ip;
+
+  // Embedded IPv4 tail, e.g. ::ffff:192.0.2.1
+  const v4Tail = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (v4Tail) {
+    const value = ipv4ToNumber(v4Tail[1]);
+    address = address.replace(v4Tail[1], `${Math.floor(value / 65536).toString(16)}:${(value % 65536).toString(16)}`);
+  }
+
+  const [head, tail] = address.split('::');
+  const headParts = head ? head.split(':') : [];
+  const tailParts = tail !== undefined && tail !== '' ? tail.split(':') : [];
+  const missing = tail === undefined ? 0 : 8 - headParts.length - tailParts.length;
+  const parts = [...headParts, ...Array(missing).fill('0'), ...tailParts];
+
+  return parts.reduce((value, part) => (value << 16n) + BigInt(parseInt(part || '0', 16)), 0n);
+};
+
+// Convert '::ffff:1.2.3.4' style addresses to plain IPv4
+const unwrapMappedIPv4 = (ip) => {
+  const match = String(ip || '').match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  return match ? match[1] : String(ip || '').trim();
+};
+
+const isPrivate = (ip) => {
+  if (net.isIPv4(ip)) {
+    const [a, b] = ip.split('.').map(Number);
+    return a === 10 || a === 127 || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168) || (a === 169 && b === 254);
+  }
+  const lower = ip.toLowerCase();
+  return lower === '::1' || lower.startsWith('fc') || lower.startsWith('fd') || lower.startsWith('fe80');
+};
+
+const parseBound = (value) => {
+  if (/^\d+$/.test(value)) {
+    const number = BigInt(value);
+    return number <= 0xffffffffn ? { family: 4, value: Number(number) } : { family: 6, value: number };
+  }
+  if (net.isIPv4(value)) return { family: 4, value: ipv4ToNumber(value) };
+  if (net.isIPv6(value)) return { family: 6, value: ipv6ToBigInt(value) };
+  return null;
+};
+
+const parseLine = (line) => {
+  const [start, end, country] = line.split(',').map((field) => field.trim().replace(/^"|"$/g, ''));
+  if (!start || !end || !/^[A-Z]{2}$/i.test(country || '')) return null;
+
+  const from = parseBound(start);
+  const to = parseBound(end);
+  if (!from || !to || from.family !== to.family) return null;
+
+  return { family: from.family, start: from.value, end: to.value, country: country.toUpperCase() };
+};
+
+/**
+ * Load (or reload) the range database from a CSV file.
+ * Resolves to the number of ranges loaded.
+ */
+const loadDatabase = async (filePath = config.databasePath) => {
+  if (!filePath) {
+    throw new Error('GEOIP_DATABASE_PATH is not configured');
+  }
+
+  const tables = { 4: [], 6: [] };
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    const range = parseLine(line);
+    if (range) tables[range.family].push(range);
+  }
+
+  Object.values(tables).forEach((table) => table.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0)));
+  database = tables;
+  return tables[4].length + tables[6].length;
+};
+
+const ensureLoaded = async () => {
+  if (database) return database;
+  if (!loading) {
+    loading = loadDatabase().catch((error) => {
+      loading = null;
+      throw error;
+    });
+  }
+  await loading;
+  return database;
+};
+
+const search = (table, value) => {
+  let low = 0;
+  let high = table.length - 1;
+
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    const range = table[middle];
+    if (value < range.start) {
+      high = middle - 1;
+    } else if (value > range.end) {
+      low = middle + 1;
+    } else {
+      return range.country;
+    }
+  }
+  return null;
+};
+
+/**
+ * ISO 3166-1 alpha-2 country code for an IP address, or null for private,
+ * invalid or unknown addresses.
+ */
+const lookupCountry = async (ip) => {
+  const address = unwrapMappedIPv4(ip);
+  if (!net.isIP(address) || isPrivate(address)) return null;
+
+  const tables = await ensureLoaded();
+  return net.isIPv4(address)
+    ? search(tables[4], ipv4ToNumber(address))
+    : search(tables[6], ipv6ToBigInt(address));
+};
+
+/**
+ * Check a page's geo restrictions for a visitor IP.
+ * Returns `{ allowed, country }`; the database is only consulted for pages
+ * that have restrictions enabled.
+ */
+const checkPageAccess = async (page, ip, { allowUnknown = config.allowUnknown } = {}) => {
+  const restrictions = page.visibility && page.visibility.geoRestrictions;
+  if (!restrictions || !restrictions.enabled) {
+    return { allowed: true, country: null };
+  }
+
+  const country = await lookupCountry(ip);
+  return { allowed: page.isAvailableInCountry(country, { allowUnknown }), country };
+};
+
+module.exports = {
+  config,
+  loadDatabase,
+  lookupCountry,
+  checkPageAccess,
+};
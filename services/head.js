@@ -0,0 +1,252 @@
+const SEO = require('../models/SEO');
+const Settings = require('../models/Settings');
+const robots = require('./robots');
+const sitemap = require('./sitemap');
+const { escapeHtml, attrs, stripTags } = require('../utils/html');
+const { siteUrl, absoluteUrl } = require('../utils/url');
+
+/**
+ * Head - the <head> tags of a page or post
+ *
+ * Metadata can come from four places; for every value the first one that
+ * has it wins:
+ *   1. the document itself: Page.seo, or Post.meta           source 'page' / 'post'
+ *   2. its SEO record (by associatedPage, else by pageSlug)  source 'seo'
+ *   3. the document's content: title, excerpt, image, URL   source 'content'
+ *   4. the site-wide defaults in Settings.seo                source 'settings'
+ * The title is then formatted with Settings.seo.titleTemplate. Robots
+ * directives combine the document and its SEO record (see services/robots):
+ * either one can turn indexing or following off.
+ */
+
+const DESCRIPTION_LENGTH = 160;
+const DEFAULT_TITLE_TEMPLATE = '%title% | %site%';
+const OG_LOCALE = 'tr_TR';
+
+const blank = (value) => value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+// First candidate with a value: `{ value, source }`
+const pick = (...candidates) => {
+  const found = candidates.find(([, value]) => !blank(value));
+  return found ? { value: found[1], source: found[0] } : { value: null, source: null };
+};
+
+const excerptOf = (text) => {
+  const plain = stripTags(text);
+  if (plain.length <= DESCRIPTION_LENGTH) return plain;
+  return `${plain.slice(0, DESCRIPTION_LENGTH - 1).replace(/\s+\S*$/, '')}…`;
+};
+
+/**
+ * The SEO record of a page (by associatedPage, else by slug) or of a post
+ * (by slug, pageType 'blog').
+ */
+const findSeoRecord = async (model, doc) => {
+  if (model === 'Post') {
+    return SEO.findOne({ pageSlug: doc.slug, pageType: 'blog' }).lean();
+  }
+
+  const records = await SEO.find({ $or: [{ associatedPage: doc._id }, { pageSlug: doc.slug }] }).lean();
+  return records.find((record) => String(record.associatedPage) === String(doc._id)) || records[0] || null;
+};
+
+// 'website' is the schema default of ogType, not a choice made for the content
+const chosenOgType = (ogType) => (ogType !== 'website' ? ogType : undefined);
+
+// Document-level SEO fields of a page or post in one shape
+const ownFields = (model, doc) => {
+  if (model === 'Post') {
+    const meta = doc.meta || {};
+    return { description: meta.description, keywords: meta.keywords };
+  }
+
+  const seo = doc.seo || {};
+  return {
+    title: seo.metaTitle,
+    description: seo.metaDescription,
+    keywords: seo.metaKeywords,
+    canonical: seo.canonicalUrl,
+    ogTitle: seo.ogTitle,
+    ogDescription: seo.ogDescription,
+    ogImage: seo.ogImage || seo.metaImage,
+    ogType: chosenOgType(seo.ogType),
+  };
+};
+
+const contentFields = (model, doc) => {
+  if (model === 'Post') {
+    return {
+      title: doc.title,
+      description: doc.excerpt ? excerptOf(doc.excerpt) : excerptOf(doc.content),
+      image: doc.featuredImage,
+      ogType: 'article',
+    };
+  }
+
+  const passwordProtected = doc.visibility && doc.visibility.passwordProtected;
+  return {
+    title: doc.title,
+    // The content of password-protected pages must not leak into the head
+    description: passwordProtected ? doc.excerpt : excerptOf(doc.excerpt || doc.content),
+    image: doc.media && doc.media.featuredImage,
+    ogType: 'website',
+  };
+};
+
+// Robots meta content; the source is whichever turned indexing or following off
+const resolveRobots = (model, doc, record) => {
+  const page = model === 'Page' ? doc : null;
+  const value = robots.metaContent(robots.directivesFor(page, record));
+  const seo = (page && page.seo) || {};
+
+  if (seo.robotsIndex === false || seo.robotsFollow === false) return { value, source: 'page' };
+  if (record && /no(index|follow)/.test(record.robotsMeta || '')) return { value, source: 'seo' };
+  return { value, source: 'default' };
+};
+
+const formatTitle = (title, settings) => {
+  const seo = settings.seo || {};
+  const site = seo.siteTitle || '';
+  if (!site || title === site) return title || site;
+
+  // One pass with a replacer function: '$&' or '%site%' in a title stay literal
+  const values = { title, site };
+  return (seo.titleTemplate || DEFAULT_TITLE_TEMPLATE).replace(/%(title|site)%/g, (_, name) => values[name]).trim();
+};
+
+const analyticsScripts = (seo) => {
+  const scripts = [];
+
+  if (seo.googleAnalyticsId) {
+    const id = JSON.stringify(String(seo.googleAnalyticsId));
+    scripts.push(
+      { src: `https://www.googletagmanager.com/gtag/js?id=${encodeURIComponent(seo.googleAnalyticsId)}`, async: true, source: 'settings' },
+      {
+        content: `window.dataLayer=window.dataLayer||[];function gtag(){dataLayer.push(arguments);}gtag('js',new Date());gtag('config',${id});`,
+        source: 'settings',
+      }
+    );
+  }
+
+  if (seo.facebookPixelId) {
+    const id = JSON.stringify(String(seo.facebookPixelId));
+    scripts.push({
+      content: `!function(f,b,e,v,n,t,s){if(f.fbq)return;n=f.fbq=function(){n.callMethod?n.callMethod.apply(n,arguments):n.queue.push(arguments)};if(!f._fbq)f._fbq=n;n.push=n;n.loaded=!0;n.version='2.0';n.queue=[];t=b.createElement(e);t.async=!0;t.src=v;s=b.getElementsByTagName(e)[0];s.parentNode.insertBefore(t,s)}(window,document,'script','https://connect.facebook.net/en_US/fbevents.js');fbq('init',${id});fbq('track','PageView');`,
+      source: 'settings',
+    });
+  }
+
+  return scripts;
+};
+
+/**
+ * Resolve the head of a page or post.
+ * Options: `model` ('Page' or 'Post', default 'Page'), `settings` and
+ * `seoRecord` (loaded when not given; pass `null` for none).
+ *
+ * Returns `{ values, links, meta, scripts }` where every entry of `values`
+ * is `{ value, source }`; `meta`, `links` and `scripts` are the tags to
+ * render, each with the `source` of its value (see renderHeadTags()).
+ */
+const resolveHead = async (doc, options = {}) => {
+  const model = options.model || 'Page';
+  const settings = options.settings || (await Settings.getCurrent()) || {};
+  const record = options.seoRecord !== undefined ? options.seoRecord : await findSeoRecord(model, doc);
+  const seoRecord = record || {};
+  const site = settings.seo || {};
+  const own = ownFields(model, doc);
+  const content = contentFields(model, doc);
+  const ownSource = model.toLowerCase();
+  const baseUrl = siteUrl(settings);
+
+  const title = pick([ownSource, own.title], ['seo', seoRecord.pageTitle], ['content', content.title], ['settings', site.siteTitle]);
+  const description = pick(
+    [ownSource, own.description],
+    ['seo', seoRecord.metaDescription],
+    ['content', content.description],
+    ['settings', site.siteDescription]
+  );
+  const image = pick(
+    [ownSource, own.ogImage],
+    ['seo', seoRecord.ogImage],
+    ['content', content.image],
+    ['settings', site.ogImage]
+  );
+
+  const values = {
+    title: { value: formatTitle(title.value || '', settings), source: title.source },
+    description,
+    keywords: pick([ownSource, own.keywords], ['seo', seoRecord.metaKeywords], ['settings', site.siteKeywords]),
+    author: pick(['seo', seoRecord.metaAuthor]),
+    canonical: pick(
+      [ownSource, own.canonical && absoluteUrl(baseUrl, own.canonical)],
+      ['seo', seoRecord.canonicalUrl && absoluteUrl(baseUrl, seoRecord.canonicalUrl)],
+      ['content', absoluteUrl(baseUrl, sitemap.contentPath(model, doc))]
+    ),
+    robots: resolveRobots(model, doc, record),
+    ogTitle: pick([ownSource, own.ogTitle], ['seo', seoRecord.ogTitle], [title.source, title.value]),
+    ogDescription: pick([ownSource, own.ogDescription], ['seo', seoRecord.ogDescription], [description.source, description.value]),
+    ogImage: { value: image.value && absoluteUrl(baseUrl, image.value), source: image.source },
+    ogType: pick([ownSource, own.ogType], ['seo', chosenOgType(seoRecord.ogType)], ['content', content.ogType]),
+    ogSiteName: pick(['settings', site.siteTitle]),
+    twitterCard: pick(['seo', record && seoRecord.twitterCard], ['content', image.value ? 'summary_large_image' : 'summary']),
+    twitterTitle: pick(['seo', seoRecord.twitterTitle], [title.source, title.value]),
+    twitterDescription: pick(['seo', seoRecord.twitterDescription], [description.source, description.value]),
+    twitterImage: pick(['seo', seoRecord.twitterImage && absoluteUrl(baseUrl, seoRecord.twitterImage)], [image.source, image.value && absoluteUrl(baseUrl, image.value)]),
+    twitterSite: pick(['settings', site.twitterHandle && `@${String(site.twitterHandle).replace(/^@/, '')}`]),
+    googleVerification: pick(['settings', site.googleSearchConsoleId]),
+    bingVerification: pick(['settings', site.bingWebmasterId]),
+  };
+  values.ogUrl = values.canonical;
+
+  const meta = [
+    ['name', 'description', values.description],
+    ['name', 'keywords', { ...values.keywords, value: [].concat(values.keywords.value || []).join(', ') }],
+    ['name', 'author', values.author],
+    ['name', 'robots', values.robots],
+    ['property', 'og:title', values.ogTitle],
+    ['property', 'og:description', values.ogDescription],
+    ['property', 'og:type', values.ogType],
+    ['property', 'og:url', values.ogUrl],
+    ['property', 'og:image', values.ogImage],
+    ['property', 'og:site_name', values.ogSiteName],
+    ['property', 'og:locale', { value: OG_LOCALE, source: 'default' }],
+    ['name', 'twitter:card', values.twitterCard],
+    ['name', 'twitter:title', values.twitterTitle],
+    ['name', 'twitter:description', values.twitterDescription],
+    ['name', 'twitter:image', values.twitterImage],
+    ['name', 'twitter:site', values.twitterSite],
+    ['name', 'google-site-verification', values.googleVerification],
+    ['name', 'msvalidate.01', values.bingVerification],
+  ]
+    .filter(([, , resolved]) => !blank(resolved.value))
+    .map(([attribute, name, resolved]) => ({ [attribute]: name, content: String(resolved.value), source: resolved.source }));
+
+  const links = [
+    ...(values.canonical.value ? [{ rel: 'canonical', href: values.canonical.value, source: values.canonical.source }] : []),
+    ...(seoRecord.alternateLanguages || [])
+      .filter((alternate) => alternate.language && alternate.url)
+      .map((alternate) => ({ rel: 'alternate', hreflang: alternate.language, href: absoluteUrl(baseUrl, alternate.url), source: 'seo' })),
+  ];
+
+  return { values, meta, links, scripts: analyticsScripts(site) };
+};
+
+// HTML for a resolved head; `nonce` is added to the inline scripts
+const renderHeadTags = ({ values, meta, links, scripts }, { nonce } = {}) =>
+  [
+    `<title>${escapeHtml(values.title.value)}</title>`,
+    ...meta.map(({ source, ...attributes }) => `<meta${attrs(attributes)}>`),
+    ...links.map(({ source, ...attributes }) => `<link${attrs(attributes)}>`),
+    ...scripts.map(({ src, async, content }) =>
+      src
+        ? `<script${attrs({ src, async, nonce })}></script>`
+        : `<script${attrs({ nonce })}>${content.replace(/<\/script/gi, '<\\/script')}</script>`
+    ),
+  ].join('\n');
+
+module.exports = {
+  findSeoRecord,
+  resolveHead,
+  renderHeadTags,
+};
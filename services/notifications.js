@@ -0,0 +1,54 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Notifications - outgoing e-mail for editors and authors
+ *
+ * Uses the MAIL_* environment settings. Without MAIL_HOST messages are only
+ * logged, so local setups work without an SMTP server.
+ */
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    const port = parseInt(process.env.MAIL_PORT, 10) || 587;
+    transporter = nodemailer.createTransport({
+      host: process.env.MAIL_HOST,
+      port,
+      secure: port === 465,
+      auth: process.env.MAIL_USERNAME
+        ? { user: process.env.MAIL_USERNAME, pass: process.env.MAIL_PASSWORD }
+        : undefined,
+    });
+  }
+  return transporter;
+};
+
+const fromAddress = () => {
+  const address = process.env.MAIL_FROM_ADDRESS;
+  const name = process.env.MAIL_FROM_NAME;
+  return name && address ? `"${name}" <${address}>` : address;
+};
+
+/**
+ * Send a plain-text e-mail to one or more addresses.
+ * Resolves to `{ sent: true }`, or `{ sent: false, skipped }` with the reason
+ * ('no-recipients' or 'not-configured' when MAIL_HOST is not set).
+ */
+const sendMail = async ({ to, subject, text }) => {
+  const recipients = [].concat(to || []).filter(Boolean);
+  if (recipients.length === 0) return { sent: false, skipped: 'no-recipients' };
+  if (!process.env.MAIL_HOST) return { sent: false, skipped: 'not-configured' };
+
+  await getTransporter().sendMail({
+    from: fromAddress(),
+    to: recipients.join(', '),
+    subject,
+    text,
+  });
+  return { sent: true };
+};
+
+module.exports = {
+  sendMail,
+};
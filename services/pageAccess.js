@@ -0,0 +1,150 @@
+const jwt = require('jsonwebtoken');
+const Page = require('../models/Page');
+const Settings = require('../models/Settings');
+const { HttpError } = require('../utils/errors');
+
+/**
+ * Page Access - unlock flow for password-protected pages
+ *
+ * A correct password yields a short-lived JWT scoped to that single page.
+ * Wrong attempts are counted per client and page; after
+ * `Settings.security.maxLoginAttempts` failures the client is locked out for
+ * `Settings.security.lockoutDuration` seconds.
+ */
+
+const TOKEN_SCOPE = 'page-unlock';
+const TOKEN_TTL_MINUTES = parseInt(process.env.PAGE_UNLOCK_TOKEN_MINUTES, 10) || 30;
+const UNLOCK_HEADER = 'x-page-unlock-token';
+const UNLOCK_COOKIE_PREFIX = 'page_unlock_';
+
+// `${clientKey}:${pageId}` => { failures, firstFailureAt, lockedUntil }
+const attempts = new Map();
+const MAX_TRACKED_CLIENTS = 10000;
+
+const getSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return process.env.JWT_SECRET;
+};
+
+const getLimits = async () => {
+  const settings = await Settings.getCurrent();
+  const security = (settings && settings.security) || {};
+  return {
+    maxAttempts: security.maxLoginAttempts || 5,
+    lockoutMs: (security.lockoutDuration || 900) * 1000,
+  };
+};
+
+const attemptKey = (clientKey, pageId) => `${clientKey || 'unknown'}:${pageId}`;
+
+const assertNotLocked = (key, { lockoutMs }) => {
+  const entry = attempts.get(key);
+  if (!entry) return;
+
+  if (entry.lockedUntil && entry.lockedUntil > Date.now()) {
+    const retryAfter = Math.ceil((entry.lockedUntil - Date.now()) / 1000);
+    throw new HttpError(429, 'Too many wrong password attempts, please try again later', { retryAfter });
+  }
+
+  // Lockout served, or failures old enough to be forgotten
+  if (entry.lockedUntil || entry.firstFailureAt + lockoutMs < Date.now()) {
+    attempts.delete(key);
+  }
+};
+
+/**
+ * Count an attempt before its password is checked, so concurrent requests
+ * cannot all pass the lockout check while their comparisons are running.
+ * Returns the number of attempts left after this one.
+ */
+const reserveAttempt = (key, { maxAttempts, lockoutMs }) => {
+  const entry = attempts.get(key) || { failures: 0, firstFailureAt: Date.now(), lockedUntil: null };
+  entry.failures += 1;
+  if (entry.failures >= maxAttempts) {
+    entry.lockedUntil = Date.now() + lockoutMs;
+  }
+  attempts.set(key, entry);
+
+  // Bound memory use; the oldest entries are dropped first
+  if (attempts.size > MAX_TRACKED_CLIENTS) {
+    attempts.delete(attempts.keys().next().value);
+  }
+
+  return Math.max(maxAttempts - entry.failures, 0);
+};
+
+const issueToken = (page) => {
+  const expiresIn = TOKEN_TTL_MINUTES * 60;
+  const token = jwt.sign({ scope: TOKEN_SCOPE, page: String(page._id) }, getSecret(), { expiresIn });
+  return { token, expiresAt: new Date(Date.now() + expiresIn * 1000) };
+};
+
+/**
+ * Check a password for a page and issue an unlock token.
+ * `clientKey` identifies the visitor for rate limiting (usually the IP).
+ */
+const unlockPage = async (pageId, password, { clientKey } = {}) => {
+  const page = await Page.findById(pageId).select('+visibility.password');
+  if (!page || !page.visibility.passwordProtected) {
+    throw new HttpError(404, 'Page not found');
+  }
+
+  const key = attemptKey(clientKey, page._id);
+  const limits = await getLimits();
+  // Checked and counted without awaiting in between
+  assertNotLocked(key, limits);
+  const remaining = reserveAttempt(key, limits);
+
+  if (!(await page.comparePagePassword(password))) {
+    throw new HttpError(401, 'Incorrect page password', { remainingAttempts: remaining });
+  }
+
+  // A correct password refunds the attempt and clears earlier failures
+  attempts.delete(key);
+  return issueToken(page);
+};
+
+/**
+ * Whether a token unlocks the given page. Tokens for other pages, expired
+ * tokens and tokens issued before the password last changed are rejected.
+ */
+const verifyUnlockToken = (token, page) => {
+  if (!token || !page) return false;
+
+  try {
+    const payload = jwt.verify(token, getSecret());
+    if (payload.scope !== TOKEN_SCOPE || payload.page !== String(page._id)) return false;
+
+    const changedAt = page.visibility && page.visibility.passwordChangedAt;
+    // `iat` has second precision
+    return !changedAt || payload.iat >= Math.floor(changedAt.getTime() / 1000);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Read an unlock token from the request header or the page's unlock cookie
+const tokenFromRequest = (req, pageId) => {
+  if (req.headers[UNLOCK_HEADER]) return req.headers[UNLOCK_HEADER];
+
+  const cookieName = `${UNLOCK_COOKIE_PREFIX}${pageId}`;
+  const cookie = (req.headers.cookie || '')
+    .split(';')
+    .map((part) => part.trim().split('='))
+    .find(([name]) => name === cookieName);
+
+  return cookie ? decodeURIComponent(cookie.slice(1).join('=')) : null;
+};
+
+// Whether a request may see the content of a page
+const isUnlocked = (page, token) => !page.visibility.passwordProtected || verifyUnlockToken(token, page);
+
+module.exports = {
+  unlockPage,
+  verifyUnlockToken,
+  tokenFromRequest,
+  isUnlocked,
+  UNLOCK_COOKIE_PREFIX,
+};
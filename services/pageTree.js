@@ -0,0 +1,224 @@
+const Page = require('../models/Page');
+
+/**
+ * Page Tree - hierarchical page operations
+ *
+ * The Page model keeps `ancestors`, `path` and the parent's `childPages` in
+ * sync on every save; this service adds the operations that touch several
+ * pages at once (moving, reordering, building the tree, repairing legacy data).
+ */
+
+const sameId = (a, b) => String(a || '') === String(b || '');
+
+const loadPage = async (pageId) => {
+  const page = await Page.findById(pageId);
+  if (!page) {
+    throw new Error('Page not found');
+  }
+  return page;
+};
+
+const siblingsOf = (parentId) =>
+  Page.find({ parentPage: parentId || null })
+    .select('_id metadata.displayOrder title')
+    .sort({ 'metadata.displayOrder': 1, title: 1 });
+
+/**
+ * Assign `metadata.displayOrder` to the children of a parent (null = root
+ * level) in the given order and mirror it in the parent's `childPages`.
+ * Children not listed keep their relative order after the listed ones.
+ */
+const reorderChildren = async (parentId, orderedIds) => {
+  const siblings = await siblingsOf(parentId);
+  const siblingIds = siblings.map((page) => String(page._id));
+
+  const unknown = orderedIds.filter((id) => !siblingIds.includes(String(id)));
+  if (unknown.length) {
+    throw new Error(`Pages ${unknown.join(', ')} are not children of this parent`);
+  }
+
+  const listed = orderedIds.map(String);
+  const order = [...listed, ...siblingIds.filter((id) => !listed.includes(id))];
+
+  if (order.length) {
+    await Page.bulkWrite(
+      order.map((id, index) => ({
+        updateOne: {
+          filter: { _id: id },
+          update: { $set: { 'metadata.displayOrder': index } },
+        },
+      }))
+    );
+  }
+
+  if (parentId) {
+    await Page.updateOne({ _id: parentId }, { $set: { childPages: order } });
+  }
+
+  return order;
+};
+
+/**
+ * Move a page (and with it its whole subtree) below a new parent.
+ * `parentId` null moves it to the root; `position` is the index among the new
+ * siblings, defaulting to the end.
+ */
+const movePage = async (pageId, parentId, position, userId) => {
+  const page = await loadPage(pageId);
+
+  if (!sameId(page.parentPage, parentId)) {
+    page.parentPage = parentId || null;
+    if (userId) page.lastModifiedBy = userId;
+    await page.save();
+  }
+
+  const siblingIds = (await siblingsOf(parentId))
+    .map((sibling) => String(sibling._id))
+    .filter((id) => id !== String(page._id));
+  const index = position === undefined || position === null
+    ? siblingIds.length
+    : Math.max(0, Math.min(position, siblingIds.length));
+
+  siblingIds.splice(index, 0, String(page._id));
+  await reorderChildren(parentId, siblingIds);
+
+  return loadPage(pageId);
+};
+
+// Resolve a nested URL path such as '/hizmetler/akupunktur/fiyatlar'
+const resolvePath = (path) => {
+  const normalized = String(path || '').replace(/^\/+|\/+$/g, '');
+  if (!normalized) {
+    return Page.findHomePage();
+  }
+  return Page.findByPath(normalized);
+};
+
+const getBreadcrumbs = async (pageId) => {
+  const page = await loadPage(pageId);
+  return page.getBreadcrumbs();
+};
+
+/**
+ * Nested tree of pages ordered by `metadata.displayOrder`.
+ * Returns `[{ id, title, slug, url, status, children: [...] }]`.
+ */
+const getTree = async (filter = {}) => {
+  const pages = await Page.find(filter)
+    .select('title slug path status parentPage metadata')
+    .sort({ 'metadata.displayOrder': 1, title: 1 });
+
+  const nodes = new Map(
+    pages.map((page) => [
+      String(page._id),
+      {
+        id: page._id,
+        title: page.title,
+        slug: page.slug,
+        url: page.url,
+        status: page.status,
+        children: [],
+      },
+    ])
+  );
+
+  const roots = [];
+  pages.forEach((page) => {
+    const node = nodes.get(String(page._id));
+    const parent = page.parentPage && nodes.get(String(page.parentPage));
+    (parent ? parent.children : roots).push(node);
+  });
+
+  return roots;
+};
+
+// Pages with children cannot be deleted; move or delete the children first
+const deletePage = async (pageId) => {
+  const page = await loadPage(pageId);
+
+  if (await Page.exists({ parentPage: page._id })) {
+    throw new Error('Cannot delete a page that still has child pages');
+  }
+
+  await page.deleteOne();
+  if (page.parentPage) {
+    await Page.updateOne({ _id: page.parentPage }, { $pull: { childPages: page._id } });
+  }
+
+  return page;
+};
+
+/**
+ * Recompute `ancestors`, `path` and `childPages` for every page from the
+ * `parentPage` pointers. Used to backfill existing data; parent pointers
+ * that form a cycle or point to a missing page are reset to the root.
+ */
+const rebuildTree = async () => {
+  const pages = await Page.find().select('slug parentPage metadata.displayOrder').lean();
+  const byId = new Map(pages.map((page) => [String(page._id), page]));
+  const resolved = new Map();
+  const detached = [];
+
+  const resolve = (page, visiting = new Set()) => {
+    const id = String(page._id);
+    if (resolved.has(id)) return resolved.get(id);
+
+    const parent = page.parentPage && byId.get(String(page.parentPage));
+    let result = { ancestors: [], path: page.slug, parentPage: null };
+
+    if (parent && !visiting.has(String(parent._id))) {
+      visiting.add(id);
+      const parentResult = resolve(parent, visiting);
+      result = {
+        ancestors: [...parentResult.ancestors, parent._id],
+        path: `${parentResult.path}/${page.slug}`,
+        parentPage: parent._id,
+      };
+    } else if (page.parentPage) {
+      detached.push(page._id);
+    }
+
+    resolved.set(id, result);
+    return result;
+  };
+
+  pages.forEach((page) => resolve(page));
+
+  const childPages = new Map();
+  [...pages]
+    .sort((a, b) => ((a.metadata && a.metadata.displayOrder) || 0) - ((b.metadata && b.metadata.displayOrder) || 0))
+    .forEach((page) => {
+      const { parentPage } = resolved.get(String(page._id));
+      if (!parentPage) return;
+      const key = String(parentPage);
+      childPages.set(key, [...(childPages.get(key) || []), page._id]);
+    });
+
+  if (pages.length) {
+    await Page.bulkWrite(
+      pages.map((page) => ({
+        updateOne: {
+          filter: { _id: page._id },
+          update: {
+            $set: {
+              ...resolved.get(String(page._id)),
+              childPages: childPages.get(String(page._id)) || [],
+            },
+          },
+        },
+      }))
+    );
+  }
+
+  return { updated: pages.length, detached };
+};
+
+module.exports = {
+  movePage,
+  reorderChildren,
+  resolvePath,
+  getBreadcrumbs,
+  getTree,
+  deletePage,
+  rebuildTree,
+};
@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const Page = require('../models/Page');
+const Rating = require('../models/Rating');
+const authorization = require('./authorization');
+const pageAccess = require('./pageAccess');
+const { scopedVisitorId } = require('../utils/visitorId');
+const { HttpError } = require('../utils/errors');
+
+/**
+ * Page Ratings - one vote per visitor, with aggregates kept on the page
+ *
+ * Votes are keyed by user id, or for guests by a hash of IP address and
+ * user agent scoped to the page (no cookies). Rating again replaces the
+ * earlier vote. `advancedFeatures.ratingSum/ratingCount/averageRating` are
+ * changed with a single pipeline update per vote, so concurrent votes never
+ * overwrite each other.
+ */
+
+const BEST_RATING = 5;
+const WORST_RATING = 1;
+
+const voterKey = (pageId, { user, ip, userAgent } = {}) =>
+  user ? `user:${user._id}` : `guest:${scopedVisitorId(`rating:${pageId}`, ip, userAgent)}`;
+
+// A published page the visitor may see and has unlocked; others are not found
+const loadRatablePage = async (pageId, { user = null, unlockToken = null } = {}) => {
+  const page = mongoose.isValidObjectId(pageId) ? await Page.findOne({ _id: pageId, status: 'published' }) : null;
+  if (!page || !(await authorization.canViewPage(user, page)) || !pageAccess.isUnlocked(page, unlockToken)) {
+    throw new HttpError(404, 'Page not found');
+  }
+  if (!page.advancedFeatures.enableRating) {
+    throw new HttpError(403, 'Ratings are disabled for this page');
+  }
+  return page;
+};
+
+// Add `sumDelta`/`countDelta` and recompute the average in the same update
+const applyDelta = (pageId, sumDelta, countDelta) =>
+  Page.findOneAndUpdate(
+    { _id: pageId },
+    [
+      {
+        $set: {
+          'advancedFeatures.ratingSum': { $add: [{ $ifNull: ['$advancedFeatures.ratingSum', 0] }, sumDelta] },
+          'advancedFeatures.ratingCount': { $add: [{ $ifNull: ['$advancedFeatures.ratingCount', 0] }, countDelta] },
+        },
+      },
+      {
+        $set: {
+          'advancedFeatures.averageRating': {
+            $cond: [
+              { $gt: ['$advancedFeatures.ratingCount', 0] },
+              { $round: [{ $divide: ['$advancedFeatures.ratingSum', '$advancedFeatures.ratingCount'] }, 2] },
+              0,
+            ],
+          },
+        },
+      },
+    ],
+    { new: true, projection: { advancedFeatures: 1 } }
+  );
+
+const summaryOf = (page) => ({
+  averageRating: page.advancedFeatures.averageRating,
+  ratingCount: page.advancedFeatures.ratingCount,
+});
+
+const upsertVote = (page, voter, user, value) =>
+  Rating.findOneAndUpdate(
+    { page: page._id, voter },
+    { $set: { value, user: user ? user._id : null } },
+    { upsert: true, new: false, runValidators: true, includeResultMetadata: true }
+  );
+
+/**
+ * Rate a page from 1 to 5. `client`: { user, ip, userAgent, unlockToken };
+ * `unlockToken` is needed for password-protected pages (see services/pageAccess).
+ * Resolves to `{ value, previousValue, averageRating, ratingCount }`.
+ */
+const ratePage = async (pageId, value, client = {}) => {
+  const rating = Number(value);
+  if (!Number.isInteger(rating) || rating < WORST_RATING || rating > BEST_RATING) {
+    throw new HttpError(400, `Rating must be a whole number between ${WORST_RATING} and ${BEST_RATING}`);
+  }
+
+  const page = await loadRatablePage(pageId, client);
+  const voter = voterKey(page._id, client);
+
+  let result;
+  try {
+    result = await upsertVote(page, voter, client.user, rating);
+  } catch (error) {
+    // Two first votes from the same voter raced on the unique index; the
+    // retry finds the other one and updates it
+    if (error.code !== 11000) throw error;
+    result = await upsertVote(page, voter, client.user, rating);
+  }
+
+  const previousValue = result.value ? result.value.value : null;
+  const updated = await applyDelta(page._id, rating - (previousValue || 0), previousValue === null ? 1 : 0);
+
+  return { value: rating, previousValue, ...summaryOf(updated) };
+};
+
+// Withdraw the visitor's vote, if any
+const removeRating = async (pageId, client = {}) => {
+  const page = await loadRatablePage(pageId, client);
+  const removed = await Rating.findOneAndDelete({ page: page._id, voter: voterKey(page._id, client) });
+
+  const updated = removed ? await applyDelta(page._id, -removed.value, -1) : page;
+  return { removed: Boolean(removed), ...summaryOf(updated) };
+};
+
+// The visitor's current vote (null when they have not rated the page)
+const getVisitorRating = async (pageId, client = {}) => {
+  const rating = await Rating.findOne({ page: pageId, voter: voterKey(pageId, client) }).select('value');
+  return rating ? rating.value : null;
+};
+
+/**
+ * Recompute a page's aggregates from its Rating records, e.g. after
+ * deleting ratings directly or to repair drift.
+ */
+const recalculate = async (pageId) => {
+  const [totals] = await Rating.aggregate([
+    { $match: { page: new mongoose.Types.ObjectId(String(pageId)) } },
+    { $group: { _id: null, sum: { $sum: '$value' }, count: { $sum: 1 } } },
+  ]);
+
+  const sum = totals ? totals.sum : 0;
+  const count = totals ? totals.count : 0;
+  const page = await Page.findByIdAndUpdate(
+    pageId,
+    {
+      $set: {
+        'advancedFeatures.ratingSum': sum,
+        'advancedFeatures.ratingCount': count,
+        'advancedFeatures.averageRating': count ? Math.round((sum / count) * 100) / 100 : 0,
+      },
+    },
+    { new: true, projection: { advancedFeatures: 1 } }
+  );
+
+  return page ? summaryOf(page) : null;
+};
+
+/**
+ * schema.org AggregateRating for a page's structured data, or null when
+ * ratings are disabled or there are none yet.
+ */
+const toAggregateRating = (page) => {
+  const features = page.advancedFeatures || {};
+  if (!features.enableRating || !features.ratingCount) return null;
+
+  return {
+    '@type': 'AggregateRating',
+    ratingValue: features.averageRating,
+    ratingCount: features.ratingCount,
+    bestRating: BEST_RATING,
+    worstRating: WORST_RATING,
+  };
+};
+
+module.exports = {
+  ratePage,
+  removeRating,
+  getVisitorRating,
+  recalculate,
+  toAggregateRating,
+};
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const Page = require('../models/Page');
+const Rating = require('../models/Rating');
+const ratings = require('./ratings');
+
+const client = { user: { _id: new mongoose.Types.ObjectId(), role: 'subscriber' }, ip: '203.0.113.5', userAgent: 'jest' };
+
+const pageWith = (visibility) =>
+  jest.spyOn(Page, 'findOne').mockResolvedValue(
+    new Page({
+      title: 'Akupunktur',
+      slug: 'akupunktur',
+      content: '<p>Akupunktur</p>',
+      author: new mongoose.Types.ObjectId(),
+      status: 'published',
+      publishedAt: new Date('2024-01-01'),
+      visibility,
+      advancedFeatures: { enableRating: true },
+    })
+  );
+
+describe('ratePage', () => {
+  beforeEach(() => {
+    jest.spyOn(Rating, 'findOneAndUpdate').mockResolvedValue({ value: null });
+    jest.spyOn(Page, 'findOneAndUpdate').mockResolvedValue({ advancedFeatures: { averageRating: 4, ratingCount: 1 } });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('records a vote on a page the visitor may see', async () => {
+    pageWith({ isPublic: true });
+
+    await expect(ratings.ratePage(new mongoose.Types.ObjectId(), 4, client)).resolves.toEqual({
+      value: 4,
+      previousValue: null,
+      averageRating: 4,
+      ratingCount: 1,
+    });
+  });
+
+  it('does not find pages restricted to other users', async () => {
+    pageWith({ restrictedUsers: [new mongoose.Types.ObjectId()] });
+
+    await expect(ratings.ratePage(new mongoose.Types.ObjectId(), 4, client)).rejects.toMatchObject({ statusCode: 404 });
+    expect(Rating.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('does not find password-protected pages without an unlock token', async () => {
+    pageWith({ passwordProtected: true, password: 'gizli-parola' });
+
+    await expect(ratings.ratePage(new mongoose.Types.ObjectId(), 4, client)).rejects.toMatchObject({ statusCode: 404 });
+    await expect(ratings.removeRating(new mongoose.Types.ObjectId(), { ...client, unlockToken: 'gecersiz' })).rejects.toMatchObject({
+      statusCode: 404,
+    });
+    expect(Rating.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
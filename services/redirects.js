@@ -0,0 +1,494 @@
+const Redirect = require('../models/Redirect');
+const authorization = require('./authorization');
+const { HttpError } = require('../utils/errors');
+const { parseCsv, toCsv } = require('../utils/csv');
+
+/**
+ * Redirects - matching, hit counting and management of Redirect rules
+ *
+ * Active rules are compiled into an in-memory table so the middleware
+ * (middleware/redirects) can answer requests without a database query:
+ * exact rules are a Map lookup, prefix rules are looked up once per path
+ * segment and only regex rules are tried one by one, in creation order
+ * (and only for paths up to `config.maxRegexPathLength` characters).
+ * Exact rules win over prefix rules, the longest prefix wins over shorter
+ * ones and prefix rules win over regex rules. The table is rebuilt after
+ * every change made through this service and at least every
+ * REDIRECT_CACHE_SECONDS for changes made by other processes.
+ *
+ * Hits are counted in memory and written in batches.
+ */
+
+const config = {
+  cacheSeconds: parseInt(process.env.REDIRECT_CACHE_SECONDS, 10) || 60,
+  flushSeconds: parseInt(process.env.REDIRECT_HIT_FLUSH_SECONDS, 10) || 30,
+  // Longest chain that is followed before a redirect is reported as a loop
+  maxHops: 10,
+  // Longer paths are not tested against regex rules, which bounds the work per request
+  maxRegexPathLength: 256,
+};
+
+const EDITABLE_FIELDS = ['source', 'target', 'statusCode', 'matchType', 'preserveQueryString', 'caseSensitive', 'isActive', 'notes'];
+const CSV_COLUMNS = EDITABLE_FIELDS;
+const BOOLEAN_COLUMNS = ['preserveQueryString', 'caseSensitive', 'isActive'];
+
+let table = null;
+let loadedAt = 0;
+let loading = null;
+let hitBuffer = new Map();
+let timer = null;
+
+const fold = (value, rule) => (rule.caseSensitive ? value : value.toLowerCase());
+
+// Build the lookup structures for a list of (active) rules
+const compile = (rules) => {
+  const compiled = { exact: new Map(), prefix: new Map(), regex: [] };
+
+  rules.forEach((rule) => {
+    if (rule.matchType === 'regex') {
+      // Rules saved before the pattern checks existed are checked here too
+      const error = Redirect.patternError(rule.source);
+      if (error) {
+        console.error(`Skipping redirect ${rule._id}: ${error}`);
+      } else {
+        compiled.regex.push({ rule, pattern: new RegExp(rule.source, rule.caseSensitive ? '' : 'i') });
+      }
+      return;
+    }
+
+    // Keys are lower-case; case-sensitive rules compare the original below
+    const key = rule.source.toLowerCase();
+    const bucket = compiled[rule.matchType];
+    bucket.set(key, [...(bucket.get(key) || []), rule]);
+  });
+
+  return compiled;
+};
+
+const pickRule = (candidates, path) => (candidates || []).find((rule) => fold(path, rule) === fold(rule.source, rule));
+
+// '/a/b/c' -> ['/a/b/c', '/a/b', '/a', '/']
+const prefixesOf = (path) => {
+  const prefixes = [];
+  for (let end = path.length; end > 0; end = path.lastIndexOf('/', end - 1)) {
+    prefixes.push(path.slice(0, end));
+  }
+  if (path !== '/') prefixes.push('/');
+  return prefixes;
+};
+
+// Join a prefix rule's target and the rest of the path ('/yeni' + '/a' -> '/yeni/a')
+const appendRemainder = (target, remainder) => {
+  if (!remainder) return target;
+  const [base, query] = target.split('?');
+  return `${base.replace(/\/+$/, '')}${remainder}${query ? `?${query}` : ''}`;
+};
+
+// Host of an absolute URL, undefined for site paths
+const hostOf = (url) => (url.match(/^https?:\/\/([^/?#]+)/i) || [])[1];
+
+// Whether a location built from a rule still goes where the rule's target does
+const isSafeLocation = (location, target) =>
+  Redirect.isValidTarget(location) && String(hostOf(location)).toLowerCase() === String(hostOf(target)).toLowerCase();
+
+/**
+ * Find the rule for a path in a compiled table.
+ * Returns `{ rule, location }` or null. Locations built from the request
+ * path (prefix and regex rules) must still be valid targets, so a crafted
+ * path cannot turn a rule into a redirect to another host.
+ */
+const findMatch = (compiled, requestPath) => {
+  const path = Redirect.normalizePath(requestPath);
+
+  const exact = pickRule(compiled.exact.get(path.toLowerCase()), path);
+  if (exact) return { rule: exact, location: exact.target };
+
+  for (const prefix of prefixesOf(path)) {
+    const rule = pickRule(compiled.prefix.get(prefix.toLowerCase()), path.slice(0, prefix.length));
+    if (rule) {
+      const remainder = prefix === '/' ? path.replace(/^\/$/, '') : path.slice(prefix.length);
+      const location = appendRemainder(rule.target, remainder);
+      return isSafeLocation(location, rule.target) ? { rule, location } : null;
+    }
+  }
+
+  if (path.length > config.maxRegexPathLength) return null;
+
+  for (const { rule, pattern } of compiled.regex) {
+    const match = path.match(pattern);
+    if (match) {
+      const location = rule.target.replace(/\$(\d)/g, (_, group) => match[group] || '');
+      if (isSafeLocation(location, rule.target)) return { rule, location };
+    }
+  }
+
+  return null;
+};
+
+const loadActiveRules = () =>
+  Redirect.find({ isActive: true })
+    .select('source matchType target statusCode preserveQueryString caseSensitive')
+    .sort({ createdAt: 1 })
+    .lean();
+
+const loadTable = async () => {
+  table = compile(await loadActiveRules());
+  loadedAt = Date.now();
+  return table;
+};
+
+const ensureTable = async () => {
+  if (table && Date.now() - loadedAt < config.cacheSeconds * 1000) return table;
+  if (!loading) {
+    loading = loadTable().finally(() => {
+      loading = null;
+    });
+  }
+  return loading;
+};
+
+// Rebuild the table on the next request
+const invalidate = () => {
+  table = null;
+};
+
+/**
+ * Redirect for a request path, or null.
+ * Resolves to `{ rule, location }` (location without the request's query string).
+ */
+const match = async (path) => findMatch(await ensureTable(), path);
+
+// Count a hit for a matched rule; written by flushHits()
+const recordHit = (rule) => {
+  const id = String(rule._id);
+  const entry = hitBuffer.get(id) || { count: 0, lastHitAt: null };
+  entry.count += 1;
+  entry.lastHitAt = new Date();
+  hitBuffer.set(id, entry);
+};
+
+const flushHits = async () => {
+  if (hitBuffer.size === 0) return 0;
+  const pending = hitBuffer;
+  hitBuffer = new Map();
+
+  await Redirect.bulkWrite(
+    [...pending].map(([id, { count, lastHitAt }]) => ({
+      updateOne: {
+        filter: { _id: id },
+        update: { $inc: { hits: count }, $max: { lastHitAt } },
+      },
+    })),
+    { ordered: false }
+  );
+  return pending.size;
+};
+
+const isInternal = (location) => location.startsWith('/');
+
+// Path a rule is checked from: its own source, or for regex rules its
+// target (external targets cannot loop back)
+const startPathFor = (rule) => (rule.matchType === 'regex' ? rule.target.replace(/\$\d/g, '') : rule.source);
+
+/**
+ * Follow redirects from a path through a compiled table.
+ * Returns `{ hops: [{ rule, from, to }], loop }`; `loop` is true when the
+ * chain comes back to a path it already passed or exceeds `config.maxHops`.
+ */
+const trace = (compiled, startPath) => {
+  const hops = [];
+  const visited = new Set();
+  let current = Redirect.normalizePath(startPath);
+
+  while (hops.length <= config.maxHops) {
+    visited.add(current.toLowerCase());
+    const found = findMatch(compiled, current);
+    if (!found) return { hops, loop: false };
+
+    hops.push({ rule: found.rule, from: current, to: found.location });
+    if (!isInternal(found.location)) return { hops, loop: false };
+
+    current = Redirect.normalizePath(found.location);
+    if (visited.has(current.toLowerCase())) return { hops, loop: true };
+  }
+  return { hops, loop: true };
+};
+
+const describeHops = (hops) => hops.map(({ from, to }) => `${from} -> ${to}`);
+
+/**
+ * Check a rule against the other active rules. Throws a 409 HttpError for
+ * loops; returns warnings for chains (the target redirects again).
+ */
+const checkRule = (rule, otherRules) => {
+  if (rule.isActive === false) return [];
+
+  const id = rule._id && String(rule._id);
+  const candidate = rule.toObject ? rule.toObject() : rule;
+  if (!isInternal(startPathFor(candidate))) return [];
+
+  const compiled = compile([candidate, ...otherRules.filter((other) => String(other._id) !== id)]);
+  const { hops, loop } = trace(compiled, startPathFor(candidate));
+
+  if (loop) {
+    throw new HttpError(409, 'Redirect would create a loop', { chain: describeHops(hops) });
+  }
+  return hops.length > 1 ? [`Redirect chain of ${hops.length} hops: ${describeHops(hops).join(', ')}`] : [];
+};
+
+const loadRedirect = async (redirectId) => {
+  const redirect = await Redirect.findById(redirectId);
+  if (!redirect) {
+    throw new HttpError(404, 'Redirect not found');
+  }
+  return redirect;
+};
+
+const pickEditable = (data) =>
+  Object.fromEntries(Object.entries(data || {}).filter(([field, value]) => EDITABLE_FIELDS.includes(field) && value !== undefined));
+
+const saveChecked = async (redirect) => {
+  await redirect.validate();
+  const warnings = checkRule(redirect, await loadActiveRules());
+
+  try {
+    await redirect.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new HttpError(409, 'A redirect for this source already exists');
+    }
+    throw error;
+  }
+
+  invalidate();
+  return { redirect, warnings };
+};
+
+/**
+ * Paginated list of redirects.
+ * Options: { search, matchType, isActive, page, limit, sort }
+ */
+const listRedirects = async (options = {}, actor) => {
+  await authorization.authorize(actor, 'redirect:manage');
+
+  const page = Math.max(1, parseInt(options.page, 10) || 1);
+  const limit = Math.min(200, Math.max(1, parseInt(options.limit, 10) || 50));
+  const filter = {};
+  if (options.matchType) filter.matchType = options.matchType;
+  if (options.isActive !== undefined) filter.isActive = options.isActive;
+  if (options.search) {
+    const pattern = new RegExp(String(options.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    filter.$or = [{ source: pattern }, { target: pattern }, { notes: pattern }];
+  }
+
+  const [redirects, total] = await Promise.all([
+    Redirect.find(filter)
+      .sort(options.sort || { createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Redirect.countDocuments(filter),
+  ]);
+
+  return { redirects, total, page, pages: Math.ceil(total / limit) };
+};
+
+// Resolves to `{ redirect, warnings }`
+const createRedirect = async (data, actor) => {
+  await authorization.authorize(actor, 'redirect:manage');
+  return saveChecked(new Redirect({ ...pickEditable(data), createdBy: actor._id, updatedBy: actor._id }));
+};
+
+// Resolves to `{ redirect, warnings }`
+const updateRedirect = async (redirectId, data, actor) => {
+  await authorization.authorize(actor, 'redirect:manage');
+  const redirect = await loadRedirect(redirectId);
+  redirect.set({ ...pickEditable(data), updatedBy: actor._id });
+  return saveChecked(redirect);
+};
+
+const deleteRedirect = async (redirectId, actor) => {
+  await authorization.authorize(actor, 'redirect:manage');
+  const redirect = await loadRedirect(redirectId);
+  await redirect.deleteOne();
+  invalidate();
+  return redirect;
+};
+
+/**
+ * Report every chain and loop among the active rules (regex rules are
+ * checked from their target). Returns `[{ redirect, loop, chain }]`.
+ */
+const findChains = async (actor) => {
+  await authorization.authorize(actor, 'redirect:manage');
+  const rules = await loadActiveRules();
+  const compiled = compile(rules);
+
+  return rules
+    .filter((rule) => isInternal(startPathFor(rule)))
+    .map((rule) => ({ rule, ...trace(compiled, startPathFor(rule)) }))
+    .filter(({ hops, loop }) => loop || hops.length > 1)
+    .map(({ rule, hops, loop }) => ({ redirect: rule, loop, chain: describeHops(hops) }));
+};
+
+const parseBoolean = (value) => {
+  const text = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes', 'evet'].includes(text)) return true;
+  if (['false', '0', 'no', 'hayir', 'hayır'].includes(text)) return false;
+  return undefined;
+};
+
+const rowToData = (header, cells) => {
+  const data = {};
+  header.forEach((column, index) => {
+    const value = (cells[index] || '').trim();
+    if (!CSV_COLUMNS.includes(column) || value === '') return;
+
+    if (column === 'statusCode') data.statusCode = Number(value);
+    else if (BOOLEAN_COLUMNS.includes(column)) data[column] = parseBoolean(value);
+    else data[column] = value;
+  });
+  return data;
+};
+
+/**
+ * Import redirects from CSV. The first line is a header naming the columns
+ * (source and target are required; see CSV_COLUMNS for the rest). Rows
+ * with the same matchType and source as an existing redirect update it.
+ * Invalid rows and rows that would create a loop are skipped and reported;
+ * with `dryRun` nothing is written.
+ * Resolves to `{ created, updated, errors: [{ line, message }], warnings }`.
+ */
+const importCsv = async (csv, actor, { dryRun = false } = {}) => {
+  await authorization.authorize(actor, 'redirect:manage');
+
+  const [header = [], ...rows] = parseCsv(csv);
+  const columns = header.map((column) => column.trim());
+  if (!columns.includes('source') || !columns.includes('target')) {
+    throw new HttpError(400, 'CSV header must contain source and target columns');
+  }
+
+  const errors = [];
+  const warnings = [];
+  const accepted = new Map();
+
+  for (const [index, cells] of rows.entries()) {
+    const line = index + 2;
+    const redirect = new Redirect({ ...rowToData(columns, cells), createdBy: actor._id, updatedBy: actor._id });
+    try {
+      await redirect.validate();
+      accepted.set(`${redirect.matchType} ${redirect.source}`, { line, redirect });
+    } catch (error) {
+      const messages = error.errors ? Object.values(error.errors).map((fieldError) => fieldError.message) : [error.message];
+      errors.push({ line, message: messages.join('; ') });
+    }
+  }
+
+  if (accepted.size === 0) {
+    return { created: 0, updated: 0, errors, warnings };
+  }
+
+  // Check every row against the existing rules combined with the other rows
+  const existing = await Redirect.find({
+    $or: [...accepted.values()].map(({ redirect }) => ({ matchType: redirect.matchType, source: redirect.source })),
+  })
+    .select('matchType source')
+    .lean();
+  const existingKeys = new Set(existing.map((rule) => `${rule.matchType} ${rule.source}`));
+
+  const replaced = (rule) => accepted.has(`${rule.matchType} ${rule.source}`);
+  let others = [
+    ...(await loadActiveRules()).filter((rule) => !replaced(rule)),
+    ...[...accepted.values()].filter(({ redirect }) => redirect.isActive).map(({ redirect }) => redirect.toObject()),
+  ];
+
+  for (const [key, { line, redirect }] of [...accepted]) {
+    try {
+      warnings.push(...checkRule(redirect, others).map((message) => ({ line, message })));
+    } catch (error) {
+      errors.push({ line, message: error.message });
+      accepted.delete(key);
+      others = others.filter((rule) => String(rule._id) !== String(redirect._id));
+    }
+  }
+
+  const result = {
+    created: [...accepted.keys()].filter((key) => !existingKeys.has(key)).length,
+    updated: [...accepted.keys()].filter((key) => existingKeys.has(key)).length,
+    errors: errors.sort((a, b) => a.line - b.line),
+    warnings,
+  };
+  if (dryRun || accepted.size === 0) return result;
+
+  await Redirect.bulkWrite(
+    [...accepted.values()].map(({ redirect }) => {
+      const { _id, createdBy, hits, lastHitAt, createdAt, updatedAt, ...fields } = redirect.toObject();
+      return {
+        updateOne: {
+          filter: { matchType: redirect.matchType, source: redirect.source },
+          update: { $set: fields, $setOnInsert: { createdBy, hits: 0, lastHitAt: null } },
+          upsert: true,
+        },
+      };
+    }),
+    { ordered: false }
+  );
+
+  invalidate();
+  return result;
+};
+
+// All redirects as CSV, in the format importCsv() reads
+const exportCsv = async (actor) => {
+  await authorization.authorize(actor, 'redirect:manage');
+  const redirects = await Redirect.find().sort({ createdAt: 1 }).lean();
+
+  return toCsv([
+    [...CSV_COLUMNS, 'hits', 'lastHitAt'],
+    ...redirects.map((redirect) => [
+      ...CSV_COLUMNS.map((column) => redirect[column]),
+      redirect.hits,
+      redirect.lastHitAt ? redirect.lastHitAt.toISOString() : '',
+    ]),
+  ]);
+};
+
+const tick = async () => {
+  try {
+    await flushHits();
+  } catch (error) {
+    console.error('Redirect hit flush failed:', error.message);
+  }
+};
+
+// Periodically write buffered hit counts
+const start = (intervalMs = config.flushSeconds * 1000) => {
+  if (timer) return;
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+};
+
+// Stop the timer and write what is still buffered
+const stop = async () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  await tick();
+};
+
+module.exports = {
+  config,
+  match,
+  recordHit,
+  flushHits,
+  invalidate,
+  listRedirects,
+  createRedirect,
+  updateRedirect,
+  deleteRedirect,
+  findChains,
+  importCsv,
+  exportCsv,
+  start,
+  stop,
+};
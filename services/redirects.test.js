@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const Redirect = require('../models/Redirect');
+const authorization = require('./authorization');
+const redirects = require('./redirects');
+
+const actor = { _id: new mongoose.Types.ObjectId(), role: 'admin', isActive: true };
+
+const rule = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  matchType: 'exact',
+  statusCode: 301,
+  preserveQueryString: true,
+  caseSensitive: false,
+  ...fields,
+});
+
+// Query stub for Redirect.find(); select() and sort() chain, lean() resolves
+const query = (documents) => {
+  const chain = { select: () => chain, sort: () => chain, lean: async () => documents };
+  return chain;
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('match', () => {
+  const withRules = (rules) => jest.spyOn(Redirect, 'find').mockImplementation(() => query(rules));
+
+  beforeEach(() => redirects.invalidate());
+
+  it('prefers exact rules, then the longest prefix, then regex rules', async () => {
+    withRules([
+      rule({ source: '^/blog/(\\d+)$', matchType: 'regex', target: '/yazilar/$1' }),
+      rule({ source: '/blog', matchType: 'prefix', target: '/yazilar' }),
+      rule({ source: '/blog/eski', matchType: 'prefix', target: '/arsiv' }),
+      rule({ source: '/blog/hakkinda', target: '/hakkimizda' }),
+    ]);
+
+    expect((await redirects.match('/Blog/Hakkinda/')).location).toBe('/hakkimizda');
+    expect((await redirects.match('/blog/eski/a')).location).toBe('/arsiv/a');
+    expect((await redirects.match('/blog/12')).location).toBe('/yazilar/12');
+    expect(await redirects.match('/iletisim')).toBeNull();
+  });
+
+  it('fills regex targets from the capture groups', async () => {
+    withRules([rule({ source: '^/urun/([\\w-]+)$', matchType: 'regex', target: '/magaza/$1' })]);
+
+    expect(await redirects.match('/urun/kahve-makinesi')).toEqual({
+      rule: expect.objectContaining({ source: '^/urun/([\\w-]+)$' }),
+      location: '/magaza/kahve-makinesi',
+    });
+  });
+
+  it('does not build locations that point to another host', async () => {
+    withRules([
+      rule({ source: '^/git/(.*)$', matchType: 'regex', target: '/$1' }),
+      rule({ source: '^/dis/(.*)$', matchType: 'regex', target: 'https://$1' }),
+    ]);
+
+    expect(await redirects.match('/git/\\evil.com')).toBeNull();
+    expect(await redirects.match('/dis/evil.com')).toBeNull();
+  });
+
+  it('skips rules with risky patterns saved before they were rejected', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    withRules([rule({ source: '^(a|aa)+$', matchType: 'regex', target: '/a' })]);
+
+    expect(await redirects.match('/aaaa')).toBeNull();
+    expect(console.error).toHaveBeenCalledWith(expect.stringMatching(/^Skipping redirect /));
+  });
+
+  it('does not test long paths against regex rules', async () => {
+    withRules([
+      rule({ source: '^/uzun/(.*)$', matchType: 'regex', target: '/kisa' }),
+      rule({ source: '/uzun', matchType: 'prefix', target: '/kisa' }),
+    ]);
+    const longPath = `/uzun/${'a'.repeat(redirects.config.maxRegexPathLength)}`;
+
+    expect((await redirects.match(longPath)).rule.matchType).toBe('prefix');
+
+    redirects.invalidate();
+    withRules([rule({ source: '^/uzun/(.*)$', matchType: 'regex', target: '/kisa' })]);
+    expect(await redirects.match(longPath)).toBeNull();
+    expect((await redirects.match('/uzun/a')).location).toBe('/kisa');
+  });
+});
+
+describe('importCsv', () => {
+  beforeEach(() => {
+    jest.spyOn(authorization, 'authorize').mockResolvedValue();
+    jest.spyOn(Redirect, 'bulkWrite').mockResolvedValue({});
+  });
+
+  it('reports invalid rows and the first row of a loop and writes the rest', async () => {
+    jest.spyOn(Redirect, 'find').mockImplementation(() => query([]));
+    const csv = [
+      'source;target;statusCode;isActive',
+      '/eski;/yeni;302;evet',
+      '/a;/b;;',
+      '/b;/a;;',
+      '/kotu;//evil.com;;',
+    ].join('\n');
+
+    const result = await redirects.importCsv(csv, actor);
+
+    expect(result.created).toBe(2);
+    expect(result.updated).toBe(0);
+    expect(result.errors).toEqual([
+      { line: 3, message: 'Redirect would create a loop' },
+      { line: 5, message: 'Target must be a path starting with / or an http(s) URL' },
+    ]);
+    const [operations] = Redirect.bulkWrite.mock.calls[0];
+    expect(operations.map(({ updateOne }) => updateOne.filter.source)).toEqual(['/eski', '/b']);
+    expect(operations[0].updateOne.update.$set).toMatchObject({ target: '/yeni', statusCode: 302, isActive: true });
+  });
+
+  it('counts rows for existing sources as updates and writes nothing on a dry run', async () => {
+    jest.spyOn(Redirect, 'find').mockImplementation(() => query([{ matchType: 'exact', source: '/eski' }]));
+
+    const result = await redirects.importCsv('source,target\n/eski,/yeni\n/diger,/yeni', actor, { dryRun: true });
+
+    expect(result).toEqual({ created: 1, updated: 1, errors: [], warnings: [] });
+    expect(Redirect.bulkWrite).not.toHaveBeenCalled();
+  });
+
+  it('requires source and target columns', async () => {
+    await expect(redirects.importCsv('source,hedef\n/a,/b', actor)).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('exportCsv', () => {
+  it('writes a row per redirect in the columns importCsv reads', async () => {
+    jest.spyOn(authorization, 'authorize').mockResolvedValue();
+    jest.spyOn(Redirect, 'find').mockImplementation(() =>
+      query([
+        {
+          ...rule({ source: '/eski', target: '/yeni', notes: 'Kampanya, 2024' }),
+          isActive: true,
+          hits: 3,
+          lastHitAt: new Date('2024-05-01T10:00:00Z'),
+        },
+        { ...rule({ source: '/indirim', target: '/kampanya', notes: '=1+1' }), isActive: false, hits: 0, lastHitAt: null },
+      ])
+    );
+
+    const csv = await redirects.exportCsv(actor);
+
+    expect(csv.split('\r\n')).toEqual([
+      'source,target,statusCode,matchType,preserveQueryString,caseSensitive,isActive,notes,hits,lastHitAt',
+      '/eski,/yeni,301,exact,true,false,true,"Kampanya, 2024",3,2024-05-01T10:00:00.000Z',
+      "/indirim,/kampanya,301,exact,true,false,false,'=1+1,0,",
+    ]);
+  });
+});
@@ -0,0 +1,367 @@
+const Page = require('../models/Page');
+const Post = require('../models/Post');
+const RelatedContent = require('../models/RelatedContent');
+const contentEvents = require('./contentEvents');
+const { sectionText } = require('./sections');
+const { stripTags } = require('../utils/html');
+
+/**
+ * Related Content - precomputed suggestions for pages and posts
+ *
+ * Two listed documents are compared on shared tags, categories and
+ * keywords (Jaccard overlap) and on the cosine similarity of their content
+ * term frequencies. The best matches of every document are stored in
+ * RelatedContent and updated in the background whenever content is saved,
+ * published, unpublished or removed, so reading them is a single query.
+ * Changes are collected for a short while and applied in one batch, so a
+ * burst of saves loads the corpus once.
+ *
+ * Only pages the sitemap would list take part: public pages without a
+ * password or restricted users. Other pages neither get nor appear as
+ * suggestions.
+ */
+
+const WEIGHTS = { content: 0.4, tags: 0.3, categories: 0.15, keywords: 0.15 };
+const MIN_SCORE = 0.05;
+// More than are shown, so removing one suggestion does not leave a gap
+const STORED_SUGGESTIONS = 20;
+const DEFAULT_LIMIT = 5;
+const REFRESH_DELAY_MS = 2000;
+
+const PAGE_FIELDS = 'title excerpt content sections seo.metaKeywords advancedFeatures.tags advancedFeatures.categories';
+const POST_FIELDS = 'title excerpt content tags category meta.keywords';
+
+// Published pages anyone may see (compare isListedPage in services/sitemap)
+const LISTED_PAGES = {
+  status: 'published',
+  'visibility.isPublic': { $ne: false },
+  'visibility.passwordProtected': { $ne: true },
+  'visibility.restrictedUsers.0': { $exists: false },
+};
+
+const STOPWORDS = new Set([
+  // Turkish
+  'acaba', 'ama', 'ancak', 'artık', 'bazı', 'belki', 'ben', 'beni', 'benim', 'bir', 'biri', 'birkaç', 'birçok',
+  'biz', 'bize', 'bizi', 'bizim', 'bu', 'buna', 'bunu', 'bunun', 'çok', 'çünkü', 'da', 'daha', 'de', 'değil',
+  'diye', 'eğer', 'en', 'gibi', 'hem', 'hep', 'hepsi', 'her', 'hiç', 'için', 'ile', 'ise', 'kadar', 'ki', 'kim',
+  'mi', 'mı', 'mu', 'mü', 'nasıl', 'ne', 'neden', 'nerede', 'niçin', 'o', 'olan', 'olarak', 'oldu', 'olduğu',
+  'olmak', 'olur', 'ona', 'onu', 'onun', 'sadece', 'siz', 'şey', 'şu', 'tüm', 've', 'veya', 'ya', 'yani',
+  'sonra', 'önce', 'kendi', 'bile', 'ayrıca', 'göre', 'üzere', 'var', 'yok',
+  // English
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'has', 'have', 'was', 'were', 'with',
+  'this', 'that', 'from', 'they', 'will', 'your', 'our', 'about', 'into', 'more', 'than', 'then', 'there',
+]);
+
+const lower = (value) => String(value || '').toLocaleLowerCase('tr');
+
+const tokenize = (text) =>
+  lower(stripTags(text))
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length >= 3 && !STOPWORDS.has(word));
+
+const termVector = (text) => {
+  const terms = new Map();
+  tokenize(text).forEach((term) => terms.set(term, (terms.get(term) || 0) + 1));
+
+  let sumOfSquares = 0;
+  terms.forEach((count) => {
+    sumOfSquares += count * count;
+  });
+  return { terms, norm: Math.sqrt(sumOfSquares) };
+};
+
+const toSet = (values) => new Set((values || []).filter(Boolean).map((value) => lower(String(value)).trim()));
+
+// Everything needed to compare a document, derived once per refresh
+const featuresOf = (type, doc) => {
+  const isPage = type === 'Page';
+  const sections = isPage ? (doc.sections || []).map(sectionText) : [];
+
+  return {
+    type,
+    id: doc._id,
+    key: `${type}:${doc._id}`,
+    // The title counts twice: it is the best summary of the content
+    vector: termVector([doc.title, doc.title, doc.excerpt, doc.content, ...sections].join(' ')),
+    tags: toSet(isPage ? doc.advancedFeatures && doc.advancedFeatures.tags : doc.tags),
+    categories: toSet(isPage ? doc.advancedFeatures && doc.advancedFeatures.categories : [doc.category]),
+    keywords: toSet(isPage ? doc.seo && doc.seo.metaKeywords : doc.meta && doc.meta.keywords),
+  };
+};
+
+const cosine = (a, b) => {
+  if (!a.norm || !b.norm) return 0;
+
+  const [small, large] = a.terms.size < b.terms.size ? [a.terms, b.terms] : [b.terms, a.terms];
+  let dot = 0;
+  small.forEach((count, term) => {
+    dot += count * (large.get(term) || 0);
+  });
+  return dot / (a.norm * b.norm);
+};
+
+const jaccard = (a, b) => {
+  if (!a.size || !b.size) return 0;
+
+  let shared = 0;
+  a.forEach((value) => {
+    if (b.has(value)) shared += 1;
+  });
+  return shared / (a.size + b.size - shared);
+};
+
+/**
+ * Similarity of two documents between 0 and 1, with the signals that
+ * contributed. The score is symmetric.
+ */
+const similarity = (a, b) => {
+  const parts = {
+    content: cosine(a.vector, b.vector),
+    tags: jaccard(a.tags, b.tags),
+    categories: jaccard(a.categories, b.categories),
+    keywords: jaccard(a.keywords, b.keywords),
+  };
+
+  const score = Object.entries(WEIGHTS).reduce((sum, [name, weight]) => sum + weight * parts[name], 0);
+  return {
+    score: Math.round(score * 10000) / 10000,
+    reasons: Object.keys(WEIGHTS).filter((name) => parts[name] > 0),
+  };
+};
+
+// All listed pages and published posts
+const loadCorpus = async () => {
+  const [pages, posts] = await Promise.all([
+    Page.find(LISTED_PAGES).select(PAGE_FIELDS).lean(),
+    Post.find({ status: 'published' }).select(POST_FIELDS).lean(),
+  ]);
+
+  return [...pages.map((page) => featuresOf('Page', page)), ...posts.map((post) => featuresOf('Post', post))];
+};
+
+const rank = (suggestions) =>
+  suggestions
+    .filter((suggestion) => suggestion.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, STORED_SUGGESTIONS);
+
+const suggestionsFor = (source, corpus) =>
+  rank(
+    corpus
+      .filter((candidate) => candidate.key !== source.key)
+      .map((candidate) => ({ targetType: candidate.type, target: candidate.id, ...similarity(source, candidate) }))
+  );
+
+const upsertOperation = (source, suggestions, computedAt) => ({
+  updateOne: {
+    filter: { sourceType: source.type, source: source.id },
+    update: { $set: { suggestions, computedAt } },
+    upsert: true,
+  },
+});
+
+/**
+ * Recompute the suggestions of every listed page and published post, and
+ * drop those of content that is no longer listed. Resolves to the number of
+ * documents processed.
+ */
+const refreshAll = async () => {
+  const corpus = await loadCorpus();
+  const now = new Date();
+
+  for (let index = 0; index < corpus.length; index += 500) {
+    const batch = corpus.slice(index, index + 500);
+    await RelatedContent.bulkWrite(batch.map((source) => upsertOperation(source, suggestionsFor(source, corpus), now)));
+  }
+
+  const kept = new Set(corpus.map((item) => item.key));
+  const stale = (await RelatedContent.find().select('sourceType source').lean())
+    .filter((entry) => !kept.has(`${entry.sourceType}:${entry.source}`))
+    .map((entry) => entry._id);
+  if (stale.length) {
+    await RelatedContent.deleteMany({ _id: { $in: stale } });
+  }
+
+  return corpus.length;
+};
+
+/**
+ * Bring suggestions up to date after documents changed: recompute their own
+ * lists and move them up, down or out of every other document's list.
+ * `changes` is a list of `{ type, id }`; the corpus and the stored lists are
+ * loaded once for all of them.
+ */
+const refreshDocuments = async (changes) => {
+  const corpus = await loadCorpus();
+  const byKey = new Map(corpus.map((item) => [item.key, item]));
+  const stored = await RelatedContent.find().select('sourceType source suggestions').lean();
+  const lists = new Map(stored.map((entry) => [`${entry.sourceType}:${entry.source}`, entry.suggestions]));
+  const touched = new Set();
+  const removed = [];
+
+  changes.forEach(({ type, id }) => {
+    const key = `${type}:${id}`;
+    const source = byKey.get(key);
+    const without = (suggestions) => suggestions.filter((suggestion) => String(suggestion.target) !== String(id));
+
+    if (!source) {
+      // No longer listed (or deleted): forget it everywhere
+      removed.push({ type, id });
+      lists.delete(key);
+      touched.delete(key);
+      lists.forEach((suggestions, otherKey) => {
+        const kept = without(suggestions);
+        if (kept.length === suggestions.length) return;
+        lists.set(otherKey, kept);
+        touched.add(otherKey);
+      });
+      return;
+    }
+
+    const own = [];
+    corpus.forEach((candidate) => {
+      if (candidate.key === key) return;
+
+      const result = { targetType: candidate.type, target: candidate.id, ...similarity(source, candidate) };
+      own.push(result);
+
+      const suggestions = lists.get(candidate.key);
+      if (!suggestions) return;
+
+      const others = without(suggestions);
+      if (others.length === suggestions.length && result.score < MIN_SCORE) return;
+
+      lists.set(candidate.key, rank([...others, { targetType: type, target: source.id, score: result.score, reasons: result.reasons }]));
+      touched.add(candidate.key);
+    });
+
+    lists.set(key, rank(own));
+    touched.add(key);
+  });
+
+  // Documents without a list yet get a full one
+  corpus
+    .filter((item) => !lists.has(item.key))
+    .forEach((item) => {
+      lists.set(item.key, suggestionsFor(item, corpus));
+      touched.add(item.key);
+    });
+
+  const now = new Date();
+  const operations = [
+    ...removed.map(({ type, id }) => ({ deleteOne: { filter: { sourceType: type, source: id } } })),
+    ...[...touched].filter((key) => byKey.has(key)).map((key) => upsertOperation(byKey.get(key), lists.get(key), now)),
+  ];
+
+  for (let index = 0; index < operations.length; index += 500) {
+    await RelatedContent.bulkWrite(operations.slice(index, index + 500));
+  }
+};
+
+// Refresh after a single document changed
+const refreshDocument = (type, id) => refreshDocuments([{ type, id }]);
+
+const publicFieldsOf = (type, doc) => ({
+  type,
+  id: doc._id,
+  title: doc.title,
+  slug: doc.slug,
+  excerpt: doc.excerpt,
+  // Only pages have a canonical URL here; posts are linked by slug
+  url: type === 'Page' ? doc.url : undefined,
+});
+
+/**
+ * Related content for a page or post, best first.
+ * Pages list their pinned `advancedFeatures.relatedPages` first; pass
+ * `usePinned: false` to get the automatic ranking only. Pages with
+ * `autoRelatedContent` turned off only get their pinned pages.
+ */
+const getSuggestions = async (doc, { limit = DEFAULT_LIMIT, usePinned = true } = {}) => {
+  const type = doc.constructor.modelName;
+  const features = doc.advancedFeatures || {};
+  const pinned = type === 'Page' && usePinned ? features.relatedPages || [] : [];
+  const automatic = type === 'Page' && features.autoRelatedContent === false && usePinned
+    ? null
+    : await RelatedContent.findOne({ sourceType: type, source: doc._id }).lean();
+
+  const pinnedIds = new Set(pinned.map(String));
+  const entries = [
+    ...pinned.map((id) => ({ targetType: 'Page', target: id, score: null, pinned: true })),
+    ...((automatic && automatic.suggestions) || [])
+      .filter((suggestion) => !pinnedIds.has(String(suggestion.target)))
+      .map((suggestion) => ({ ...suggestion, pinned: false })),
+  ].slice(0, limit);
+
+  const idsOf = (targetType) => entries.filter((entry) => entry.targetType === targetType).map((entry) => entry.target);
+  const [pages, posts] = await Promise.all([
+    Page.find({ _id: { $in: idsOf('Page') }, ...LISTED_PAGES }).select('title slug path metadata.isHomePage excerpt'),
+    Post.find({ _id: { $in: idsOf('Post') }, status: 'published' }).select('title slug excerpt'),
+  ]);
+  const loaded = new Map([...pages, ...posts].map((item) => [String(item._id), item]));
+
+  return entries
+    .filter((entry) => loaded.has(String(entry.target)))
+    .map((entry) => ({
+      ...publicFieldsOf(entry.targetType, loaded.get(String(entry.target))),
+      score: entry.score,
+      reasons: entry.reasons || [],
+      pinned: entry.pinned,
+    }));
+};
+
+// Documents changed since the last refresh, keyed by `${model}:${id}`
+const pending = new Map();
+let timer = null;
+let running = Promise.resolve();
+let listening = false;
+
+// Refresh the pending documents in one batch, after the previous batch
+const flush = () => {
+  timer = null;
+  const changes = [...pending.values()];
+  pending.clear();
+
+  running = running
+    .then(() => refreshDocuments(changes))
+    .catch((error) => {
+      console.error(`Related content refresh failed for ${changes.length} document(s):`, error.message);
+    });
+};
+
+const scheduleRefresh = ({ model, document }) => {
+  if (model !== 'Page' && model !== 'Post') return;
+
+  pending.set(`${model}:${document._id}`, { type: model, id: document._id });
+  if (timer) return;
+
+  timer = setTimeout(flush, REFRESH_DELAY_MS);
+  timer.unref();
+};
+
+const EVENTS = ['saved', 'published', 'unpublished', 'removed'];
+
+// Keep suggestions up to date as content changes
+const start = () => {
+  if (listening) return;
+  EVENTS.forEach((event) => contentEvents.on(event, scheduleRefresh));
+  listening = true;
+};
+
+const stop = () => {
+  EVENTS.forEach((event) => contentEvents.off(event, scheduleRefresh));
+  clearTimeout(timer);
+  timer = null;
+  pending.clear();
+  listening = false;
+};
+
+module.exports = {
+  similarity,
+  refreshAll,
+  refreshDocument,
+  refreshDocuments,
+  getSuggestions,
+  start,
+  stop,
+};
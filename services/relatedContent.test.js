@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const Page = require('../models/Page');
+const Post = require('../models/Post');
+const RelatedContent = require('../models/RelatedContent');
+const relatedContent = require('./relatedContent');
+
+// Comparison features as refreshAll() derives them, from a list of terms
+const features = ({ terms = [], tags = [], categories = [], keywords = [] } = {}) => {
+  const counts = new Map();
+  terms.forEach((term) => counts.set(term, (counts.get(term) || 0) + 1));
+  const norm = Math.sqrt([...counts.values()].reduce((sum, count) => sum + count * count, 0));
+  return { vector: { terms: counts, norm }, tags: new Set(tags), categories: new Set(categories), keywords: new Set(keywords) };
+};
+
+describe('similarity', () => {
+  it('weights content, tags, categories and keywords', () => {
+    const a = features({ terms: ['kupa', 'terapi'], tags: ['kupa', 'agri'], categories: ['tedavi'], keywords: ['kupa'] });
+    const b = features({ terms: ['kupa', 'terapi'], tags: ['kupa'], categories: ['tedavi'], keywords: ['hacamat'] });
+
+    // content 1 * 0.4 + tags 1/2 * 0.3 + categories 1 * 0.15
+    expect(relatedContent.similarity(a, b)).toEqual({ score: 0.7, reasons: ['content', 'tags', 'categories'] });
+  });
+
+  it('is symmetric and rounded to four decimals', () => {
+    const a = features({ terms: ['kupa', 'kupa', 'terapi', 'agri'] });
+    const b = features({ terms: ['kupa', 'masaj'], tags: ['kupa'] });
+
+    const score = relatedContent.similarity(a, b);
+    expect(score).toEqual(relatedContent.similarity(b, a));
+    expect(score).toEqual({ score: 0.2309, reasons: ['content'] });
+  });
+
+  it('scores unrelated or empty documents 0', () => {
+    expect(relatedContent.similarity(features({ terms: ['kupa'] }), features({ terms: ['masaj'] }))).toEqual({
+      score: 0,
+      reasons: [],
+    });
+    expect(relatedContent.similarity(features(), features())).toEqual({ score: 0, reasons: [] });
+  });
+});
+
+describe('refreshAll', () => {
+  const lean = (documents) => ({ select: () => ({ lean: async () => documents }) });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('stores the close matches of every document and ignores stopwords and markup', async () => {
+    const cupping = { _id: new mongoose.Types.ObjectId(), title: 'Kupa terapisi', content: '<p>Kupa terapisi ile ağrı tedavisi</p>' };
+    const massage = { _id: new mongoose.Types.ObjectId(), title: 'Masaj', content: '<strong>Ağrı</strong> için masaj' };
+    const post = {
+      _id: new mongoose.Types.ObjectId(),
+      title: 'Kupa terapisi nedir?',
+      content: 'Kupa terapisi ve ağrı',
+      tags: ['kupa'],
+    };
+    const other = { _id: new mongoose.Types.ObjectId(), title: 'Ve ile için', content: '<p>strong</p>' };
+    jest.spyOn(Page, 'find').mockReturnValue(lean([cupping, massage, other]));
+    jest.spyOn(Post, 'find').mockReturnValue(lean([post]));
+    jest.spyOn(RelatedContent, 'find').mockReturnValue(lean([]));
+    const bulkWrite = jest.spyOn(RelatedContent, 'bulkWrite').mockResolvedValue({});
+
+    await expect(relatedContent.refreshAll()).resolves.toBe(4);
+
+    const [operations] = bulkWrite.mock.calls[0];
+    const suggestionsOf = (doc) =>
+      operations.find(({ updateOne }) => String(updateOne.filter.source) === String(doc._id)).updateOne.update.$set.suggestions;
+
+    // The massage page only shares 'ağrı', which scores below MIN_SCORE
+    expect(suggestionsOf(cupping).map(({ target }) => String(target))).toEqual([String(post._id)]);
+    expect(suggestionsOf(cupping)[0]).toMatchObject({ targetType: 'Post', reasons: ['content'] });
+    expect(suggestionsOf(massage)).toEqual([]);
+    expect(suggestionsOf(other)).toEqual([]);
+  });
+});
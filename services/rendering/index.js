@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+const Page = require('../../models/Page');
+const Settings = require('../../models/Settings');
+const slugs = require('../slugs');
+const pageAccess = require('../pageAccess');
+const authorization = require('../authorization');
+const geoip = require('../geoip');
+const contentPolicy = require('../contentPolicy');
+const { findSeoRecord, resolveHead, renderHeadTags } = require('../head');
+const structuredData = require('../structuredData');
+const cache = require('../cache');
+const { renderLayout } = require('./layouts');
+const { renderSection } = require('./sectionRenderers');
+const { escapeHtml, attrs } = require('../../utils/html');
+const { sanitizeCss, scopeCss } = require('../../utils/sanitize');
+const { pageMediaUrls } = require('../../utils/mediaUrls');
+
+/**
+ * Page Rendering - server-side HTML for CMS pages
+ *
+ * Combines the page template (./layouts), its visible sections in order
+ * (./sectionRenderers) and the site-wide design settings into a complete
+ * HTML document.
+ */
+
+const FONT_SIZES = { small: '15px', medium: '16px', large: '18px' };
+
+// Expose Settings.design as CSS custom properties for the theme stylesheet
+const buildDesignStyles = (design = {}) => {
+  const breakpoints = design.responsiveBreakpoints || {};
+  const variables = {
+    '--color-primary': design.primaryColor,
+    '--color-secondary': design.secondaryColor,
+    '--color-accent': design.accentColor,
+    '--font-family': design.fontFamily,
+    '--font-family-heading': design.headingFontFamily,
+    '--font-size-base': FONT_SIZES[design.fontSize],
+    '--animation-duration': design.enableAnimations === false ? '0ms' : `${design.animationDuration || 300}ms`,
+    '--breakpoint-mobile': breakpoints.mobile && `${breakpoints.mobile}px`,
+    '--breakpoint-tablet': breakpoints.tablet && `${breakpoints.tablet}px`,
+    '--breakpoint-desktop': breakpoints.desktop && `${breakpoints.desktop}px`,
+    '--breakpoint-wide': breakpoints.wide && `${breakpoints.wide}px`,
+  };
+
+  const declarations = Object.entries(variables)
+    .filter(([, value]) => value)
+    // Settings values end up inside a <style> element; keep them to plain CSS values
+    .map(([name, value]) => `${name}:${String(value).replace(/[<>{};]/g, '')};`)
+    .join('');
+
+  return `:root{${declarations}}`;
+};
+
+const isVisibleInMenus = (page) => page.status === 'published' && page.visibility && page.visibility.isPublic !== false;
+
+// Main menu: published root-level pages ordered by displayOrder
+const loadNavigation = async (page) => {
+  const roots = await Page.find({ parentPage: null, status: 'published', 'visibility.isPublic': true })
+    .select('title slug path status visibility metadata')
+    .sort({ 'metadata.displayOrder': 1, title: 1 });
+
+  const currentRoot = String((page.ancestors && page.ancestors[0]) || page._id);
+  return roots.map((root) => ({
+    title: root.title,
+    url: root.url,
+    current: String(root._id) === currentRoot,
+  }));
+};
+
+// Sidebar: the page's children, or its siblings for leaf pages
+const loadSidebarLinks = async (page) => {
+  const select = 'title slug path status visibility metadata';
+  const sort = { 'metadata.displayOrder': 1, title: 1 };
+
+  let links = await Page.find({ parentPage: page._id }).select(select).sort(sort);
+  if (links.length === 0 && page.parentPage) {
+    links = await Page.find({ parentPage: page.parentPage }).select(select).sort(sort);
+  }
+
+  return links.filter(isVisibleInMenus).map((link) => ({
+    title: link.title,
+    url: link.url,
+    current: String(link._id) === String(page._id),
+  }));
+};
+
+// Title, meta, canonical and analytics tags come from services/head, JSON-LD from services/structuredData
+const renderHead = (head, jsonLd, settings, styles, nonce) => `<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+${renderHeadTags(head, { nonce })}
+${structuredData.renderJsonLd(jsonLd)}
+${settings.design && settings.design.favicon ? `<link${attrs({ rel: 'icon', href: settings.design.favicon })}>` : ''}
+${styles.map((css) => `<style${attrs({ nonce })}>${css}</style>`).join('\n')}
+</head>`;
+
+/**
+ * Render a full HTML document for a page.
+ * Options: `settings`, `navigation` and `sidebarLinks` can be passed in to
+ * avoid loading them again when rendering many pages; `nonce` is added to
+ * inline <style> and <script> elements (see services/contentPolicy);
+ * `seoRecord` is the page's SEO document for the head and structured data
+ * (see services/head), looked up when not given.
+ */
+const renderPage = async (page, options = {}) => {
+  const settings = options.settings || (await Settings.getCurrent()) || {};
+  const design = settings.design || {};
+  const context = {
+    page,
+    settings,
+    navigation: options.navigation || (await loadNavigation(page)),
+    sidebarLinks: options.sidebarLinks || (await loadSidebarLinks(page)),
+    lazyLoadImages: !page.performance || page.performance.lazyLoadImages !== false,
+  };
+
+  const sections = [...(page.sections || [])]
+    .filter((section) => section.isVisible !== false)
+    .sort((a, b) => (a.order || 0) - (b.order || 0));
+
+  // Section CSS only applies inside its own section
+  const styles = [
+    buildDesignStyles(design),
+    ...sections
+      .filter((section) => section.styling && section.styling.customCSS)
+      .map((section) => scopeCss(section.styling.customCSS, `#section-${section.id}`)),
+    page.templateSettings && sanitizeCss(page.templateSettings.customCSS),
+  ].filter(Boolean);
+
+  const body = renderLayout(
+    page,
+    {
+      content: page.content,
+      sections: sections.map((section) => renderSection(section, context)).join('\n'),
+    },
+    context
+  );
+
+  const seoRecord = options.seoRecord !== undefined ? options.seoRecord : await findSeoRecord('Page', page);
+  const head = await resolveHead(page, { settings, seoRecord });
+  const jsonLd = await structuredData.generate(page, { settings, seoRecord, description: head.values.description.value });
+  const customJS = page.templateSettings && page.templateSettings.customJS;
+  const theme = design.theme === 'auto' || design.theme === 'dark' ? design.theme : 'light';
+
+  return `<!DOCTYPE html>
+<html${attrs({ lang: 'tr', 'data-theme': theme })}>
+${renderHead(head, jsonLd, settings, styles, options.nonce)}
+<body${attrs({ class: `template-${page.template || 'default'}${design.enableAnimations === false ? ' no-animations' : ''}` })}>
+${body}
+${customJS ? `<script${attrs({ nonce: options.nonce })}>${customJS.replace(/<\/script/gi, '<\\/script')}</script>` : ''}
+</body>
+</html>`;
+};
+
+const renderNotFound = (settings = {}) => {
+  const title = (settings.seo && settings.seo.siteTitle) || '';
+  return `<!DOCTYPE html>
+<html lang="tr">
+<head><meta charset="utf-8"><title>Sayfa bulunamadı${title ? ` | ${escapeHtml(title)}` : ''}</title><meta name="robots" content="noindex"></head>
+<body><main class="not-found"><h1>Sayfa bulunamadı</h1><p>Aradığınız sayfa taşınmış veya kaldırılmış olabilir.</p><a href="/">Ana sayfaya dön</a></main></body>
+</html>`;
+};
+
+const renderGeoBlocked = (settings = {}) => {
+  const title = (settings.seo && settings.seo.siteTitle) || '';
+  return `<!DOCTYPE html>
+<html lang="tr">
+<head><meta charset="utf-8"><title>İçerik kullanılamıyor${title ? ` | ${escapeHtml(title)}` : ''}</title><meta name="robots" content="noindex"></head>
+<body><main class="geo-blocked"><h1>İçerik kullanılamıyor</h1><p>Bu içerik bulunduğunuz ülkeden görüntülenemez.</p><a href="/">Ana sayfaya dön</a></main></body>
+</html>`;
+};
+
+// Shown instead of the content of a password-protected page until it is unlocked
+const renderPasswordPrompt = (page, settings = {}) => {
+  const title = (settings.seo && settings.seo.siteTitle) || '';
+  return `<!DOCTYPE html>
+<html lang="tr">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(page.title)}${title ? ` | ${escapeHtml(title)}` : ''}</title><meta name="robots" content="noindex, nofollow"></head>
+<body><main class="password-protected">
+<h1>${escapeHtml(page.title)}</h1>
+<p>Bu sayfa parola ile korunmaktadır.</p>
+<form method="post"${attrs({ action: `/api/pages/${page._id}/unlock` })}>
+<label for="page-password">Parola</label>
+<input id="page-password" name="password" type="password" autocomplete="current-password" required>
+<button type="submit">Görüntüle</button>
+</form>
+</main></body>
+</html>`;
+};
+
+// Pages shown to everyone alike; their HTML does not depend on the visitor
+const isCacheable = (page, settings) => {
+  const performance = page.performance || {};
+  const visibility = page.visibility || {};
+  const siteWide = (settings.performance && settings.performance.enableCaching) !== false;
+
+  return (
+    siteWide &&
+    performance.enableCache !== false &&
+    performance.cacheDuration !== 0 &&
+    page.isPublished &&
+    visibility.isPublic !== false &&
+    !visibility.passwordProtected &&
+    !(visibility.restrictedUsers || []).length
+  );
+};
+
+// Dependency tags of a rendered page (see services/cache)
+const pageCacheTags = (page) => [`page:${page._id}`, 'menu', 'settings', 'seo', ...pageMediaUrls(page).map((url) => `media:${url}`)];
+
+/**
+ * Rendered HTML of a cacheable page from the cache (services/cache).
+ * The HTML is stored with a placeholder nonce that is swapped for the
+ * response's nonce (or removed when there is no Content-Security-Policy).
+ */
+const renderCachedPage = async (page, options) => {
+  const performance = page.performance || {};
+  const ttl = performance.cacheDuration || (options.settings.performance && options.settings.performance.cacheDuration) || cache.config.ttl;
+
+  const entry = await cache.wrap(`page:${page._id}`, { ttl, tags: pageCacheTags(page) }, async () => {
+    const placeholder = crypto.randomBytes(16).toString('hex');
+    return { html: await renderPage(page, { ...options, nonce: placeholder }), placeholder };
+  });
+
+  const { html, placeholder } = entry.value;
+  const withNonce = options.nonce
+    ? html.split(`nonce="${placeholder}"`).join(`nonce="${options.nonce}"`)
+    : html.split(` nonce="${placeholder}"`).join('');
+
+  return { entry, html: withNonce };
+};
+
+/**
+ * Resolve a request path to a published page and render it.
+ * Returns `{ statusCode, html, page, headers }`; `headers` holds the
+ * Content-Security-Policy for the response when it is enabled. Old paths of
+ * renamed or moved pages answer with a 301 and `redirect` set to the
+ * current URL (see services/slugs). Pages `options.user` may not view
+ * (see services/authorization) render as 404 so their existence is not
+ * revealed. Geo-restricted pages are checked against `options.ip`, and
+ * password-protected pages need a valid `options.unlockToken`
+ * (see services/pageAccess).
+ *
+ * Public pages are served from the cache while their
+ * `performance.enableCache` and Settings.performance.enableCaching allow
+ * it; these responses carry ETag and Last-Modified, and a conditional
+ * request (`options.requestHeaders`, e.g. req.headers) that already has
+ * the current version gets a 304. The 304 omits the Content-Security-Policy
+ * so the browser keeps the policy that matches the nonce in its copy.
+ */
+const renderPublishedPage = async (path, options = {}) => {
+  const settings = options.settings || (await Settings.getCurrent()) || {};
+  const { nonce, headers } = contentPolicy.policyFor(settings);
+  const { page, redirect } = await slugs.resolvePagePath(path);
+
+  if (!page || !(await authorization.canViewPage(options.user, page))) {
+    return { statusCode: 404, html: renderNotFound(settings), page: null, headers };
+  }
+
+  if (redirect) {
+    return { statusCode: 301, redirect: page.url, html: '', page, headers };
+  }
+
+  const { allowed } = await geoip.checkPageAccess(page, options.ip);
+  if (!allowed) {
+    if (geoip.config.blockedRedirect) {
+      return { statusCode: 302, redirect: geoip.config.blockedRedirect, html: '', page, headers };
+    }
+    return { statusCode: geoip.config.blockedStatus, html: renderGeoBlocked(settings), page, headers };
+  }
+
+  if (!pageAccess.isUnlocked(page, options.unlockToken)) {
+    return { statusCode: 401, html: renderPasswordPrompt(page, settings), page, headers };
+  }
+
+  if (options.cache === false || !isCacheable(page, settings)) {
+    return {
+      statusCode: 200,
+      html: await renderPage(page, { ...options, settings, nonce }),
+      page,
+      headers,
+    };
+  }
+
+  const { entry, html } = await renderCachedPage(page, { ...options, settings, nonce });
+  const cacheHeaders = { ...cache.headersFor(entry), 'Cache-Control': 'no-cache' };
+
+  if (cache.isNotModified(options.requestHeaders, entry)) {
+    return { statusCode: 304, html: '', page, headers: cacheHeaders };
+  }
+  return { statusCode: 200, html, page, headers: { ...headers, ...cacheHeaders } };
+};
+
+module.exports = {
+  renderPage,
+  renderPublishedPage,
+  renderNotFound,
+  renderPasswordPrompt,
+  buildDesignStyles,
+};
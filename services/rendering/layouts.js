@@ -0,0 +1,171 @@
+const { escapeHtml, attrs } = require('../../utils/html');
+
+/**
+ * Layouts - page chrome for each `Page.template`
+ *
+ * Every template is described by a small set of options; `renderLayout`
+ * assembles header, main column, sidebar and footer accordingly.
+ *   - chrome:     site header/footer are available (blank pages have none)
+ *   - navigation: show the main menu in the header
+ *   - title:      render the page title above the content
+ *   - sidebar:    'never', 'optional' (templateSettings.sidebarVisible) or 'always'
+ *   - contained:  wrap the main column in the site container
+ *   - toc:        add a table of contents built from the content headings
+ *   - customChrome: customHeaderHTML/customFooterHTML replace the site header/footer
+ */
+const TEMPLATES = {
+  default: { chrome: true, navigation: true, title: true, sidebar: 'optional', contained: true },
+  blank: { chrome: false, navigation: false, title: false, sidebar: 'never', contained: false },
+  sidebar: { chrome: true, navigation: true, title: true, sidebar: 'always', contained: true },
+  fullwidth: { chrome: true, navigation: true, title: true, sidebar: 'never', contained: false },
+  landing: { chrome: true, navigation: false, title: false, sidebar: 'never', contained: false },
+  portfolio: { chrome: true, navigation: true, title: true, sidebar: 'never', contained: false },
+  documentation: { chrome: true, navigation: true, title: true, sidebar: 'always', contained: true, toc: true },
+  custom: { chrome: true, navigation: true, title: true, sidebar: 'optional', contained: true, customChrome: true },
+};
+
+const getTemplate = (name) => TEMPLATES[name] || TEMPLATES.default;
+
+const renderNavigation = (items) => {
+  if (!items || items.length === 0) return '';
+
+  return `<nav class="site-nav" aria-label="Ana menü"><ul>
+${items.map((item) => `<li${attrs({ class: item.current ? 'is-current' : null })}><a${attrs({ href: item.url, 'aria-current': item.current ? 'page' : null })}>${escapeHtml(item.title)}</a></li>`).join('\n')}
+</ul></nav>`;
+};
+
+const renderHeader = (template, context) => {
+  const { settings, page } = context;
+  const { customHeaderHTML } = page.templateSettings || {};
+  if (template.customChrome && customHeaderHTML) {
+    return `<header class="site-header site-header--custom">${customHeaderHTML}</header>`;
+  }
+
+  const name = (settings.healthcare && settings.healthcare.facilityName) || (settings.seo && settings.seo.siteTitle) || '';
+  const logo = settings.design && settings.design.logo
+    ? `<img${attrs({ class: 'site-header__logo', src: settings.design.logo, alt: name })}>`
+    : `<span class="site-header__name">${escapeHtml(name)}</span>`;
+
+  return `<header class="site-header">
+<a class="site-header__brand" href="/">${logo}</a>
+${template.navigation ? renderNavigation(context.navigation) : ''}
+${customHeaderHTML || ''}
+</header>`;
+};
+
+const renderFooter = (template, context) => {
+  const { settings, page } = context;
+  const { customFooterHTML } = page.templateSettings || {};
+  if (template.customChrome && customFooterHTML) {
+    return `<footer class="site-footer site-footer--custom">${customFooterHTML}</footer>`;
+  }
+
+  const contact = settings.contact || {};
+  const legal = settings.legal || {};
+  const address = contact.address
+    ? [contact.address.street, contact.address.postalCode, contact.address.city, contact.address.country].filter(Boolean).join(', ')
+    : '';
+  const social = Object.entries(contact.socialMedia || {}).filter(([, url]) => url);
+  const legalLinks = [
+    [legal.privacyPolicyUrl, 'Gizlilik Politikası'],
+    [legal.termsOfServiceUrl, 'Kullanım Koşulları'],
+    [legal.cookiePolicyUrl, 'Çerez Politikası'],
+    [legal.disclaimerUrl, 'Tıbbi Sorumluluk Reddi'],
+  ].filter(([url]) => url);
+  const name = (settings.healthcare && settings.healthcare.facilityName) || '';
+
+  return `<footer class="site-footer">
+<address class="site-footer__contact">
+${contact.phone ? `<a${attrs({ href: `tel:${contact.phone.replace(/\s+/g, '')}` })}>${escapeHtml(contact.phone)}</a>` : ''}
+${contact.email ? `<a${attrs({ href: `mailto:${contact.email}` })}>${escapeHtml(contact.email)}</a>` : ''}
+${address ? `<span>${escapeHtml(address)}</span>` : ''}
+</address>
+${social.length ? `<ul class="site-footer__social">${social.map(([network, url]) => `<li><a${attrs({ href: url, rel: 'noopener', target: '_blank', class: `social social--${network}` })}>${escapeHtml(network)}</a></li>`).join('')}</ul>` : ''}
+${legalLinks.length ? `<ul class="site-footer__legal">${legalLinks.map(([url, label]) => `<li><a${attrs({ href: url })}>${escapeHtml(label)}</a></li>`).join('')}</ul>` : ''}
+${legal.disclaimerText ? `<p class="site-footer__disclaimer">${escapeHtml(legal.disclaimerText)}</p>` : ''}
+<p class="site-footer__copyright">© ${new Date().getFullYear()} ${escapeHtml(name)}</p>
+${customFooterHTML || ''}
+</footer>`;
+};
+
+const renderSidebar = (context, toc) => {
+  const links = context.sidebarLinks || [];
+  if (links.length === 0 && !toc) return '';
+
+  return `<aside class="layout__sidebar">
+${links.length ? `<nav class="sidebar-nav"><ul>
+${links.map((link) => `<li${attrs({ class: link.current ? 'is-current' : null, style: link.depth ? `--depth:${link.depth}` : null })}><a${attrs({ href: link.url })}>${escapeHtml(link.title)}</a></li>`).join('\n')}
+</ul></nav>` : ''}
+${toc || ''}
+</aside>`;
+};
+
+/**
+ * Add ids to h2/h3 headings that lack one and build a table of contents.
+ * Returns `{ content, toc }`.
+ */
+const buildTableOfContents = (content) => {
+  const entries = [];
+  let counter = 0;
+
+  const withIds = (content || '').replace(/<h([23])([^>]*)>([\s\S]*?)<\/h\1>/gi, (match, level, attributes, inner) => {
+    const existing = attributes.match(/\sid="([^"]+)"/i);
+    const id = existing ? existing[1] : `heading-${(counter += 1)}`;
+    entries.push({ id, level: Number(level), text: inner.replace(/<[^>]+>/g, '').trim() });
+    return existing ? match : `<h${level}${attributes} id="${id}">${inner}</h${level}>`;
+  });
+
+  const toc = entries.length
+    ? `<nav class="toc" aria-label="İçindekiler"><ol>
+${entries.map((entry) => `<li class="toc__item toc__item--h${entry.level}"><a href="#${escapeHtml(entry.id)}">${escapeHtml(entry.text)}</a></li>`).join('\n')}
+</ol></nav>`
+    : '';
+
+  return { content: withIds, toc };
+};
+
+/**
+ * Render the <body> contents of a page.
+ * `parts.content` is the page content HTML, `parts.sections` the rendered sections.
+ */
+const renderLayout = (page, parts, context) => {
+  const template = getTemplate(page.template);
+  const settings = page.templateSettings || {};
+  const headerVisible = template.chrome && settings.headerVisible !== false;
+  const footerVisible = template.chrome && settings.footerVisible !== false;
+  const sidebarVisible = template.sidebar === 'always' || (template.sidebar === 'optional' && settings.sidebarVisible);
+
+  let { content } = parts;
+  let toc = '';
+  if (template.toc) {
+    ({ content, toc } = buildTableOfContents(content));
+  }
+
+  const main = `<main class="layout__main">
+<article class="page page--${escapeHtml(page.pageType || 'standard')}">
+${template.title ? `<header class="page__header"><h1 class="page__title">${escapeHtml(page.title)}</h1></header>` : ''}
+${content ? `<div class="page__content">${content}</div>` : ''}
+${parts.sections}
+</article>
+</main>`;
+
+  return `${headerVisible ? renderHeader(template, context) : ''}
+<div${attrs({
+    class: [
+      'layout',
+      `layout--${page.template || 'default'}`,
+      template.contained ? 'container' : null,
+      sidebarVisible ? 'layout--with-sidebar' : null,
+    ].filter(Boolean).join(' '),
+  })}>
+${main}
+${sidebarVisible ? renderSidebar(context, toc) : ''}
+</div>
+${footerVisible ? renderFooter(template, context) : ''}`;
+};
+
+module.exports = {
+  TEMPLATES,
+  getTemplate,
+  renderLayout,
+};
@@ -0,0 +1,236 @@
+const { getDefinition, prepareSection } = require('../sections');
+const { escapeHtml, attrs } = require('../../utils/html');
+
+/**
+ * Section Renderers - turn a page section into HTML
+ *
+ * Each renderer receives `(section, context)` where `section.data` has
+ * already been defaulted and validated by the section registry, and returns
+ * the inner HTML of the section. Sections whose data does not validate
+ * (e.g. saved before the registry existed) render their title and content
+ * only. `section.content` holds editor HTML that
+ * was sanitized when the page was saved (services/contentPolicy).
+ */
+
+const customRenderers = new Map();
+
+const heading = (text, level = 2) => (text ? `<h${level} class="section__title">${escapeHtml(text)}</h${level}>` : '');
+
+const body = (html) => (html ? `<div class="section__content">${html}</div>` : '');
+
+const button = (item) =>
+  item ? `<a${attrs({ class: `button button--${item.style || 'primary'}`, href: item.url })}>${escapeHtml(item.label)}</a>` : '';
+
+// Values placed inside inline styles: colors and url() arguments only
+const cssColor = (value) => (/^[#a-zA-Z0-9(),.%\s-]+$/.test(value || '') ? value : null);
+const cssUrl = (value) => encodeURI(value).replace(/'/g, '%27').replace(/\(/g, '%28').replace(/\)/g, '%29');
+
+const image = (item, context, className) =>
+  `<img${attrs({
+    class: className,
+    src: item.url,
+    alt: item.alt || '',
+    loading: context.lazyLoadImages ? 'lazy' : null,
+  })}>`;
+
+const renderers = {
+  hero: (section) => {
+    const { data } = section;
+    const background = data.backgroundImage ? `background-image:url('${cssUrl(data.backgroundImage)}')` : null;
+
+    return `<div${attrs({ class: `hero hero--${data.alignment}`, style: background })}>
+<h1 class="hero__heading">${escapeHtml(data.heading)}</h1>
+${data.subheading ? `<p class="hero__subheading">${escapeHtml(data.subheading)}</p>` : ''}
+${body(section.content)}
+${data.buttons.length ? `<div class="hero__actions">${data.buttons.map(button).join('')}</div>` : ''}
+</div>`;
+  },
+
+  content: (section) => `${heading(section.title)}
+<div class="content content--${section.data.layout} content--columns-${section.data.columns}">${section.content || ''}</div>`,
+
+  features: (section) => `${heading(section.title)}
+${body(section.content)}
+<ul class="features features--columns-${section.data.columns}">
+${section.data.items.map((item) => `<li class="features__item">
+${item.icon ? `<span class="features__icon icon-${escapeHtml(item.icon)}" aria-hidden="true"></span>` : ''}
+<h3 class="features__title">${item.url ? `<a${attrs({ href: item.url })}>${escapeHtml(item.title)}</a>` : escapeHtml(item.title)}</h3>
+${item.description ? `<p>${escapeHtml(item.description)}</p>` : ''}
+</li>`).join('\n')}
+</ul>`,
+
+  cta: (section) => `<div class="cta">
+<h2 class="cta__heading">${escapeHtml(section.data.heading)}</h2>
+${section.data.text ? `<p class="cta__text">${escapeHtml(section.data.text)}</p>` : ''}
+${body(section.content)}
+${button(section.data.button)}
+</div>`,
+
+  testimonial: (section) => `${heading(section.title)}
+<div class="testimonials">
+${section.data.items.map((item) => `<figure class="testimonial">
+<blockquote>${escapeHtml(item.quote)}</blockquote>
+<figcaption>
+${item.photo ? `<img${attrs({ class: 'testimonial__photo', src: item.photo, alt: item.author })}>` : ''}
+<strong>${escapeHtml(item.author)}</strong>${item.role ? ` <span>${escapeHtml(item.role)}</span>` : ''}
+${item.rating ? `<span class="rating" aria-label="${item.rating}/5">${'★'.repeat(item.rating)}${'☆'.repeat(5 - item.rating)}</span>` : ''}
+</figcaption>
+</figure>`).join('\n')}
+</div>`,
+
+  gallery: (section, context) => `${heading(section.title)}
+${body(section.content)}
+<div${attrs({ class: `gallery gallery--columns-${section.data.columns}`, 'data-lightbox': section.data.lightbox ? 'true' : null })}>
+${section.data.images.map((item) => `<figure class="gallery__item">
+${image(item, context, 'gallery__image')}
+${item.caption ? `<figcaption>${escapeHtml(item.caption)}</figcaption>` : ''}
+</figure>`).join('\n')}
+</div>`,
+
+  form: (section, context) => {
+    const field = (item) => {
+      const id = `${section.id}-${item.name}`;
+      const common = { id, name: item.name, required: item.required, placeholder: item.placeholder };
+      let control;
+
+      if (item.type === 'textarea') {
+        control = `<textarea${attrs(common)}></textarea>`;
+      } else if (item.type === 'select') {
+        control = `<select${attrs({ id, name: item.name, required: item.required })}>
+${(item.options || []).map((option) => `<option${attrs({ value: option })}>${escapeHtml(option)}</option>`).join('')}
+</select>`;
+      } else if (item.type === 'checkbox') {
+        return `<div class="form__field form__field--checkbox">
+<input${attrs({ ...common, type: 'checkbox', value: 'yes', placeholder: null })}>
+<label${attrs({ for: id })}>${escapeHtml(item.label)}</label>
+</div>`;
+      } else {
+        control = `<input${attrs({ ...common, type: item.type })}>`;
+      }
+
+      return `<div class="form__field">
+<label${attrs({ for: id })}>${escapeHtml(item.label)}</label>
+${control}
+</div>`;
+    };
+
+    return `${heading(section.title)}
+${body(section.content)}
+<form${attrs({
+      class: 'form',
+      method: 'post',
+      action: section.data.action || `/api/forms/${context.page._id}/${section.id}`,
+      'data-success-message': section.data.successMessage,
+    })}>
+${section.data.fields.map(field).join('\n')}
+<button type="submit" class="button button--primary">${escapeHtml(section.data.submitLabel)}</button>
+</form>`;
+  },
+
+  pricing: (section) => {
+    const periods = { session: 'seans', month: 'ay', year: 'yıl', 'one-time': '' };
+    const price = (plan) => new Intl.NumberFormat('tr-TR', { style: 'currency', currency: plan.currency }).format(plan.price);
+
+    return `${heading(section.title)}
+${body(section.content)}
+<div class="pricing">
+${section.data.plans.map((plan) => `<div class="pricing__plan${plan.highlighted ? ' pricing__plan--highlighted' : ''}">
+<h3>${escapeHtml(plan.name)}</h3>
+<p class="pricing__price">${escapeHtml(price(plan))}${periods[plan.period] ? ` <span>/ ${periods[plan.period]}</span>` : ''}</p>
+${plan.description ? `<p>${escapeHtml(plan.description)}</p>` : ''}
+${plan.features.length ? `<ul>${plan.features.map((feature) => `<li>${escapeHtml(feature)}</li>`).join('')}</ul>` : ''}
+${button(plan.button)}
+</div>`).join('\n')}
+</div>`;
+  },
+
+  team: (section, context) => `${heading(section.title)}
+${body(section.content)}
+<div class="team">
+${section.data.members.map((member) => `<article class="team__member">
+${member.photo ? image({ url: member.photo, alt: member.name }, context, 'team__photo') : ''}
+<h3>${escapeHtml(member.name)}</h3>
+${member.title ? `<p class="team__title">${escapeHtml(member.title)}</p>` : ''}
+${member.bio ? `<p>${escapeHtml(member.bio)}</p>` : ''}
+${member.specialties.length ? `<ul class="team__specialties">${member.specialties.map((item) => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : ''}
+</article>`).join('\n')}
+</div>`,
+
+  faq: (section) => `${heading(section.title)}
+${body(section.content)}
+<div class="faq">
+${section.data.items.map((item) => `<details class="faq__item">
+<summary>${escapeHtml(item.question)}</summary>
+<div class="faq__answer">${escapeHtml(item.answer)}</div>
+</details>`).join('\n')}
+</div>`,
+
+  newsletter: (section) => `<div class="newsletter">
+<h2>${escapeHtml(section.data.heading)}</h2>
+${section.data.description ? `<p>${escapeHtml(section.data.description)}</p>` : ''}
+<form${attrs({ class: 'newsletter__form', method: 'post', action: '/api/newsletter', 'data-list': section.data.listId })}>
+<input${attrs({ type: 'email', name: 'email', required: true, placeholder: section.data.placeholder, 'aria-label': section.data.placeholder })}>
+<button type="submit" class="button button--primary">${escapeHtml(section.data.buttonLabel)}</button>
+</form>
+</div>`,
+
+  custom: (section, context) => {
+    const renderer = section.customType && customRenderers.get(section.customType);
+    if (renderer) return renderer(section, context);
+    return `${heading(section.title)}${body(section.content)}`;
+  },
+};
+
+// Register the renderer for a custom section type (see services/sections)
+const registerSectionRenderer = (customType, renderer) => {
+  customRenderers.set(customType, renderer);
+};
+
+// Title and content only, for sections whose data cannot be rendered
+const fallback = (section) => `${heading(section.title)}${body(section.content)}`;
+
+/**
+ * Render a single section including its wrapper element.
+ * `section.styling.customCSS` is emitted by the layout, not here.
+ * A section that fails to render is logged and rendered with the fallback,
+ * so one broken section does not take the page down.
+ */
+const renderSection = (section, context) => {
+  const renderer = renderers[section.type] || renderers.custom;
+  const { data, errors } = prepareSection(section);
+  // Custom renderers may exist without a registered data definition
+  const invalid = errors.length > 0 && getDefinition(section) !== null;
+  const prepared = {
+    ...(typeof section.toObject === 'function' ? section.toObject() : section),
+    id: section.id,
+    data,
+  };
+
+  let html;
+  try {
+    html = invalid ? fallback(prepared) : renderer(prepared, context);
+  } catch (error) {
+    console.error(`Rendering section ${section.id} (${section.type}) failed:`, error.message);
+    html = fallback(prepared);
+  }
+
+  const { styling = {} } = section;
+  const style = [
+    cssColor(styling.backgroundColor) ? `background-color:${styling.backgroundColor}` : '',
+    cssColor(styling.textColor) ? `color:${styling.textColor}` : '',
+  ].filter(Boolean).join(';');
+
+  return `<section${attrs({
+    id: `section-${section.id}`,
+    class: `section section--${section.type}${section.customType ? ` section--${section.customType}` : ''}`,
+    'data-section-id': section.id,
+    style: style || null,
+  })}>
+${html}
+</section>`;
+};
+
+module.exports = {
+  renderSection,
+  registerSectionRenderer,
+};
@@ -0,0 +1,106 @@
+const Page = require('../models/Page');
+const SEO = require('../models/SEO');
+const Settings = require('../models/Settings');
+const cache = require('./cache');
+const { siteUrl, absoluteUrl } = require('../utils/url');
+
+/**
+ * Robots - robots.txt and per-page robots directives
+ *
+ * A page is indexable/followable only when both its own settings
+ * (Page.seo.robotsIndex / robotsFollow) and its SEO record (SEO.robotsMeta)
+ * allow it. robots.txt combines:
+ *   - the custom rules in Settings.seo.robotsTxt, as written
+ *   - a generated group disallowing noindex and restricted pages
+ *   - a Sitemap line for Settings.seo.sitemapUrl
+ * In maintenance mode and outside production (APP_ENV / NODE_ENV) it
+ * disallows everything instead, so staging sites are never crawled.
+ */
+
+const config = {
+  environment: process.env.APP_ENV || process.env.NODE_ENV || 'development',
+  ttl: parseInt(process.env.ROBOTS_TTL, 10) || 60 * 60,
+};
+
+const CACHE_KEY = 'robots.txt';
+const CACHE_TAGS = ['page', 'seo', 'settings'];
+const DISALLOW_ALL = 'User-agent: *\nDisallow: /\n';
+
+/**
+ * Effective directives of a page: `{ index, follow }`.
+ * `seoRecord` is the page's SEO document, when it has one.
+ */
+const directivesFor = (page, seoRecord) => {
+  const seo = (page && page.seo) || {};
+  const robotsMeta = (seoRecord && seoRecord.robotsMeta) || '';
+
+  return {
+    index: seo.robotsIndex !== false && !/\bnoindex\b/.test(robotsMeta),
+    follow: seo.robotsFollow !== false && !/\bnofollow\b/.test(robotsMeta),
+  };
+};
+
+// Content of the robots meta tag, e.g. 'noindex, follow'
+const metaContent = ({ index, follow }) => `${index ? 'index' : 'noindex'}, ${follow ? 'follow' : 'nofollow'}`;
+
+const isRestricted = (page) => {
+  const visibility = page.visibility || {};
+  return (
+    visibility.isPublic === false ||
+    Boolean(visibility.passwordProtected) ||
+    Boolean((visibility.restrictedUsers || []).length)
+  );
+};
+
+const isStaging = (settings) =>
+  config.environment !== 'production' || Boolean(settings.maintenance && settings.maintenance.maintenanceMode);
+
+// Paths of published pages that must not be crawled, e.g. '/hizmetler/gizli'
+const disallowedPaths = async () => {
+  const [pages, records] = await Promise.all([
+    Page.find({ status: 'published' }).select('slug path seo visibility metadata').lean(),
+    SEO.find({ robotsMeta: /noindex/ }).select('pageSlug associatedPage robotsMeta').lean(),
+  ]);
+
+  const byPage = new Map(records.filter((record) => record.associatedPage).map((record) => [String(record.associatedPage), record]));
+  const bySlug = new Map(records.map((record) => [record.pageSlug, record]));
+
+  return pages
+    .filter((page) => !(page.metadata && page.metadata.isHomePage))
+    .filter((page) => isRestricted(page) || !directivesFor(page, byPage.get(String(page._id)) || bySlug.get(page.slug)).index)
+    .map((page) => `/${page.path || page.slug}`)
+    .sort();
+};
+
+// Build the robots.txt content
+const generate = async (settings) => {
+  const current = settings || (await Settings.getCurrent()) || {};
+  if (isStaging(current)) return DISALLOW_ALL;
+
+  const seo = current.seo || {};
+  const sitemapUrl = seo.enableXmlSitemap === false ? null : absoluteUrl(siteUrl(current), seo.sitemapUrl || '/sitemap.xml');
+  const custom = String(seo.robotsTxt || '')
+    .split(/\r?\n/)
+    .filter((line) => !/^\s*sitemap\s*:/i.test(line) || !sitemapUrl)
+    .join('\n')
+    .trim();
+
+  // '$' keeps the rule from matching other pages that share the prefix
+  const generated = ['User-agent: *', 'Disallow: /api/', ...(await disallowedPaths()).map((path) => `Disallow: ${path}$`)];
+
+  return `${[custom, generated.join('\n'), sitemapUrl && `Sitemap: ${sitemapUrl}`].filter(Boolean).join('\n\n')}\n`;
+};
+
+// robots.txt from the cache, rebuilt when pages, SEO records or Settings change
+const getRobotsTxt = async (settings) => {
+  const entry = await cache.wrap(CACHE_KEY, { ttl: config.ttl, tags: CACHE_TAGS }, () => generate(settings));
+  return entry.value;
+};
+
+module.exports = {
+  config,
+  directivesFor,
+  metaContent,
+  generate,
+  getRobotsTxt,
+};
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const Page = require('../models/Page');
+const SEO = require('../models/SEO');
+const robots = require('./robots');
+
+describe('directivesFor', () => {
+  it('allows indexing and following by default', () => {
+    expect(robots.directivesFor({}, null)).toEqual({ index: true, follow: true });
+    expect(robots.directivesFor(null)).toEqual({ index: true, follow: true });
+  });
+
+  it('applies the page settings', () => {
+    expect(robots.directivesFor({ seo: { robotsIndex: false, robotsFollow: true } })).toEqual({ index: false, follow: true });
+    expect(robots.directivesFor({ seo: { robotsFollow: false } })).toEqual({ index: true, follow: false });
+  });
+
+  it('applies the SEO record on top of the page settings', () => {
+    const page = { seo: { robotsIndex: true, robotsFollow: true } };
+    expect(robots.directivesFor(page, { robotsMeta: 'noindex, follow' })).toEqual({ index: false, follow: true });
+    expect(robots.directivesFor(page, { robotsMeta: 'index,nofollow' })).toEqual({ index: true, follow: false });
+  });
+});
+
+describe('metaContent', () => {
+  it('writes both directives', () => {
+    expect(robots.metaContent({ index: true, follow: true })).toBe('index, follow');
+    expect(robots.metaContent({ index: false, follow: false })).toBe('noindex, nofollow');
+  });
+});
+
+describe('generate', () => {
+  const { environment } = robots.config;
+  const lean = (documents) => ({ select: () => ({ lean: async () => documents }) });
+  const settings = {
+    seo: { canonicalUrl: 'https://example.com/', robotsTxt: 'User-agent: BadBot\nDisallow: /\nSitemap: https://eski.com/s.xml' },
+  };
+
+  beforeEach(() => {
+    robots.config.environment = 'production';
+  });
+
+  afterEach(() => {
+    robots.config.environment = environment;
+    jest.restoreAllMocks();
+  });
+
+  it('disallows noindex and restricted pages and points to the sitemap', async () => {
+    const hidden = { _id: new mongoose.Types.ObjectId(), slug: 'gizli', path: 'hizmetler/gizli' };
+    jest.spyOn(Page, 'find').mockReturnValue(
+      lean([
+        { _id: new mongoose.Types.ObjectId(), slug: 'kupa', path: 'kupa' },
+        { _id: new mongoose.Types.ObjectId(), slug: 'taslak', seo: { robotsIndex: false } },
+        { _id: new mongoose.Types.ObjectId(), slug: 'uyeler', visibility: { isPublic: false } },
+        { _id: new mongoose.Types.ObjectId(), slug: 'anasayfa', seo: { robotsIndex: false }, metadata: { isHomePage: true } },
+        hidden,
+      ])
+    );
+    jest.spyOn(SEO, 'find').mockReturnValue(lean([{ pageSlug: 'gizli', associatedPage: hidden._id, robotsMeta: 'noindex' }]));
+
+    expect(await robots.generate(settings)).toBe(
+      [
+        'User-agent: BadBot',
+        'Disallow: /',
+        '',
+        'User-agent: *',
+        'Disallow: /api/',
+        'Disallow: /hizmetler/gizli$',
+        'Disallow: /taslak$',
+        'Disallow: /uyeler$',
+        '',
+        'Sitemap: https://example.com/sitemap.xml',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('disallows everything outside production and in maintenance mode', async () => {
+    robots.config.environment = 'staging';
+    expect(await robots.generate(settings)).toBe('User-agent: *\nDisallow: /\n');
+
+    robots.config.environment = 'production';
+    expect(await robots.generate({ ...settings, maintenance: { maintenanceMode: true } })).toBe('User-agent: *\nDisallow: /\n');
+  });
+});
@@ -0,0 +1,361 @@
+const Page = require('../models/Page');
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const Tag = require('../models/Tag');
+const Media = require('../models/Media');
+const SearchEntry = require('../models/SearchEntry');
+const contentEvents = require('./contentEvents');
+const authorization = require('./authorization');
+const { sectionText } = require('./sections');
+const { GUEST_ROLE } = require('../config/roles');
+const { fold, foldedPattern, escapeRegExp, words } = require('../utils/turkish');
+const { escapeHtml, stripTags } = require('../utils/html');
+
+/**
+ * Search - Turkish-aware full-text search over pages, posts, categories,
+ * tags and media
+ *
+ * Every document is mirrored into SearchEntry with Turkish-folded text, so
+ * 'sisli' finds 'Şişli' and 'ISTANBUL' finds 'İstanbul'. Queries match
+ * word prefixes through the indexed `tokens`, results are scored by where
+ * the terms occur (title > keywords > summary > body) and come with
+ * highlighted snippets, facets and paging. The index follows content
+ * changes through contentEvents; `rebuildIndex()` recreates it.
+ */
+
+const MODELS = { Page, Post, Category, Tag, Media };
+const TYPES = { Page: 'page', Post: 'post', Category: 'category', Tag: 'tag', Media: 'media' };
+const WEIGHTS = { title: 10, keywords: 5, summary: 3, body: 1 };
+const MAX_TEXT_LENGTH = 20000;
+const MAX_TERMS = 8;
+const MAX_CANDIDATES = 1000;
+const SNIPPET_LENGTH = 160;
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+const joinText = (...parts) => parts.flat().filter(Boolean).join(' ');
+
+// What is indexed for each model
+const entryBuilders = {
+  Page: (page) => {
+    const visibility = page.visibility || {};
+    const features = page.advancedFeatures || {};
+    const seo = page.seo || {};
+    // The content of password-protected pages must not leak through snippets
+    const body = visibility.passwordProtected
+      ? ''
+      : joinText(stripTags(page.content), (page.sections || []).filter((section) => section.isVisible !== false).map(sectionText));
+
+    return {
+      title: page.title,
+      slug: page.slug,
+      text: body,
+      fields: {
+        title: page.title,
+        keywords: joinText(seo.metaKeywords, features.tags),
+        summary: visibility.passwordProtected ? '' : joinText(page.excerpt, seo.metaDescription),
+        body,
+      },
+      categories: (features.categories || []).map(String),
+      tags: features.tags || [],
+      published: page.status === 'published',
+      isPublic: visibility.isPublic !== false,
+      roles: visibility.roles || [],
+      restricted: Boolean(visibility.restrictedUsers && visibility.restrictedUsers.length),
+      date: page.publishedAt || page.updatedAt,
+    };
+  },
+
+  Post: (post) => ({
+    title: post.title,
+    slug: post.slug,
+    text: stripTags(post.content),
+    fields: {
+      title: post.title,
+      keywords: joinText(post.tags, post.meta && post.meta.keywords),
+      summary: joinText(post.excerpt, post.meta && post.meta.description),
+      body: stripTags(post.content),
+    },
+    categories: post.category ? [String(post.category)] : [],
+    tags: post.tags || [],
+    published: post.status === 'published',
+    date: post.publishedAt || post.updatedAt,
+  }),
+
+  Category: (category) => ({
+    title: category.name,
+    slug: category.slug,
+    text: category.description,
+    fields: { title: category.name, summary: category.description },
+    published: category.isActive !== false,
+  }),
+
+  Tag: (tag) => ({
+    title: tag.name,
+    slug: tag.slug,
+    text: tag.description,
+    fields: { title: tag.name, summary: tag.description },
+    published: tag.isActive !== false,
+  }),
+
+  Media: (media) => ({
+    title: media.title,
+    url: media.url,
+    text: media.description,
+    fields: {
+      title: media.title,
+      keywords: joinText(media.tags, media.altText, media.seo && media.seo.keywords),
+      summary: media.description,
+    },
+    tags: media.tags || [],
+    published: media.isActive !== false && media.status === 'approved',
+    isPublic: media.isPublic !== false,
+    date: media.uploadedAt,
+  }),
+};
+
+const buildEntry = (modelName, doc) => {
+  const entry = entryBuilders[modelName](doc);
+  const fields = Object.fromEntries(Object.keys(WEIGHTS).map((name) => [name, fold(entry.fields[name])]));
+
+  return {
+    isPublic: true,
+    roles: [],
+    restricted: false,
+    categories: [],
+    ...entry,
+    tags: (entry.tags || []).map((tag) => String(tag).toLocaleLowerCase('tr')),
+    text: entry.text ? String(entry.text).slice(0, MAX_TEXT_LENGTH) : '',
+    fields,
+    tokens: [...new Set(words(Object.values(fields).join(' ')))],
+  };
+};
+
+// Add or refresh the index entry of one document
+const indexDocument = async (modelName, doc) => {
+  if (!entryBuilders[modelName]) return null;
+
+  return SearchEntry.findOneAndUpdate(
+    { type: TYPES[modelName], ref: doc._id },
+    { $set: buildEntry(modelName, doc) },
+    { upsert: true, new: true }
+  );
+};
+
+const removeDocument = (modelName, id) => SearchEntry.deleteOne({ type: TYPES[modelName], ref: id });
+
+/**
+ * Recreate the whole index from the source collections.
+ * Resolves to the number of indexed documents.
+ */
+const rebuildIndex = async () => {
+  const startedAt = new Date();
+  let indexed = 0;
+
+  for (const [modelName, Model] of Object.entries(MODELS)) {
+    for await (const doc of Model.find().lean().cursor()) {
+      await indexDocument(modelName, doc);
+      indexed += 1;
+    }
+  }
+
+  // Entries not touched by this run belong to deleted documents
+  await SearchEntry.deleteMany({ updatedAt: { $lt: startedAt } });
+  return indexed;
+};
+
+// Visibility filter per entry type for `user` (null for anonymous visitors)
+const visibilityFilter = async (user, types) => {
+  const { chain } = await authorization.resolveRole(user && user.isActive !== false ? user.role : GUEST_ROLE);
+  const roles = [...chain, GUEST_ROLE];
+
+  const clauses = await Promise.all(
+    types.map(async (type) => {
+      if ((type === 'page' || type === 'post') && (await authorization.can(user, `${type}:update`))) {
+        return { type };
+      }
+      if (type === 'page') {
+        return { type, published: true, restricted: false, $or: [{ isPublic: true }, { roles: { $in: roles } }] };
+      }
+      return { type, published: true, isPublic: true };
+    })
+  );
+  return { $or: clauses };
+};
+
+const scoreEntry = (entry, terms, phrase) => {
+  let score = 0;
+
+  Object.entries(WEIGHTS).forEach(([name, weight]) => {
+    const field = entry.fields[name] || '';
+    terms.forEach((term) => {
+      const matches = field.match(new RegExp(`(^|[^a-z0-9])${term}`, 'g'));
+      if (matches) score += weight * (1 + Math.log(matches.length));
+    });
+  });
+
+  const title = entry.fields.title || '';
+  if (title === phrase) score += 30;
+  else if (terms.length > 1 && title.includes(phrase)) score += 15;
+  else if (terms.length > 1 && (entry.fields.body || '').includes(phrase)) score += 5;
+
+  return Math.round(score * 100) / 100;
+};
+
+// Escape `text` and wrap every term match in <mark>
+const highlight = (text, terms) => {
+  const pattern = new RegExp(`(${terms.map(foldedPattern).join('|')})`, 'gi');
+  return String(text)
+    .split(pattern)
+    .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+};
+
+// Highlighted excerpt around the first match (or the start of the text)
+const snippet = (text, terms) => {
+  if (!text) return '';
+
+  const match = new RegExp(terms.map(foldedPattern).join('|'), 'i').exec(text);
+  const start = match ? Math.max(text.lastIndexOf(' ', Math.max(match.index - SNIPPET_LENGTH / 3, 0)), 0) : 0;
+  const end = Math.min(start + SNIPPET_LENGTH, text.length);
+  const excerpt = text.slice(start, end).trim();
+
+  return `${start > 0 ? '… ' : ''}${highlight(excerpt, terms)}${end < text.length ? ' …' : ''}`;
+};
+
+const countBy = (entries, valuesOf) => {
+  const counts = new Map();
+  entries.forEach((entry) => {
+    new Set(valuesOf(entry)).forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+  });
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value), 'tr'));
+};
+
+/**
+ * Search the index.
+ * Options: `user`, `types` (e.g. ['page', 'post']), `category` (id),
+ * `tag`, `page` and `limit`. Facet counts for one dimension ignore that
+ * dimension's own filter, so every facet value shows how many results
+ * selecting it would give.
+ */
+const search = async (query, options = {}) => {
+  const terms = [...new Set(words(query))].slice(0, MAX_TERMS);
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const pageNumber = Math.max(parseInt(options.page, 10) || 1, 1);
+  const empty = { query, results: [], total: 0, page: pageNumber, pages: 0, facets: { type: [], category: [], tag: [] } };
+
+  if (terms.length === 0) return empty;
+
+  const allTypes = Object.values(TYPES);
+  const candidates = await SearchEntry.find({
+    $and: [
+      await visibilityFilter(options.user || null, allTypes),
+      ...terms.map((term) => ({ tokens: new RegExp(`^${escapeRegExp(term)}`) })),
+    ],
+  })
+    .select('-tokens')
+    .limit(MAX_CANDIDATES)
+    .lean();
+
+  const types = [].concat(options.types || []).filter((type) => allTypes.includes(type));
+  const tag = options.tag ? String(options.tag).toLocaleLowerCase('tr') : null;
+  const filters = {
+    type: (entry) => types.length === 0 || types.includes(entry.type),
+    category: (entry) => !options.category || entry.categories.includes(String(options.category)),
+    tag: (entry) => !tag || entry.tags.includes(tag),
+  };
+  const passes = (entry, except) =>
+    Object.entries(filters).every(([name, filter]) => name === except || filter(entry));
+
+  const phrase = terms.join(' ');
+  const matches = candidates
+    .filter((entry) => passes(entry))
+    .map((entry) => ({ entry, score: scoreEntry(entry, terms, phrase) }))
+    .sort((a, b) => b.score - a.score || new Date(b.entry.date || 0) - new Date(a.entry.date || 0));
+
+  const pageOfResults = matches.slice((pageNumber - 1) * limit, pageNumber * limit);
+
+  // Page URLs follow the page tree, so read them fresh
+  const pageIds = pageOfResults.filter(({ entry }) => entry.type === 'page').map(({ entry }) => entry.ref);
+  const pages = pageIds.length ? await Page.find({ _id: { $in: pageIds } }).select('slug path metadata.isHomePage') : [];
+  const urls = new Map(pages.map((page) => [String(page._id), page.url]));
+
+  const categoryFacet = countBy(candidates.filter((entry) => passes(entry, 'category')), (entry) => entry.categories);
+  const categories = categoryFacet.length
+    ? await Category.find({ _id: { $in: categoryFacet.map(({ value }) => value) } }).select('name slug').lean()
+    : [];
+  const categoryNames = new Map(categories.map((category) => [String(category._id), category.name]));
+
+  return {
+    query,
+    results: pageOfResults.map(({ entry, score }) => ({
+      type: entry.type,
+      id: entry.ref,
+      title: entry.title,
+      titleHtml: highlight(entry.title, terms),
+      snippet: snippet(entry.text || entry.fields.summary, terms),
+      slug: entry.slug,
+      url: entry.type === 'page' ? urls.get(String(entry.ref)) : entry.url,
+      date: entry.date,
+      score,
+    })),
+    total: matches.length,
+    page: pageNumber,
+    pages: Math.ceil(matches.length / limit),
+    facets: {
+      type: countBy(candidates.filter((entry) => passes(entry, 'type')), (entry) => [entry.type]),
+      category: categoryFacet
+        .filter(({ value }) => categoryNames.has(value))
+        .map((facet) => ({ ...facet, label: categoryNames.get(facet.value) })),
+      tag: countBy(candidates.filter((entry) => passes(entry, 'tag')), (entry) => entry.tags),
+    },
+  };
+};
+
+// Re-read the document so partial (select()ed) documents are indexed in full
+const handleChange = async ({ model, document }) => {
+  if (!MODELS[model]) return;
+
+  try {
+    const doc = await MODELS[model].findById(document._id).lean();
+    if (doc) await indexDocument(model, doc);
+    else await removeDocument(model, document._id);
+  } catch (error) {
+    console.error(`Search indexing failed for ${model} ${document._id}:`, error.message);
+  }
+};
+
+const handleRemoval = ({ model, document }) => {
+  if (!MODELS[model]) return;
+
+  removeDocument(model, document._id).catch((error) => {
+    console.error(`Search index removal failed for ${model} ${document._id}:`, error.message);
+  });
+};
+
+let listening = false;
+
+// Keep the index up to date as content changes
+const start = () => {
+  if (listening) return;
+  ['saved', 'published', 'unpublished'].forEach((event) => contentEvents.on(event, handleChange));
+  contentEvents.on('removed', handleRemoval);
+  listening = true;
+};
+
+const stop = () => {
+  ['saved', 'published', 'unpublished'].forEach((event) => contentEvents.off(event, handleChange));
+  contentEvents.off('removed', handleRemoval);
+  listening = false;
+};
+
+module.exports = {
+  search,
+  indexDocument,
+  removeDocument,
+  rebuildIndex,
+  start,
+  stop,
+};
@@ -0,0 +1,122 @@
+const builtInTypes = require('./types');
+const { applyDefaults, validateData } = require('./validate');
+const { stripTags } = require('../../utils/html');
+
+/**
+ * Section Registry - data schemas for page sections
+ *
+ * Built-in types map 1:1 to `Page.sections[].type`. Sections of type
+ * `custom` pick their definition through `section.customType`, which lets
+ * plugins add their own section types:
+ *
+ *   registerSectionType('appointment-widget', {
+ *     version: 1,
+ *     fields: { departmentId: { type: 'string', required: true } },
+ *   });
+ */
+
+const customTypes = new Map();
+
+const normalizeDefinition = (name, definition) => {
+  if (!definition || typeof definition.fields !== 'object') {
+    throw new Error(`Section type "${name}" must define its data fields`);
+  }
+
+  return {
+    version: 1,
+    migrate: (data) => data,
+    ...definition,
+    name,
+  };
+};
+
+const builtIns = new Map(
+  Object.entries(builtInTypes).map(([name, definition]) => [name, normalizeDefinition(name, definition)])
+);
+
+// Register (or replace) a definition for `custom` sections
+const registerSectionType = (name, definition) => {
+  if (!/^[a-z][a-z0-9-]*$/.test(name)) {
+    throw new Error('Custom section type names must be lowercase letters, numbers and hyphens');
+  }
+  if (builtIns.has(name)) {
+    throw new Error(`"${name}" is a built-in section type`);
+  }
+
+  customTypes.set(name, normalizeDefinition(name, definition));
+};
+
+const unregisterSectionType = (name) => customTypes.delete(name);
+
+// Definition for a section, or null for unregistered custom sections
+const getDefinition = (section) => {
+  if (section.type === 'custom') {
+    return (section.customType && customTypes.get(section.customType)) || null;
+  }
+  return builtIns.get(section.type) || null;
+};
+
+// Definitions for the editor UI, with defaults filled in
+const listSectionTypes = () =>
+  [...builtIns.values(), ...customTypes.values()].map((definition) => ({
+    name: definition.name,
+    custom: customTypes.has(definition.name),
+    version: definition.version,
+    fields: definition.fields,
+    defaults: applyDefaults(definition.fields, {}),
+  }));
+
+/**
+ * Migrate, default and validate a section's data.
+ * Returns `{ data, dataVersion, errors }`; `errors` holds
+ * `{ path, message, value }` entries with paths relative to `section.data`.
+ */
+const prepareSection = (section) => {
+  const definition = getDefinition(section);
+  const data = section.data === undefined || section.data === null ? {} : section.data;
+
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    return { data, dataVersion: section.dataVersion, errors: [{ path: '', message: 'must be an object', value: data }] };
+  }
+
+  if (!definition) {
+    const errors = section.type === 'custom' && section.customType
+      ? [{ path: '', message: `unknown custom section type "${section.customType}"`, value: section.customType }]
+      : [];
+    return { data, dataVersion: section.dataVersion, errors };
+  }
+
+  let migrated = data;
+  const fromVersion = section.dataVersion || 1;
+  if (fromVersion < definition.version) {
+    migrated = definition.migrate(JSON.parse(JSON.stringify(data)), fromVersion);
+  }
+
+  const prepared = applyDefaults(definition.fields, migrated);
+  return {
+    data: prepared,
+    dataVersion: definition.version,
+    errors: validateData(definition.fields, prepared),
+  };
+};
+
+const dataText = (value) => {
+  if (typeof value === 'string') return /^(https?:|\/|#)/.test(value) ? '' : value;
+  if (Array.isArray(value)) return value.map(dataText).join(' ');
+  if (value && typeof value === 'object') return Object.values(value).map(dataText).join(' ');
+  return '';
+};
+
+// Visible plain text of a section (title, content and data strings such as
+// headings and FAQ answers), for search and similarity
+const sectionText = (section) =>
+  [section.title, stripTags(section.content), dataText(section.data)].filter(Boolean).join(' ');
+
+module.exports = {
+  registerSectionType,
+  unregisterSectionType,
+  getDefinition,
+  listSectionTypes,
+  prepareSection,
+  sectionText,
+};
@@ -0,0 +1,52 @@
+const sections = require('./index');
+
+describe('prepareSection', () => {
+  afterEach(() => sections.unregisterSectionType('randevu'));
+
+  it('fills defaults and validates built-in types', () => {
+    expect(sections.prepareSection({ type: 'hero', data: { heading: 'Hoş geldiniz' } })).toEqual({
+      data: { heading: 'Hoş geldiniz', alignment: 'center', buttons: [] },
+      dataVersion: 1,
+      errors: [],
+    });
+
+    const { errors } = sections.prepareSection({ type: 'faq' });
+    expect(errors).toEqual([{ path: 'items', message: 'is required', value: undefined }]);
+  });
+
+  it('rejects data that is not an object', () => {
+    expect(sections.prepareSection({ type: 'hero', data: 'metin' }).errors).toEqual([
+      { path: '', message: 'must be an object', value: 'metin' },
+    ]);
+  });
+
+  it('migrates data saved with an older version of a custom type', () => {
+    const migrate = jest.fn((data) => ({ departmentId: data.department }));
+    sections.registerSectionType('randevu', {
+      version: 2,
+      migrate,
+      fields: { departmentId: { type: 'string', required: true } },
+    });
+
+    const section = { type: 'custom', customType: 'randevu', dataVersion: 1, data: { department: 'kbb' } };
+    expect(sections.prepareSection(section)).toEqual({ data: { departmentId: 'kbb' }, dataVersion: 2, errors: [] });
+    expect(migrate).toHaveBeenCalledWith({ department: 'kbb' }, 1);
+    expect(section.data).toEqual({ department: 'kbb' });
+  });
+
+  it('reports unregistered custom types and leaves their data alone', () => {
+    expect(sections.prepareSection({ type: 'custom', customType: 'randevu', data: { a: 1 } })).toEqual({
+      data: { a: 1 },
+      dataVersion: undefined,
+      errors: [{ path: '', message: 'unknown custom section type "randevu"', value: 'randevu' }],
+    });
+  });
+});
+
+describe('registerSectionType', () => {
+  it('rejects invalid names, built-in names and definitions without fields', () => {
+    expect(() => sections.registerSectionType('Randevu', { fields: {} })).toThrow(/lowercase/);
+    expect(() => sections.registerSectionType('hero', { fields: {} })).toThrow(/built-in/);
+    expect(() => sections.registerSectionType('randevu', {})).toThrow(/data fields/);
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * Built-in section types
+ *
+ * One definition per `Page.sections[].type`. Each definition has:
+ *   - version: bumped whenever the data shape changes
+ *   - fields:  descriptors for `section.data` (see ./validate.js)
+ *   - migrate: upgrades data saved with an older version (optional)
+ */
+
+const button = {
+  type: 'object',
+  fields: {
+    label: { type: 'string', required: true, maxLength: 60 },
+    url: { type: 'url', required: true },
+    style: { type: 'string', enum: ['primary', 'secondary', 'link'], default: 'primary' },
+  },
+};
+
+const image = {
+  type: 'object',
+  fields: {
+    url: { type: 'url', required: true },
+    alt: { type: 'string', maxLength: 200, default: '' },
+    caption: { type: 'string', maxLength: 300 },
+  },
+};
+
+module.exports = {
+  hero: {
+    version: 1,
+    fields: {
+      heading: { type: 'string', required: true, maxLength: 150 },
+      subheading: { type: 'string', maxLength: 300 },
+      backgroundImage: { type: 'url' },
+      alignment: { type: 'string', enum: ['left', 'center', 'right'], default: 'center' },
+      buttons: { type: 'array', maxItems: 3, items: button, default: [] },
+    },
+  },
+
+  content: {
+    version: 1,
+    fields: {
+      layout: { type: 'string', enum: ['narrow', 'wide'], default: 'narrow' },
+      columns: { type: 'number', integer: true, min: 1, max: 3, default: 1 },
+    },
+  },
+
+  features: {
+    version: 1,
+    fields: {
+      columns: { type: 'number', integer: true, min: 1, max: 4, default: 3 },
+      items: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        items: {
+          type: 'object',
+          fields: {
+            title: { type: 'string', required: true, maxLength: 100 },
+            description: { type: 'string', maxLength: 500 },
+            icon: { type: 'string', maxLength: 100 },
+            url: { type: 'url' },
+          },
+        },
+      },
+    },
+  },
+
+  cta: {
+    version: 1,
+    fields: {
+      heading: { type: 'string', required: true, maxLength: 150 },
+      text: { type: 'string', maxLength: 500 },
+      button: { ...button, required: true },
+    },
+  },
+
+  testimonial: {
+    version: 1,
+    fields: {
+      items: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        items: {
+          type: 'object',
+          fields: {
+            quote: { type: 'string', required: true, maxLength: 1000 },
+            author: { type: 'string', required: true, maxLength: 100 },
+            role: { type: 'string', maxLength: 100 },
+            photo: { type: 'url' },
+            rating: { type: 'number', integer: true, min: 1, max: 5 },
+          },
+        },
+      },
+    },
+  },
+
+  gallery: {
+    version: 1,
+    fields: {
+      columns: { type: 'number', integer: true, min: 1, max: 6, default: 3 },
+      lightbox: { type: 'boolean', default: true },
+      images: { type: 'array', required: true, minItems: 1, items: image },
+    },
+  },
+
+  form: {
+    version: 1,
+    fields: {
+      submitLabel: { type: 'string', maxLength: 60, default: 'Gönder' },
+      successMessage: { type: 'string', maxLength: 300, default: 'Mesajınız alındı. Teşekkür ederiz.' },
+      recipientEmail: { type: 'email' },
+      action: { type: 'url' },
+      fields: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        items: {
+          type: 'object',
+          fields: {
+            name: { type: 'string', required: true, pattern: /^[a-zA-Z][a-zA-Z0-9_-]*$/, maxLength: 50 },
+            label: { type: 'string', required: true, maxLength: 100 },
+            type: {
+              type: 'string',
+              enum: ['text', 'email', 'tel', 'textarea', 'select', 'checkbox', 'date'],
+              default: 'text',
+            },
+            required: { type: 'boolean', default: false },
+            placeholder: { type: 'string', maxLength: 100 },
+            options: { type: 'array', items: { type: 'string', maxLength: 100 } },
+          },
+        },
+      },
+    },
+  },
+
+  pricing: {
+    version: 1,
+    fields: {
+      plans: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        items: {
+          type: 'object',
+          fields: {
+            name: { type: 'string', required: true, maxLength: 100 },
+            price: { type: 'number', required: true, min: 0 },
+            currency: { type: 'string', enum: ['TRY', 'USD', 'EUR'], default: 'TRY' },
+            period: { type: 'string', enum: ['session', 'month', 'year', 'one-time'], default: 'session' },
+            description: { type: 'string', maxLength: 300 },
+            features: { type: 'array', items: { type: 'string', maxLength: 200 }, default: [] },
+            highlighted: { type: 'boolean', default: false },
+            button,
+          },
+        },
+      },
+    },
+  },
+
+  team: {
+    version: 1,
+    fields: {
+      members: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        items: {
+          type: 'object',
+          fields: {
+            name: { type: 'string', required: true, maxLength: 100 },
+            title: { type: 'string', maxLength: 100 },
+            photo: { type: 'url' },
+            bio: { type: 'string', maxLength: 1000 },
+            specialties: { type: 'array', items: { type: 'string', maxLength: 100 }, default: [] },
+          },
+        },
+      },
+    },
+  },
+
+  faq: {
+    version: 1,
+    fields: {
+      items: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        items: {
+          type: 'object',
+          fields: {
+            question: { type: 'string', required: true, maxLength: 300 },
+            answer: { type: 'string', required: true, maxLength: 3000 },
+          },
+        },
+      },
+    },
+  },
+
+  newsletter: {
+    version: 1,
+    fields: {
+      heading: { type: 'string', maxLength: 150, default: 'Bültenimize abone olun' },
+      description: { type: 'string', maxLength: 300 },
+      placeholder: { type: 'string', maxLength: 100, default: 'E-posta adresiniz' },
+      buttonLabel: { type: 'string', maxLength: 60, default: 'Abone Ol' },
+      listId: { type: 'string', maxLength: 100 },
+    },
+  },
+};
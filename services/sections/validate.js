@@ -0,0 +1,144 @@
+/**
+ * Section data validation
+ *
+ * Section types describe their `data` with plain field descriptors:
+ *
+ *   {
+ *     heading: { type: 'string', required: true, maxLength: 150 },
+ *     buttons: { type: 'array', maxItems: 3, items: { type: 'object', fields: { ... } } },
+ *   }
+ *
+ * Supported types: string, number, boolean, url, email, color, object, array.
+ * Common options: required, default, enum; strings: minLength, maxLength,
+ * pattern; numbers: min, max, integer; arrays: items, minItems, maxItems;
+ * objects: fields.
+ */
+
+const URL_PATTERN = /^(https?:\/\/|mailto:|tel:|\/|#)/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const cloneDefault = (value) => (typeof value === 'function' ? value() : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Fill in defaults for missing values. Returns a new object and never
+ * mutates the input.
+ */
+const applyDefaults = (fields, data) => {
+  const result = isObject(data) ? { ...data } : {};
+
+  Object.entries(fields).forEach(([name, field]) => {
+    if (isEmpty(result[name]) && field.default !== undefined) {
+      result[name] = cloneDefault(field.default);
+    }
+
+    if (field.type === 'object' && field.fields && (isObject(result[name]) || field.required)) {
+      result[name] = applyDefaults(field.fields, result[name]);
+    }
+
+    if (field.type === 'array' && Array.isArray(result[name]) && field.items && field.items.type === 'object') {
+      result[name] = result[name].map((item) => (isObject(item) ? applyDefaults(field.items.fields, item) : item));
+    }
+  });
+
+  return result;
+};
+
+const checkValue = (field, value, path, errors) => {
+  const fail = (message) => errors.push({ path, message, value });
+
+  if (isEmpty(value)) {
+    if (field.required) fail('is required');
+    return;
+  }
+
+  switch (field.type) {
+    case 'string':
+    case 'url':
+    case 'email':
+    case 'color':
+      if (typeof value !== 'string') return fail('must be a string');
+      if (field.minLength !== undefined && value.length < field.minLength) {
+        return fail(`must be at least ${field.minLength} characters`);
+      }
+      if (field.maxLength !== undefined && value.length > field.maxLength) {
+        return fail(`cannot be more than ${field.maxLength} characters`);
+      }
+      if (field.type === 'url' && !URL_PATTERN.test(value.trim())) {
+        return fail('must be an http(s), mailto:, tel: or site-relative URL');
+      }
+      if (field.type === 'email' && !EMAIL_PATTERN.test(value)) return fail('must be a valid email address');
+      if (field.type === 'color' && !COLOR_PATTERN.test(value)) return fail('must be a hex color');
+      if (field.pattern && !field.pattern.test(value)) return fail('has an invalid format');
+      break;
+
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value)) return fail('must be a number');
+      if (field.integer && !Number.isInteger(value)) return fail('must be a whole number');
+      if (field.min !== undefined && value < field.min) return fail(`must be at least ${field.min}`);
+      if (field.max !== undefined && value > field.max) return fail(`cannot be more than ${field.max}`);
+      break;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') return fail('must be true or false');
+      break;
+
+    case 'object':
+      if (!isObject(value)) return fail('must be an object');
+      if (field.fields) checkFields(field.fields, value, path, errors);
+      break;
+
+    case 'array':
+      if (!Array.isArray(value)) return fail('must be a list');
+      if (field.minItems !== undefined && value.length < field.minItems) {
+        return fail(`must contain at least ${field.minItems} item(s)`);
+      }
+      if (field.maxItems !== undefined && value.length > field.maxItems) {
+        return fail(`cannot contain more than ${field.maxItems} items`);
+      }
+      if (field.items) {
+        value.forEach((item, index) => checkValue(field.items, item, `${path}.${index}`, errors));
+      }
+      break;
+
+    default:
+      break;
+  }
+
+  if (field.enum && !field.enum.includes(value)) {
+    fail(`must be one of: ${field.enum.join(', ')}`);
+  }
+};
+
+const checkFields = (fields, data, prefix, errors) => {
+  const join = (name) => (prefix ? `${prefix}.${name}` : name);
+
+  Object.keys(data).forEach((name) => {
+    if (!fields[name]) {
+      errors.push({ path: join(name), message: 'is not a known field', value: data[name] });
+    }
+  });
+
+  Object.entries(fields).forEach(([name, field]) => checkValue(field, data[name], join(name), errors));
+  return errors;
+};
+
+/**
+ * Validate data against field descriptors.
+ * Returns `[{ path, message, value }]`, empty when the data is valid.
+ */
+const validateData = (fields, data) => {
+  if (!isObject(data)) {
+    return [{ path: '', message: 'must be an object', value: data }];
+  }
+  return checkFields(fields, data, '', []);
+};
+
+module.exports = {
+  applyDefaults,
+  validateData,
+};
@@ -0,0 +1,92 @@
+const { applyDefaults, validateData } = require('./validate');
+
+const fields = {
+  heading: { type: 'string', required: true, maxLength: 10 },
+  alignment: { type: 'string', enum: ['left', 'center'], default: 'center' },
+  columns: { type: 'number', integer: true, min: 1, max: 3 },
+  link: { type: 'url' },
+  email: { type: 'email' },
+  color: { type: 'color' },
+  tags: { type: 'array', maxItems: 2, items: { type: 'string' }, default: () => [] },
+  button: {
+    type: 'object',
+    fields: {
+      label: { type: 'string', required: true },
+      style: { type: 'string', default: 'primary' },
+    },
+  },
+  items: {
+    type: 'array',
+    items: { type: 'object', fields: { title: { type: 'string', required: true }, open: { type: 'boolean', default: false } } },
+  },
+};
+
+describe('applyDefaults', () => {
+  it('fills missing values, including inside objects and list items', () => {
+    const data = { heading: 'Merhaba', button: { label: 'Ara' }, items: [{ title: 'A' }, 'x'] };
+
+    expect(applyDefaults(fields, data)).toEqual({
+      heading: 'Merhaba',
+      alignment: 'center',
+      tags: [],
+      button: { label: 'Ara', style: 'primary' },
+      items: [{ title: 'A', open: false }, 'x'],
+    });
+    expect(data).toEqual({ heading: 'Merhaba', button: { label: 'Ara' }, items: [{ title: 'A' }, 'x'] });
+  });
+
+  it('does not share default objects between results', () => {
+    const first = applyDefaults({ list: { type: 'array', default: [] } }, {});
+    first.list.push(1);
+    expect(applyDefaults({ list: { type: 'array', default: [] } }, {}).list).toEqual([]);
+  });
+});
+
+describe('validateData', () => {
+  it('accepts valid data', () => {
+    expect(
+      validateData(fields, {
+        heading: 'Merhaba',
+        columns: 2,
+        link: '/iletisim',
+        email: 'info@example.com',
+        color: '#ff0000',
+        tags: ['a'],
+        button: { label: 'Ara' },
+        items: [{ title: 'A', open: true }],
+      })
+    ).toEqual([]);
+  });
+
+  it('reports every problem with its path', () => {
+    const errors = validateData(fields, {
+      alignment: 'right',
+      columns: 1.5,
+      link: 'javascript:alert(1)',
+      email: 'info',
+      color: 'red',
+      tags: ['a', 'b', 'c'],
+      button: {},
+      items: [{ title: 'A' }, { open: 'evet' }],
+      extra: true,
+    });
+
+    expect(errors.map(({ path, message }) => `${path} ${message}`)).toEqual([
+      'extra is not a known field',
+      'heading is required',
+      'alignment must be one of: left, center',
+      'columns must be a whole number',
+      'link must be an http(s), mailto:, tel: or site-relative URL',
+      'email must be a valid email address',
+      'color must be a hex color',
+      'tags cannot contain more than 2 items',
+      'button.label is required',
+      'items.1.title is required',
+      'items.1.open must be true or false',
+    ]);
+  });
+
+  it('rejects data that is not an object', () => {
+    expect(validateData(fields, [])).toEqual([{ path: '', message: 'must be an object', value: [] }]);
+  });
+});
@@ -0,0 +1,521 @@
+const Page = require('../models/Page');
+const Post = require('../models/Post');
+const Media = require('../models/Media');
+const SEO = require('../models/SEO');
+const SeoAudit = require('../models/SeoAudit');
+const Settings = require('../models/Settings');
+const authorization = require('./authorization');
+const contentEvents = require('./contentEvents');
+const head = require('./head');
+const robots = require('./robots');
+const sitemap = require('./sitemap');
+const { sectionText } = require('./sections');
+const { stripTags } = require('../utils/html');
+const { pageMediaUrls } = require('../utils/mediaUrls');
+const { slugify } = require('../utils/slug');
+const { fold } = require('../utils/turkish');
+const { siteUrl } = require('../utils/url');
+
+/**
+ * SEO Audit - per-page scores and site-wide issue reports
+ *
+ * Every published page and post is checked against its focus keyword
+ * (SEO.focusKeyword), the length of its title and meta description (as
+ * resolved by services/head), the alt text of the images it shows, titles
+ * and descriptions duplicated elsewhere on the site, its canonical URL and
+ * the length of its content. The score is the weighted share of the
+ * applicable checks that passed.
+ *
+ * Results are stored in SeoAudit whenever they change, which keeps a history
+ * per page for the dashboard (worst pages, score regressions, issue counts).
+ * Once start() is called the whole site is audited again shortly after
+ * content changes: duplicates and canonical targets depend on other pages.
+ */
+
+const config = {
+  minWords: parseInt(process.env.SEO_AUDIT_MIN_WORDS, 10) || 300,
+  delayMs: (parseInt(process.env.SEO_AUDIT_DELAY_SECONDS, 10) || 30) * 1000,
+};
+
+const TITLE_LENGTH = { min: 30, max: 60 };
+const DESCRIPTION_LENGTH = { min: 70, max: 160 };
+// Words of the content searched for the focus keyword when it has no <p>
+const INTRO_WORDS = 60;
+const IMAGE_URL = /\.(?:jpe?g|png|gif|webp|avif|svg)(?:[?#].*)?$/i;
+const WATCHED_MODELS = ['Page', 'Post', 'SEO', 'Media', 'Settings'];
+const EVENTS = ['saved', 'published', 'unpublished', 'removed'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let timer = null;
+let running = false;
+let rerun = false;
+let listening = false;
+
+const contains = (text, keyword) => fold(text).includes(fold(keyword));
+
+const lengthIssue = (label, text, { min, max }) => {
+  if (!text) return [`The ${label} is missing`];
+  if (text.length < min) return [`The ${label} is ${text.length} characters long; aim for at least ${min}`];
+  if (text.length > max) return [`The ${label} is ${text.length} characters long and will be cut off after about ${max}`];
+  return [];
+};
+
+const attribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+  return match ? match[1] ?? match[2] : null;
+};
+
+// First paragraph of the content, else its first words
+const introOf = (html, text) => {
+  const paragraph = [...String(html || '').matchAll(/<p\b[^>]*>([\s\S]*?)<\/p>/gi)]
+    .map(([, inner]) => stripTags(inner))
+    .find(Boolean);
+  return paragraph || text.split(' ').slice(0, INTRO_WORDS).join(' ');
+};
+
+const headingsOf = (html) => [...String(html || '').matchAll(/<h[1-6]\b[^>]*>([\s\S]*?)<\/h[1-6]>/gi)].map(([, inner]) => stripTags(inner));
+
+// Image URL => alt text written in the content (null when it has none)
+const inlineImagesOf = (html) =>
+  new Map(
+    [...String(html || '').matchAll(/<img\b[^>]*>/gi)]
+      .map(([tag]) => [attribute(tag, 'src'), attribute(tag, 'alt')])
+      .filter(([src]) => src)
+  );
+
+/**
+ * Checks in the order they are reported. `run(item, site)` returns the
+ * messages (or `{ message, details }`) of the issues found, an empty array
+ * when the check passed, or undefined when it does not apply.
+ */
+const CHECKS = [
+  {
+    id: 'focus-keyword',
+    weight: 5,
+    severity: 'notice',
+    run: (item) => (item.keyword ? [] : ['No focus keyword is set in the SEO record']),
+  },
+  {
+    id: 'keyword-title',
+    weight: 10,
+    severity: 'warning',
+    run: (item) => item.keyword && (contains(item.title, item.keyword) ? [] : [`The title does not contain "${item.keyword}"`]),
+  },
+  {
+    id: 'keyword-slug',
+    weight: 5,
+    severity: 'notice',
+    run: (item) => item.keyword && (item.path.includes(slugify(item.keyword)) ? [] : [`The URL does not contain "${slugify(item.keyword)}"`]),
+  },
+  {
+    id: 'keyword-intro',
+    weight: 5,
+    severity: 'notice',
+    run: (item) => item.keyword && (contains(item.intro, item.keyword) ? [] : [`The first paragraph does not mention "${item.keyword}"`]),
+  },
+  {
+    id: 'keyword-headings',
+    weight: 5,
+    severity: 'notice',
+    run: (item) =>
+      item.keyword && (item.headings.some((heading) => contains(heading, item.keyword)) ? [] : [`No heading mentions "${item.keyword}"`]),
+  },
+  {
+    id: 'title-length',
+    weight: 10,
+    severity: 'warning',
+    run: (item) => lengthIssue('title', item.headTitle, TITLE_LENGTH),
+  },
+  {
+    id: 'description-length',
+    weight: 10,
+    severity: 'warning',
+    run: (item) => lengthIssue('meta description', item.description, DESCRIPTION_LENGTH),
+  },
+  {
+    id: 'image-alt',
+    weight: 10,
+    severity: 'warning',
+    run: (item) => {
+      if (item.images.length === 0) return undefined;
+      const missing = item.images.filter((image) => !image.alt).map((image) => image.url);
+      return missing.length ? [{ message: `${missing.length} of ${item.images.length} images have no alt text`, details: { urls: missing } }] : [];
+    },
+  },
+  {
+    id: 'duplicate-title',
+    weight: 10,
+    severity: 'warning',
+    run: (item, site) => site.duplicates(item, 'headTitle', 'title'),
+  },
+  {
+    id: 'duplicate-description',
+    weight: 10,
+    severity: 'warning',
+    run: (item, site) => site.duplicates(item, 'description', 'meta description'),
+  },
+  {
+    id: 'canonical',
+    weight: 10,
+    severity: 'error',
+    run: (item, site) => site.canonicalIssues(item),
+  },
+  {
+    id: 'thin-content',
+    weight: 10,
+    severity: 'warning',
+    run: (item) => {
+      // The content of password-protected pages is not what search engines see
+      if (item.passwordProtected) return undefined;
+      return item.wordCount < config.minWords ? [`The content has ${item.wordCount} words; aim for at least ${config.minWords}`] : [];
+    },
+  },
+];
+
+const withoutTrailingSlash = (url) => String(url || '').split(/[?#]/)[0].replace(/(.)\/$/, '$1');
+
+// The SEO record of a document, the same way services/head finds it
+const seoRecordFor = (records, type, doc) => {
+  if (type === 'Post') return records.find((record) => record.pageSlug === doc.slug && record.pageType === 'blog') || null;
+  return (
+    records.find((record) => String(record.associatedPage) === String(doc._id)) ||
+    records.find((record) => record.pageSlug === doc.slug) ||
+    null
+  );
+};
+
+// Images a document shows, with their alt text from the content or Media
+const imagesOf = (type, doc, html, mediaByUrl) => {
+  const inline = inlineImagesOf(html);
+  const urls = new Set([...(type === 'Post' ? [doc.featuredImage] : []), ...pageMediaUrls(doc), ...inline.keys()]);
+
+  return [...urls]
+    .filter((url) => url && IMAGE_URL.test(url))
+    .map((url) => {
+      const media = mediaByUrl.get(url);
+      const alt = (inline.get(url) || '').trim() || (media && media.altText ? media.altText.trim() : '');
+      return { url, alt };
+    });
+};
+
+// Everything the checks need about one page or post
+const itemFor = async (type, doc, { settings, records, mediaByUrl, baseUrl }) => {
+  const seoRecord = seoRecordFor(records, type, doc);
+  const resolved = await head.resolveHead(doc, { model: type, settings, seoRecord });
+  const sections = type === 'Page' ? (doc.sections || []).filter((section) => section.isVisible !== false) : [];
+  const html = [doc.content, ...sections.map((section) => section.content)].filter(Boolean).join('\n');
+  const text = [stripTags(doc.content), ...sections.map(sectionText)].filter(Boolean).join(' ');
+  const path = sitemap.contentPath(type, doc);
+
+  return {
+    type,
+    id: doc._id,
+    key: `${type}:${doc._id}`,
+    path,
+    url: withoutTrailingSlash(`${baseUrl}${path}`),
+    title: (type === 'Page' && doc.seo && doc.seo.metaTitle) || (seoRecord && seoRecord.pageTitle) || doc.title || '',
+    headTitle: resolved.values.title.value || '',
+    description: resolved.values.description.value || '',
+    canonical: withoutTrailingSlash(resolved.values.canonical.value),
+    indexable: robots.directivesFor(type === 'Page' ? doc : null, seoRecord).index,
+    keyword: seoRecord && seoRecord.focusKeyword ? seoRecord.focusKeyword.trim() : '',
+    intro: introOf(doc.content, text),
+    headings: [...headingsOf(html), ...sections.map((section) => section.title).filter(Boolean)],
+    images: imagesOf(type, doc, html, mediaByUrl),
+    passwordProtected: Boolean(doc.visibility && doc.visibility.passwordProtected),
+    wordCount: text ? text.split(' ').length : 0,
+  };
+};
+
+const summaryOf = (item) => ({ type: item.type, id: item.id, title: item.headTitle, url: item.path });
+
+// Site-wide lookups used by the duplicate and canonical checks
+const siteIndex = (items, baseUrl) => {
+  const byUrl = new Map(items.map((item) => [item.url, item]));
+  const groups = {};
+
+  // Only indexable documents compete with each other in search results
+  const groupOf = (field) => {
+    if (!groups[field]) {
+      groups[field] = new Map();
+      items
+        .filter((item) => item.indexable && item.canonical === item.url && item[field])
+        .forEach((item) => {
+          const key = fold(item[field]).trim();
+          groups[field].set(key, [...(groups[field].get(key) || []), item]);
+        });
+    }
+    return groups[field];
+  };
+
+  const duplicates = (item, field, label) => {
+    if (!item.indexable || item.canonical !== item.url || !item[field]) return undefined;
+
+    const others = (groupOf(field).get(fold(item[field]).trim()) || []).filter((other) => other.key !== item.key);
+    return others.length
+      ? [{ message: `The same ${label} is used by ${others.length} other page(s)`, details: { duplicates: others.map(summaryOf) } }]
+      : [];
+  };
+
+  const canonicalIssues = (item) => {
+    if (!item.canonical) return ['The page has no canonical URL'];
+    if (item.canonical === item.url) return [];
+
+    if (!item.canonical.startsWith(`${baseUrl}/`) && item.canonical !== baseUrl) {
+      return [{ message: 'The canonical URL points to another site', details: { canonical: item.canonical } }];
+    }
+
+    const target = byUrl.get(item.canonical);
+    if (!target) {
+      return [{ message: 'The canonical URL is not a published page or post', details: { canonical: item.canonical } }];
+    }
+    if (!target.indexable) {
+      return [{ message: 'The canonical URL points to a page that is not indexed', details: { canonical: item.canonical, target: summaryOf(target) } }];
+    }
+    if (target.canonical !== target.url) {
+      return [
+        {
+          message: 'The canonical URL points to a page that is itself canonicalized elsewhere',
+          details: { canonical: item.canonical, target: summaryOf(target), targetCanonical: target.canonical },
+        },
+      ];
+    }
+    return [];
+  };
+
+  return { duplicates, canonicalIssues };
+};
+
+// Score (0-100) and issues of one item (see itemFor) within its site (see siteIndex)
+const evaluate = (item, site) => {
+  let total = 0;
+  let passed = 0;
+  const issues = [];
+
+  CHECKS.forEach((check) => {
+    const found = check.run(item, site);
+    if (!found) return;
+
+    total += check.weight;
+    if (found.length === 0) passed += check.weight;
+    found.forEach((issue) =>
+      issues.push({ check: check.id, severity: check.severity, ...(typeof issue === 'string' ? { message: issue } : issue) })
+    );
+  });
+
+  return { score: total ? Math.round((passed / total) * 100) : 100, issues };
+};
+
+// Whether two results differ in anything but the time they were found
+const sameResult = (latest, result) =>
+  latest.score === result.score &&
+  JSON.stringify(latest.issues.map(({ check, message }) => [check, message])) ===
+    JSON.stringify(result.issues.map(({ check, message }) => [check, message]));
+
+/**
+ * Audit every published page and post and store the results that changed.
+ * Results of content that is no longer published stop being the latest.
+ * Resolves to `{ audited, changed }`.
+ */
+const runAudit = async () => {
+  const [settings, pages, posts, records, media] = await Promise.all([
+    Settings.getCurrent(),
+    Page.find({ status: 'published' }).select('title slug path excerpt content sections seo media visibility metadata'),
+    Post.find({ status: 'published' }).select('title slug excerpt content featuredImage meta').lean(),
+    SEO.find().lean(),
+    Media.find({ mimeType: /^image\// }).select('url thumbnails altText').lean(),
+  ]);
+
+  const mediaByUrl = new Map();
+  media.forEach((file) => [file.url, ...(file.thumbnails || []).map((thumbnail) => thumbnail.url)].forEach((url) => url && mediaByUrl.set(url, file)));
+
+  const current = settings || {};
+  const baseUrl = withoutTrailingSlash(siteUrl(current));
+  const context = { settings: current, records, mediaByUrl, baseUrl };
+  const items = [
+    ...(await Promise.all(pages.map((page) => itemFor('Page', page, context)))),
+    ...(await Promise.all(posts.map((post) => itemFor('Post', post, context)))),
+  ];
+  const site = siteIndex(items, baseUrl);
+
+  const latest = new Map(
+    (await SeoAudit.find({ isLatest: true }).lean()).map((entry) => [`${entry.targetType}:${entry.target}`, entry])
+  );
+  const now = new Date();
+  const operations = [];
+  let changed = 0;
+
+  items.forEach((item) => {
+    const result = evaluate(item, site);
+    const previous = latest.get(item.key);
+    latest.delete(item.key);
+
+    const fields = { title: item.headTitle, url: item.path, focusKeyword: item.keyword, wordCount: item.wordCount, checkedAt: now };
+    if (previous && sameResult(previous, result)) {
+      operations.push({ updateOne: { filter: { _id: previous._id }, update: { $set: fields } } });
+      return;
+    }
+
+    changed += 1;
+    if (previous) {
+      operations.push({ updateOne: { filter: { _id: previous._id }, update: { $set: { isLatest: false } } } });
+    }
+    operations.push({
+      insertOne: {
+        document: {
+          targetType: item.type,
+          target: item.id,
+          ...fields,
+          ...result,
+          previousScore: previous ? previous.score : null,
+          isLatest: true,
+          auditedAt: now,
+        },
+      },
+    });
+  });
+
+  // What is left was not audited this time: unpublished or deleted
+  latest.forEach((entry) => operations.push({ updateOne: { filter: { _id: entry._id }, update: { $set: { isLatest: false } } } }));
+
+  for (let index = 0; index < operations.length; index += 500) {
+    await SeoAudit.bulkWrite(operations.slice(index, index + 500));
+  }
+
+  return { audited: items.length, changed };
+};
+
+const targetOf = (entry) => ({
+  type: entry.targetType,
+  id: entry.target,
+  title: entry.title,
+  url: entry.url,
+  focusKeyword: entry.focusKeyword,
+});
+
+/**
+ * Dashboard data for editors:
+ *   summary      number of audited pages, average score, open issues by severity
+ *   worst        lowest scores first
+ *   regressions  score drops found in the last `days` days, largest first
+ *   issues       how many pages fail each check
+ */
+const getDashboard = async (actor, { limit = 10, days = 30 } = {}) => {
+  await authorization.authorize(actor, 'seo:read');
+
+  const since = new Date(Date.now() - days * DAY_MS);
+  const [latest, drops] = await Promise.all([
+    SeoAudit.find({ isLatest: true }).sort({ score: 1, title: 1 }).lean(),
+    SeoAudit.find({ auditedAt: { $gte: since }, previousScore: { $ne: null }, $expr: { $lt: ['$score', '$previousScore'] } })
+      .select('targetType target title url focusKeyword score previousScore issues isLatest auditedAt')
+      .lean(),
+  ]);
+
+  const bySeverity = { error: 0, warning: 0, notice: 0 };
+  const byCheck = new Map();
+  latest.forEach((entry) =>
+    entry.issues.forEach((issue) => {
+      bySeverity[issue.severity] += 1;
+      const counted = byCheck.get(issue.check) || { check: issue.check, severity: issue.severity, pages: 0 };
+      counted.pages += 1;
+      byCheck.set(issue.check, counted);
+    })
+  );
+
+  return {
+    summary: {
+      audited: latest.length,
+      averageScore: latest.length ? Math.round(latest.reduce((sum, entry) => sum + entry.score, 0) / latest.length) : null,
+      issues: bySeverity,
+      checkedAt: latest.reduce((last, entry) => (!last || entry.checkedAt > last ? entry.checkedAt : last), null),
+    },
+    worst: latest.slice(0, limit).map((entry) => ({
+      ...targetOf(entry),
+      score: entry.score,
+      previousScore: entry.previousScore,
+      issues: entry.issues,
+      auditedAt: entry.auditedAt,
+    })),
+    regressions: drops
+      .map((entry) => ({
+        ...targetOf(entry),
+        score: entry.score,
+        previousScore: entry.previousScore,
+        change: entry.score - entry.previousScore,
+        issues: entry.issues,
+        current: entry.isLatest,
+        auditedAt: entry.auditedAt,
+      }))
+      .sort((a, b) => a.change - b.change || b.auditedAt - a.auditedAt)
+      .slice(0, limit),
+    issues: CHECKS.filter((check) => byCheck.has(check.id)).map((check) => byCheck.get(check.id)),
+  };
+};
+
+// Audit history of one page or post, oldest first (score charts)
+const getHistory = async (actor, targetType, target) => {
+  await authorization.authorize(actor, 'seo:read');
+  return SeoAudit.find({ targetType, target }).sort({ auditedAt: 1 }).lean();
+};
+
+// One audit shortly after a burst of changes
+const scheduleAudit = () => {
+  if (timer) clearTimeout(timer);
+  timer = setTimeout(tick, config.delayMs);
+  timer.unref();
+};
+
+const tick = async () => {
+  timer = null;
+  if (running) {
+    rerun = true;
+    return;
+  }
+
+  running = true;
+  try {
+    await runAudit();
+  } catch (error) {
+    console.error('SEO audit failed:', error.message);
+  } finally {
+    running = false;
+    if (rerun) {
+      rerun = false;
+      scheduleAudit();
+    }
+  }
+};
+
+const handleChange = ({ model }) => {
+  if (WATCHED_MODELS.includes(model)) scheduleAudit();
+};
+
+// Audit the site shortly after starting and again whenever content changes
+const start = () => {
+  if (listening) return;
+  listening = true;
+  EVENTS.forEach((event) => contentEvents.on(event, handleChange));
+  scheduleAudit();
+};
+
+const stop = () => {
+  if (!listening) return;
+  listening = false;
+  EVENTS.forEach((event) => contentEvents.off(event, handleChange));
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  config,
+  CHECKS,
+  evaluate,
+  siteIndex,
+  runAudit,
+  getDashboard,
+  getHistory,
+  start,
+  stop,
+};
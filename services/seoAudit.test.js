@@ -0,0 +1,130 @@
+const seoAudit = require('./seoAudit');
+
+const BASE_URL = 'https://example.com';
+
+// An item as itemFor() builds it, passing every check
+const item = (fields = {}) => {
+  const path = fields.path || '/kupa-terapisi';
+  return {
+    type: 'Page',
+    id: path,
+    key: `Page:${path}`,
+    path,
+    url: `${BASE_URL}${path}`,
+    canonical: `${BASE_URL}${path}`,
+    title: 'Kupa Terapisi Nedir?',
+    headTitle: `Kupa Terapisi Nedir? | Örnek Klinik ${path}`,
+    description: `Kupa terapisinin faydaları, uygulanışı ve kimlere uygun olduğu hakkında bilmeniz gerekenler ${path}`,
+    indexable: true,
+    keyword: 'kupa terapisi',
+    intro: 'Kupa terapisi, ciltte vakum oluşturan bir tedavi yöntemidir.',
+    headings: ['Kupa terapisinin faydaları'],
+    images: [{ url: '/uploads/kupa.jpg', alt: 'Kupa terapisi uygulaması' }],
+    passwordProtected: false,
+    wordCount: 450,
+    ...fields,
+  };
+};
+
+const evaluateAll = (items) => {
+  const site = seoAudit.siteIndex(items, BASE_URL);
+  return items.map((entry) => seoAudit.evaluate(entry, site));
+};
+
+const checksOf = ({ issues }) => issues.map((issue) => issue.check);
+
+describe('evaluate', () => {
+  it('scores a page that passes every check 100', () => {
+    expect(evaluateAll([item()])).toEqual([{ score: 100, issues: [] }]);
+  });
+
+  it('skips the keyword checks when no focus keyword is set', () => {
+    const [result] = evaluateAll([item({ keyword: '', images: [] })]);
+
+    expect(result.issues).toEqual([{ check: 'focus-keyword', severity: 'notice', message: 'No focus keyword is set in the SEO record' }]);
+    // 60 of the 65 points of the checks that apply
+    expect(result.score).toBe(92);
+  });
+
+  it('matches the focus keyword regardless of Turkish letters and case', () => {
+    const [result] = evaluateAll([
+      item({ keyword: 'Şişli', title: 'SISLI Kliniği', path: '/sisli', intro: 'Şişli şubemiz', headings: ['şişli'] }),
+    ]);
+    expect(result.issues).toEqual([]);
+  });
+
+  it('reports every failed check with its severity', () => {
+    const [result] = evaluateAll([
+      item({
+        title: 'Masaj',
+        path: '/masaj',
+        intro: 'Masaj hakkında',
+        headings: [],
+        headTitle: 'Masaj',
+        description: '',
+        images: [{ url: '/a.jpg', alt: 'A' }, { url: '/b.jpg', alt: '' }],
+        wordCount: 120,
+      }),
+    ]);
+
+    expect(checksOf(result)).toEqual([
+      'keyword-title',
+      'keyword-slug',
+      'keyword-intro',
+      'keyword-headings',
+      'title-length',
+      'description-length',
+      'image-alt',
+      'thin-content',
+    ]);
+    expect(result.issues.find((issue) => issue.check === 'image-alt')).toEqual({
+      check: 'image-alt',
+      severity: 'warning',
+      message: '1 of 2 images have no alt text',
+      details: { urls: ['/b.jpg'] },
+    });
+    // 25 of 90 points; the duplicate description check needs a description
+    expect(result.score).toBe(28);
+  });
+
+  it('does not count words on password-protected pages', () => {
+    const [result] = evaluateAll([item({ passwordProtected: true, wordCount: 0 })]);
+    expect(result).toEqual({ score: 100, issues: [] });
+  });
+});
+
+describe('siteIndex', () => {
+  it('reports titles shared by indexable pages, ignoring case', () => {
+    const first = item({ path: '/a', headTitle: 'Kupa Terapisi Nedir? | Örnek Klinik' });
+    const second = item({ path: '/b', headTitle: 'kupa terapisi nedir? | örnek klinik' });
+    const hidden = item({ path: '/c', headTitle: first.headTitle, indexable: false });
+
+    const [a, b, c] = evaluateAll([first, second, hidden]);
+
+    expect(checksOf(a)).toEqual(['keyword-slug', 'duplicate-title']);
+    expect(a.issues[1].details.duplicates).toEqual([{ type: 'Page', id: '/b', title: second.headTitle, url: '/b' }]);
+    expect(checksOf(b)).toEqual(['keyword-slug', 'duplicate-title']);
+    expect(checksOf(c)).toEqual(['keyword-slug']);
+  });
+
+  it('checks where canonical URLs point', () => {
+    const target = item({ path: '/kupa-terapisi' });
+    const messages = evaluateAll([
+      target,
+      item({ path: '/kupa-terapisi-1', canonical: `${BASE_URL}/kupa-terapisi` }),
+      item({ path: '/kupa-terapisi-2', canonical: 'https://baska.com/kupa-terapisi' }),
+      item({ path: '/kupa-terapisi-3', canonical: `${BASE_URL}/yok` }),
+      item({ path: '/kupa-terapisi-4', canonical: `${BASE_URL}/kupa-terapisi-1` }),
+      item({ path: '/kupa-terapisi-5', canonical: '' }),
+    ]).map(({ issues }) => issues.filter((issue) => issue.check === 'canonical').map((issue) => issue.message));
+
+    expect(messages).toEqual([
+      [],
+      [],
+      ['The canonical URL points to another site'],
+      ['The canonical URL is not a published page or post'],
+      ['The canonical URL points to a page that is itself canonicalized elsewhere'],
+      ['The page has no canonical URL'],
+    ]);
+  });
+});
@@ -0,0 +1,517 @@
+const Page = require('../models/Page');
+const SEO = require('../models/SEO');
+const Settings = require('../models/Settings');
+const authorization = require('./authorization');
+const contentEvents = require('./contentEvents');
+const { HttpError } = require('../utils/errors');
+const { stripTags } = require('../utils/html');
+const { siteUrl } = require('../utils/url');
+
+/**
+ * SEO Records - one write path for the SEO data of CMS pages
+ *
+ * The metadata of a page is stored twice: embedded in Page.seo and in its
+ * SEO record (SEO.associatedPage). The page owns the fields both of them
+ * have (SHARED_FIELDS and the robots directives); the record gets a copy,
+ * and its pageSlug always follows Page.slug. Fields only records have
+ * (focus keyword, Twitter card, breadcrumbs, sitemap settings, ...) are
+ * edited on the record. updatePageSeo() and updateSeoRecord() are the
+ * write path. Once start() is called, pages and records saved elsewhere
+ * are brought back in sync, moving a page rewrites canonical and breadcrumb
+ * URLs that pointed to its old path, and deleting a page deletes its record.
+ *
+ * Records without associatedPage describe routes that are not CMS pages
+ * and are left alone; one with a page's slug is adopted by the page unless
+ * its pageType says it is meant for something else (e.g. a blog route).
+ * pageSlug is unique across records, so a page whose slug another record
+ * already uses is not synced (409) instead of getting a suffixed slug that
+ * never matches the page. Records whose page no longer exists are reported
+ * by findInconsistencies().
+ */
+
+const RECORD_OG_TYPES = SEO.schema.path('ogType').enumValues;
+
+const truncate = (value, length) => (typeof value === 'string' ? value.slice(0, length) : value);
+
+/**
+ * Fields stored on both sides: `page` is the Page.seo field and `record`
+ * the SEO field. `toRecord` / `toPage` adapt a value to the other side's
+ * schema (required fields, lengths, enums).
+ */
+const SHARED_FIELDS = [
+  {
+    page: 'metaTitle',
+    record: 'pageTitle',
+    toRecord: (value, page) => value || page.title,
+    toPage: (value) => truncate(value, 60),
+  },
+  {
+    page: 'metaDescription',
+    record: 'metaDescription',
+    toRecord: (value, page) => truncate(value || page.excerpt || stripTags(page.content) || page.title, 160),
+  },
+  { page: 'metaKeywords', record: 'metaKeywords' },
+  { page: 'canonicalUrl', record: 'canonicalUrl' },
+  { page: 'ogTitle', record: 'ogTitle', toRecord: (value) => truncate(value, 255) },
+  { page: 'ogDescription', record: 'ogDescription', toRecord: (value) => truncate(value, 160) },
+  { page: 'ogImage', record: 'ogImage' },
+  {
+    page: 'ogType',
+    record: 'ogType',
+    toRecord: (value) => (!value || RECORD_OG_TYPES.includes(value) ? value || 'website' : 'other'),
+  },
+  { page: 'structuredData', record: 'schemaMarkup' },
+];
+
+// Page.seo fields editors may change through updatePageSeo()
+const PAGE_FIELDS = [...SHARED_FIELDS.map((field) => field.page), 'metaImage', 'robotsIndex', 'robotsFollow'];
+
+// SEO fields that only records have
+const RECORD_ONLY_FIELDS = [
+  'pageType',
+  'metaAuthor',
+  'twitterCard',
+  'twitterTitle',
+  'twitterDescription',
+  'twitterImage',
+  'alternateLanguages',
+  'includeInSitemap',
+  'sitemapPriority',
+  'sitemapChangefreq',
+  'focusKeyword',
+  'readableSlug',
+  'breadcrumbs',
+];
+
+// Everything a standalone record (one for a route that is not a page) may set
+const STANDALONE_FIELDS = [...RECORD_ONLY_FIELDS, ...SHARED_FIELDS.map((field) => field.record), 'robotsMeta', 'pageSlug'];
+
+// pageType values of records that may describe a CMS page
+const PAGE_RECORD_TYPES = ['homepage', 'service', 'custom', 'other'];
+
+const EVENTS = ['saved', 'removed'];
+
+let listening = false;
+
+const isBlank = (value) =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+const comparable = (value) => {
+  if (isBlank(value)) return null;
+  return JSON.stringify(value && typeof value.toObject === 'function' ? value.toObject() : value);
+};
+
+const same = (a, b) => comparable(a) === comparable(b);
+
+const pick = (data, fields) => Object.fromEntries(fields.filter((field) => data[field] !== undefined).map((field) => [field, data[field]]));
+
+const isLinkedTo = (record, page) => String(record.associatedPage || '') === String(page._id);
+
+const robotsMetaOf = (seo) => `${seo.robotsIndex === false ? 'noindex' : 'index'}, ${seo.robotsFollow === false ? 'nofollow' : 'follow'}`;
+
+// What the page's SEO record should contain, by SEO path
+const recordValuesOf = (page) => {
+  const seo = page.seo || {};
+  const values = Object.fromEntries(
+    SHARED_FIELDS.map((field) => [field.record, field.toRecord ? field.toRecord(seo[field.page], page) : seo[field.page]])
+  );
+
+  return { ...values, robotsMeta: robotsMetaOf(seo), pageSlug: page.slug };
+};
+
+// A record's shared values as Page paths ('seo.metaTitle', ...)
+const pageValuesOf = (record) => {
+  const values = Object.fromEntries(
+    SHARED_FIELDS.map((field) => [`seo.${field.page}`, field.toPage ? field.toPage(record[field.record]) : record[field.record]])
+  );
+  const robotsMeta = record.robotsMeta || '';
+
+  return { ...values, 'seo.robotsIndex': !/\bnoindex\b/.test(robotsMeta), 'seo.robotsFollow': !/\bnofollow\b/.test(robotsMeta) };
+};
+
+// Records linked to the page, then a standalone record for a page with the page's slug
+const candidatesFor = (page) =>
+  SEO.find({
+    $or: [
+      { associatedPage: page._id },
+      { pageSlug: page.slug, associatedPage: null, pageType: { $in: PAGE_RECORD_TYPES } },
+    ],
+  }).sort({ updatedAt: -1 });
+
+// The slug plugin would suffix a taken slug, leaving the record out of step with its page
+const assertSlugAvailable = async (record, slug) => {
+  if (await SEO.exists({ pageSlug: slug, _id: { $ne: record._id } })) {
+    throw new HttpError(409, `Another SEO record already uses the slug "${slug}"`);
+  }
+};
+
+/**
+ * Copy the page's shared SEO values to its record, creating the record (or
+ * adopting a standalone one with the same slug) when it has none.
+ * Resolves to the record.
+ */
+const syncRecordFromPage = async (page) => {
+  const candidates = await candidatesFor(page);
+  const record =
+    candidates.find((candidate) => isLinkedTo(candidate, page)) ||
+    candidates[0] ||
+    new SEO({ pageType: page.metadata && page.metadata.isHomePage ? 'homepage' : 'custom' });
+
+  record.associatedPage = page._id;
+  Object.entries(recordValuesOf(page)).forEach(([path, value]) => {
+    if (!same(record.get(path), value)) record.set(path, value);
+  });
+
+  if (!record.isNew && !record.isModified()) return record;
+  if (record.isModified('pageSlug')) await assertSlugAvailable(record, page.slug);
+
+  // Keeps the 'saved' handler below from copying the values straight back
+  record.$locals.fromPage = true;
+  await record.save();
+  return record;
+};
+
+/**
+ * Copy a linked record's shared values to its page, for records saved
+ * outside this service. Pages are updated directly: this is not an edit of
+ * the page and must not create a revision. Resolves to the page, or null
+ * when it no longer exists.
+ */
+const syncPageFromRecord = async (record) => {
+  const page = await Page.findById(record.associatedPage).select('slug seo').lean();
+  if (!page) return null;
+
+  const $set = Object.fromEntries(
+    Object.entries(pageValuesOf(record)).filter(([path, value]) => !same((page.seo || {})[path.slice('seo.'.length)], value))
+  );
+  if (Object.keys($set).length) {
+    await Page.updateOne({ _id: page._id }, { $set });
+  }
+  return page;
+};
+
+const loadPage = async (pageId) => {
+  const page = await Page.findById(pageId);
+  if (!page) {
+    throw new HttpError(404, 'Page not found');
+  }
+  return page;
+};
+
+const loadRecord = async (recordId) => {
+  const record = await SEO.findById(recordId);
+  if (!record) {
+    throw new HttpError(404, 'SEO record not found');
+  }
+  return record;
+};
+
+/**
+ * Change the SEO fields of a page (PAGE_FIELDS) and its record with them.
+ * Resolves to `{ seo, record }`.
+ */
+const updatePageSeo = async (pageId, changes, actor) => {
+  await authorization.authorize(actor, 'seo:update');
+  const page = await loadPage(pageId);
+
+  Object.entries(pick(changes, PAGE_FIELDS)).forEach(([field, value]) => page.set(`seo.${field}`, value));
+  page.lastModifiedBy = actor._id;
+  page.$locals.actor = actor;
+  // Synced right below; the 'saved' handler must not race to create a record
+  page.$locals.seoSynced = true;
+  await page.save();
+
+  const record = await syncRecordFromPage(page);
+  return { seo: page.seo, record };
+};
+
+/**
+ * Change an SEO record. For a page's record the shared fields are written
+ * to the page (which owns them) and copied back; its slug and page cannot
+ * be changed here since they follow the page.
+ */
+const updateSeoRecord = async (recordId, changes, actor) => {
+  await authorization.authorize(actor, 'seo:update');
+  const record = await loadRecord(recordId);
+
+  if (!record.associatedPage) {
+    record.set(pick(changes, STANDALONE_FIELDS));
+    await record.save();
+    return record;
+  }
+
+  const slugChanged = changes.pageSlug !== undefined && changes.pageSlug !== record.pageSlug;
+  const pageChanged = changes.associatedPage !== undefined && String(changes.associatedPage) !== String(record.associatedPage);
+  if (slugChanged || pageChanged) {
+    throw new HttpError(400, "The slug and page of a page's SEO record follow the page; change the page instead");
+  }
+
+  const own = pick(changes, RECORD_ONLY_FIELDS);
+  if (Object.keys(own).length) {
+    record.set(own);
+    record.$locals.fromPage = true;
+    await record.save();
+  }
+
+  const shared = Object.fromEntries(
+    SHARED_FIELDS.filter((field) => changes[field.record] !== undefined).map((field) => [
+      field.page,
+      field.toPage ? field.toPage(changes[field.record]) : changes[field.record],
+    ])
+  );
+  if (changes.robotsMeta !== undefined) {
+    shared.robotsIndex = !/\bnoindex\b/.test(changes.robotsMeta);
+    shared.robotsFollow = !/\bnofollow\b/.test(changes.robotsMeta);
+  }
+  if (Object.keys(shared).length) {
+    return (await updatePageSeo(record.associatedPage, shared, actor)).record;
+  }
+  return record;
+};
+
+/**
+ * Create an SEO record. Records for routes that are not CMS pages are
+ * stored as they are; for a page (`associatedPage`) its record is created
+ * from the page, then the other fields are applied.
+ */
+const createSeoRecord = async (data, actor) => {
+  await authorization.authorize(actor, 'seo:update');
+
+  if (!data.associatedPage) {
+    return SEO.create(pick(data, STANDALONE_FIELDS));
+  }
+
+  const page = await loadPage(data.associatedPage);
+  if (await SEO.exists({ associatedPage: page._id })) {
+    throw new HttpError(409, 'This page already has an SEO record');
+  }
+
+  const record = await syncRecordFromPage(page);
+  const { pageSlug, associatedPage, ...changes } = data;
+  return updateSeoRecord(record._id, changes, actor);
+};
+
+// Standalone and orphaned records only: a page's record is deleted with the page
+const deleteSeoRecord = async (recordId, actor) => {
+  await authorization.authorize(actor, 'seo:update');
+  const record = await loadRecord(recordId);
+
+  if (record.associatedPage && (await Page.exists({ _id: record.associatedPage }))) {
+    throw new HttpError(409, "A page's SEO record is deleted together with the page");
+  }
+
+  await record.deleteOne();
+  return record;
+};
+
+/**
+ * Point canonical and breadcrumb URLs at a moved page's new path, in pages
+ * and SEO records. `moves` are `{ from, to }` paths without the leading
+ * slash; both '/path' and absolute URLs on the site are rewritten.
+ */
+const rewriteMovedLinks = async (moves) => {
+  const baseUrl = siteUrl((await Settings.getCurrent()) || {});
+  const urls = new Map();
+  moves.forEach(({ from, to }) => {
+    urls.set(`/${from}`, `/${to}`);
+    if (baseUrl) urls.set(`${baseUrl}/${from}`, `${baseUrl}/${to}`);
+  });
+  const previous = [...urls.keys()];
+
+  const [pages, records] = await Promise.all([
+    Page.find({ 'seo.canonicalUrl': { $in: previous } }).select('seo.canonicalUrl').lean(),
+    SEO.find({ $or: [{ canonicalUrl: { $in: previous } }, { 'breadcrumbs.url': { $in: previous } }] }),
+  ]);
+
+  if (pages.length) {
+    await Page.bulkWrite(
+      pages.map((page) => ({
+        updateOne: { filter: { _id: page._id }, update: { $set: { 'seo.canonicalUrl': urls.get(page.seo.canonicalUrl) } } },
+      }))
+    );
+  }
+
+  for (const record of records) {
+    if (urls.has(record.canonicalUrl)) record.canonicalUrl = urls.get(record.canonicalUrl);
+    record.breadcrumbs.forEach((crumb) => {
+      if (urls.has(crumb.url)) crumb.url = urls.get(crumb.url);
+    });
+    // The pages were updated above
+    record.$locals.fromPage = true;
+    await record.save();
+  }
+};
+
+/**
+ * Reconcile a page with its SEO records, for data written before the two
+ * were kept in sync (see migrations/003-sync-page-seo.js). The page's values
+ * win, as they did when rendering; empty Page.seo fields are filled from
+ * the record and noindex/nofollow from either side is kept. Further records
+ * linked to the same page are unlinked, which makes them standalone.
+ * Resolves to `{ record, created, filled, unlinked }`.
+ */
+const reconcilePage = async (page) => {
+  const candidates = await candidatesFor(page);
+  const linked = candidates.filter((candidate) => isLinkedTo(candidate, page));
+  const [record, ...extra] = linked.length ? linked : candidates.slice(0, 1);
+
+  if (extra.length) {
+    await SEO.updateMany({ _id: { $in: extra.map((duplicate) => duplicate._id) } }, { $unset: { associatedPage: 1 } });
+  }
+
+  const $set = {};
+  if (record) {
+    Object.entries(pageValuesOf(record)).forEach(([path, value]) => {
+      const current = page.get(path);
+      if (path === 'seo.robotsIndex' || path === 'seo.robotsFollow') {
+        if (value === false && current !== false) $set[path] = false;
+        return;
+      }
+      // 'website' is the schema default of Page.seo.ogType, not a choice
+      const unset = isBlank(current) || (path === 'seo.ogType' && current === 'website');
+      if (unset && !isBlank(value) && !same(current, value)) $set[path] = value;
+    });
+  }
+
+  if (Object.keys($set).length) {
+    await Page.updateOne({ _id: page._id }, { $set });
+    Object.entries($set).forEach(([path, value]) => page.set(path, value));
+  }
+
+  const synced = await syncRecordFromPage(page);
+  return { record: synced._id, created: !record, filled: Object.keys($set), unlinked: extra.map((duplicate) => duplicate._id) };
+};
+
+/**
+ * Where pages and records disagree (routes guard this with seo:read):
+ *   orphans     records whose associatedPage no longer exists
+ *   duplicates  pages with more than one linked record
+ *   unlinked    pages without a record
+ *   drifted     linked records whose copy of the page's values is outdated
+ */
+const findInconsistencies = async () => {
+  const [pages, records] = await Promise.all([
+    Page.find().select('title slug path excerpt content seo').lean(),
+    SEO.find({ associatedPage: { $ne: null } }).lean(),
+  ]);
+
+  const pagesById = new Map(pages.map((page) => [String(page._id), page]));
+  const recordsByPage = new Map();
+  records.forEach((record) => {
+    const key = String(record.associatedPage);
+    recordsByPage.set(key, [...(recordsByPage.get(key) || []), record]);
+  });
+
+  const describe = (record) => ({ id: record._id, pageSlug: record.pageSlug, pageTitle: record.pageTitle });
+  const drifted = [];
+  recordsByPage.forEach((linked, pageId) => {
+    const page = pagesById.get(pageId);
+    if (!page) return;
+
+    const expected = recordValuesOf(page);
+    linked.forEach((record) => {
+      const fields = Object.keys(expected).filter((path) => !same(record[path], expected[path]));
+      if (fields.length) drifted.push({ record: describe(record), page: { id: page._id, slug: page.slug }, fields });
+    });
+  });
+
+  return {
+    orphans: records.filter((record) => !pagesById.has(String(record.associatedPage))).map(describe),
+    duplicates: [...recordsByPage.entries()]
+      .filter(([pageId, linked]) => linked.length > 1 && pagesById.has(pageId))
+      .map(([pageId, linked]) => ({ page: { id: pagesById.get(pageId)._id, slug: pagesById.get(pageId).slug }, records: linked.map(describe) })),
+    unlinked: pages.filter((page) => !recordsByPage.has(String(page._id))).map((page) => ({ id: page._id, slug: page.slug, path: page.path })),
+    drifted,
+  };
+};
+
+// Delete the given records if their page no longer exists; resolves to the number deleted
+const removeOrphans = async (recordIds, actor) => {
+  await authorization.authorize(actor, 'seo:update');
+
+  const records = await SEO.find({ _id: { $in: recordIds }, associatedPage: { $ne: null } }).select('associatedPage').lean();
+  const existing = new Set((await Page.find({ _id: { $in: records.map((record) => record.associatedPage) } }).distinct('_id')).map(String));
+
+  let removed = 0;
+  for (const record of records.filter((candidate) => !existing.has(String(candidate.associatedPage)))) {
+    if (await SEO.findOneAndDelete({ _id: record._id })) removed += 1;
+  }
+  return removed;
+};
+
+const handlePageSaved = async (page) => {
+  const locals = page.$locals || {};
+  const moves = locals.movedPaths;
+  locals.movedPaths = undefined;
+
+  if (moves && moves.length) {
+    await rewriteMovedLinks(moves);
+  }
+  if (locals.seoSynced) {
+    locals.seoSynced = undefined;
+    return;
+  }
+
+  // The canonical URL of the page itself may have just been rewritten
+  await syncRecordFromPage(moves && moves.length ? (await Page.findById(page._id)) || page : page);
+};
+
+const handleRecordSaved = async (record) => {
+  if ((record.$locals || {}).fromPage || !record.associatedPage) return;
+
+  const page = await syncPageFromRecord(record);
+  if (page && record.pageSlug !== page.slug) {
+    await assertSlugAvailable(record, page.slug);
+    await SEO.updateOne({ _id: record._id }, { $set: { pageSlug: page.slug } });
+  }
+};
+
+const handlePageRemoved = async (page) => {
+  const records = await SEO.find({ associatedPage: page._id }).select('_id').lean();
+  for (const record of records) {
+    await SEO.findOneAndDelete({ _id: record._id });
+  }
+};
+
+const handleEvent = (event) => ({ model, document }) => {
+  if (!document) return;
+
+  let task = null;
+  if (model === 'Page') task = event === 'removed' ? handlePageRemoved(document) : handlePageSaved(document);
+  if (model === 'SEO' && event === 'saved') task = handleRecordSaved(document);
+  if (!task) return;
+
+  task.catch((error) => {
+    console.error(`SEO sync for ${model} ${document._id} failed:`, error.message);
+  });
+};
+
+const handlers = Object.fromEntries(EVENTS.map((event) => [event, handleEvent(event)]));
+
+// Keep pages and their SEO records in sync as either one is saved
+const start = () => {
+  if (listening) return;
+  listening = true;
+  EVENTS.forEach((event) => contentEvents.on(event, handlers[event]));
+};
+
+const stop = () => {
+  if (!listening) return;
+  listening = false;
+  EVENTS.forEach((event) => contentEvents.off(event, handlers[event]));
+};
+
+module.exports = {
+  syncRecordFromPage,
+  syncPageFromRecord,
+  updatePageSeo,
+  updateSeoRecord,
+  createSeoRecord,
+  deleteSeoRecord,
+  rewriteMovedLinks,
+  reconcilePage,
+  findInconsistencies,
+  removeOrphans,
+  start,
+  stop,
+};
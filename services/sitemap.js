@@ -0,0 +1,333 @@
+const Page = require('../models/Page');
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const Media = require('../models/Media');
+const SEO = require('../models/SEO');
+const Settings = require('../models/Settings');
+const cache = require('./cache');
+const contentEvents = require('./contentEvents');
+const robots = require('./robots');
+const { escapeHtml } = require('../utils/html');
+const { pageMediaUrls } = require('../utils/mediaUrls');
+const { siteUrl, absoluteUrl: absolute } = require('../utils/url');
+
+/**
+ * Sitemap - XML sitemaps for search engines
+ *
+ * Builds a sitemap index (Settings.seo.sitemapUrl, '/sitemap.xml' by
+ * default) pointing at separate sitemaps for pages, posts, categories and
+ * images, each split into files of at most SITEMAP_MAX_URLS URLs:
+ *   /sitemap.xml -> /sitemap-pages-1.xml, /sitemap-posts-1.xml, ...
+ * Only published, public content is listed; noindex pages, pages excluded
+ * with SEO.includeInSitemap and password-protected pages are left out.
+ * Page entries use the priority, change frequency and hreflang alternates
+ * of the page's SEO record; image entries are built from approved public
+ * Media the pages show.
+ *
+ * The generated files are kept in the cache (services/cache) and rebuilt
+ * shortly after content changes once start() is called.
+ */
+
+const config = {
+  maxUrls: parseInt(process.env.SITEMAP_MAX_URLS, 10) || 50000,
+  ttl: parseInt(process.env.SITEMAP_TTL, 10) || 24 * 60 * 60,
+  language: process.env.SITE_LANGUAGE || 'tr',
+  postPath: process.env.SITEMAP_POST_PATH || '/blog/:slug',
+  categoryPath: process.env.SITEMAP_CATEGORY_PATH || '/kategori/:slug',
+};
+
+const CACHE_KEY = 'sitemap';
+const CACHE_TAGS = ['page', 'post', 'category', 'media', 'seo', 'settings'];
+const WATCHED_MODELS = ['Page', 'Post', 'Category', 'Media', 'SEO', 'Settings'];
+const REBUILD_DELAY_MS = 5000;
+
+let rebuildTimer = null;
+let listening = false;
+
+const pathFor = (template, doc) => template.replace(':slug', encodeURIComponent(doc.slug));
+
+// Public path of a page, post or category
+const contentPath = (model, doc) => {
+  if (model === 'Post') return pathFor(config.postPath, doc);
+  if (model === 'Category') return pathFor(config.categoryPath, doc);
+  return doc.url;
+};
+
+const isExcluded = (seoRecord) => Boolean(seoRecord && seoRecord.includeInSitemap === false);
+
+const isListedPage = (page, seoRecord) => {
+  const visibility = page.visibility || {};
+  return (
+    page.isPublished &&
+    visibility.isPublic !== false &&
+    !visibility.passwordProtected &&
+    !(visibility.restrictedUsers || []).length &&
+    robots.directivesFor(page, seoRecord).index &&
+    !isExcluded(seoRecord)
+  );
+};
+
+// SEO records by associated page id and by slug
+const loadSeoRecords = async () => {
+  const records = await SEO.find()
+    .select('pageSlug pageType associatedPage robotsMeta includeInSitemap sitemapPriority sitemapChangefreq alternateLanguages')
+    .lean();
+
+  return {
+    byPage: new Map(records.filter((record) => record.associatedPage).map((record) => [String(record.associatedPage), record])),
+    bySlug: new Map(records.map((record) => [record.pageSlug, record])),
+  };
+};
+
+const seoRecordForPage = (records, page) =>
+  records.byPage.get(String(page._id)) || records.bySlug.get(page.slug) || null;
+
+const seoRecordForPost = (records, post) => {
+  const record = records.bySlug.get(post.slug);
+  return record && record.pageType === 'blog' ? record : null;
+};
+
+// hreflang alternates, including the page itself in the site language
+const alternatesFor = (baseUrl, loc, seoRecord) => {
+  const alternates = ((seoRecord && seoRecord.alternateLanguages) || []).filter((alternate) => alternate.language && alternate.url);
+  if (alternates.length === 0) return [];
+
+  return [
+    { language: config.language, url: loc },
+    ...alternates
+      .filter((alternate) => alternate.language !== config.language)
+      .map((alternate) => ({ language: alternate.language, url: absolute(baseUrl, alternate.url) })),
+  ];
+};
+
+// What isListedPage(), the page URL and the entry need; images are loaded separately
+const PAGE_ENTRY_FIELDS = [
+  'slug path status publishedAt updatedAt metadata.isHomePage',
+  'visibility.isPublic visibility.passwordProtected visibility.restrictedUsers',
+  'seo.robotsIndex seo.robotsFollow',
+].join(' ');
+
+const pageEntries = async (baseUrl, records) => {
+  const pages = await Page.find({ status: 'published' }).select(PAGE_ENTRY_FIELDS).sort({ path: 1 });
+
+  return pages
+    .map((page) => ({ page, seoRecord: seoRecordForPage(records, page) }))
+    .filter(({ page, seoRecord }) => isListedPage(page, seoRecord))
+    .map(({ page, seoRecord }) => {
+      const loc = absolute(baseUrl, page.url);
+      return {
+        loc,
+        lastmod: page.updatedAt,
+        changefreq: seoRecord && seoRecord.sitemapChangefreq,
+        priority: seoRecord ? seoRecord.sitemapPriority : page.metadata && page.metadata.isHomePage ? 1 : undefined,
+        alternates: alternatesFor(baseUrl, loc, seoRecord),
+        page,
+      };
+    });
+};
+
+const postEntries = async (baseUrl, records) => {
+  const posts = await Post.find({ status: 'published', publishedAt: { $lte: new Date() } })
+    .select('slug updatedAt publishedAt featuredImage')
+    .sort({ publishedAt: -1 })
+    .lean();
+
+  return posts
+    .map((post) => ({ post, seoRecord: seoRecordForPost(records, post) }))
+    .filter(({ seoRecord }) => robots.directivesFor(null, seoRecord).index && !isExcluded(seoRecord))
+    .map(({ post, seoRecord }) => {
+      const loc = absolute(baseUrl, contentPath('Post', post));
+      return {
+        loc,
+        lastmod: post.updatedAt,
+        changefreq: seoRecord && seoRecord.sitemapChangefreq,
+        priority: seoRecord && seoRecord.sitemapPriority,
+        alternates: alternatesFor(baseUrl, loc, seoRecord),
+        post,
+      };
+    });
+};
+
+const categoryEntries = async (baseUrl) => {
+  const categories = await Category.find({ isActive: true }).select('slug updatedAt').sort({ slug: 1 }).lean();
+  return categories.map((category) => ({
+    loc: absolute(baseUrl, contentPath('Category', category)),
+    lastmod: category.updatedAt,
+  }));
+};
+
+// Listed pages and posts with the approved public images they show
+const imageEntries = async (baseUrl, pages, posts) => {
+  const [images, pageMedia] = await Promise.all([
+    Media.find({ mediaType: 'image', isPublic: true, isActive: true, status: 'approved' }).select('url title altText').lean(),
+    Page.find({ _id: { $in: pages.map((entry) => entry.page._id) } }).select('media content sections').lean(),
+  ]);
+  const byUrl = new Map(images.map((image) => [image.url, image]));
+  const mediaOfPage = new Map(pageMedia.map((page) => [String(page._id), page]));
+
+  const withImages = (loc, lastmod, urls) => ({
+    loc,
+    lastmod,
+    images: [...new Set(urls)].map((url) => byUrl.get(url)).filter(Boolean).map((image) => ({
+      loc: absolute(baseUrl, image.url),
+      title: image.title,
+      caption: image.altText,
+    })),
+  });
+
+  return [
+    ...pages.map((entry) => withImages(entry.loc, entry.lastmod, pageMediaUrls(mediaOfPage.get(String(entry.page._id)) || {}))),
+    ...posts.map((entry) => withImages(entry.loc, entry.lastmod, [entry.post.featuredImage])),
+  ].filter((entry) => entry.images.length);
+};
+
+const urlElement = (entry) => {
+  const lines = [`<loc>${escapeHtml(entry.loc)}</loc>`];
+  if (entry.lastmod) lines.push(`<lastmod>${new Date(entry.lastmod).toISOString()}</lastmod>`);
+  if (entry.changefreq) lines.push(`<changefreq>${entry.changefreq}</changefreq>`);
+  if (entry.priority !== undefined && entry.priority !== null) lines.push(`<priority>${Number(entry.priority).toFixed(1)}</priority>`);
+
+  (entry.alternates || []).forEach((alternate) => {
+    lines.push(`<xhtml:link rel="alternate" hreflang="${escapeHtml(alternate.language)}" href="${escapeHtml(alternate.url)}"/>`);
+  });
+  (entry.images || []).forEach((image) => {
+    lines.push(
+      `<image:image><image:loc>${escapeHtml(image.loc)}</image:loc>${
+        image.title ? `<image:title>${escapeHtml(image.title)}</image:title>` : ''
+      }${image.caption ? `<image:caption>${escapeHtml(image.caption)}</image:caption>` : ''}</image:image>`
+    );
+  });
+
+  return `<url>${lines.join('')}</url>`;
+};
+
+const urlset = (entries) => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
+${entries.map(urlElement).join('\n')}
+</urlset>`;
+
+const sitemapIndex = (sitemaps) => `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${sitemaps
+  .map(({ loc, lastmod }) => `<sitemap><loc>${escapeHtml(loc)}</loc>${lastmod ? `<lastmod>${lastmod.toISOString()}</lastmod>` : ''}</sitemap>`)
+  .join('\n')}
+</sitemapindex>`;
+
+const chunk = (entries, size) => {
+  const chunks = [];
+  for (let index = 0; index < entries.length; index += size) {
+    chunks.push(entries.slice(index, index + size));
+  }
+  return chunks;
+};
+
+const latest = (entries) =>
+  entries.reduce((newest, entry) => (entry.lastmod && (!newest || entry.lastmod > newest) ? new Date(entry.lastmod) : newest), null);
+
+// Directory of the index, e.g. '/sitemap.xml' -> '/', '/seo/sitemap.xml' -> '/seo/'
+const sitemapDirectory = (settings) => {
+  const indexPath = (settings.seo && settings.seo.sitemapUrl) || '/sitemap.xml';
+  return indexPath.slice(0, indexPath.lastIndexOf('/') + 1) || '/';
+};
+
+/**
+ * Build every sitemap file. Resolves to `{ index, files: { name: xml } }`
+ * where `index` is the sitemap index and `files` holds the sitemaps by
+ * file name ('sitemap-pages-1.xml', ...).
+ */
+const generate = async (settings) => {
+  const current = settings || (await Settings.getCurrent()) || {};
+  const baseUrl = siteUrl(current);
+  const records = await loadSeoRecords();
+
+  const pages = await pageEntries(baseUrl, records);
+  const posts = await postEntries(baseUrl, records);
+  const sections = {
+    pages,
+    posts,
+    categories: await categoryEntries(baseUrl),
+    images: await imageEntries(baseUrl, pages, posts),
+  };
+
+  const files = {};
+  const sitemaps = [];
+  Object.entries(sections).forEach(([name, entries]) => {
+    chunk(entries, config.maxUrls).forEach((part, index) => {
+      const fileName = `sitemap-${name}-${index + 1}.xml`;
+      files[fileName] = urlset(part.map(({ page, post, ...entry }) => entry));
+      sitemaps.push({ loc: absolute(baseUrl, `${sitemapDirectory(current)}${fileName}`), lastmod: latest(part) });
+    });
+  });
+
+  return { index: sitemapIndex(sitemaps), files };
+};
+
+// Generated sitemaps from the cache, building them when needed
+const getSitemaps = async (settings) => {
+  const entry = await cache.wrap(CACHE_KEY, { ttl: config.ttl, tags: CACHE_TAGS }, () => generate(settings));
+  return entry.value;
+};
+
+/**
+ * XML for a request path: the index for Settings.seo.sitemapUrl and the
+ * individual sitemaps next to it. Resolves to null for other paths and
+ * when Settings.seo.enableXmlSitemap is off.
+ */
+const getSitemapXml = async (path, settings) => {
+  const current = settings || (await Settings.getCurrent()) || {};
+  const seo = current.seo || {};
+  if (seo.enableXmlSitemap === false) return null;
+
+  const indexPath = seo.sitemapUrl || '/sitemap.xml';
+  const directory = sitemapDirectory(current);
+  if (path !== indexPath && !path.startsWith(`${directory}sitemap-`)) return null;
+
+  const sitemaps = await getSitemaps(current);
+  if (path === indexPath) return sitemaps.index;
+  return sitemaps.files[path.slice(directory.length)] || null;
+};
+
+// Rebuild and store the sitemaps now
+const rebuild = async () => {
+  const versions = await cache.tagVersions(CACHE_TAGS);
+  const sitemaps = await generate();
+  await cache.set(CACHE_KEY, sitemaps, { ttl: config.ttl, tags: CACHE_TAGS, versions });
+  return sitemaps;
+};
+
+const scheduleRebuild = ({ model }) => {
+  if (!WATCHED_MODELS.includes(model)) return;
+
+  clearTimeout(rebuildTimer);
+  rebuildTimer = setTimeout(() => {
+    rebuildTimer = null;
+    rebuild().catch((error) => console.error('Sitemap rebuild failed:', error.message));
+  }, REBUILD_DELAY_MS);
+  rebuildTimer.unref();
+};
+
+const EVENTS = ['saved', 'published', 'unpublished', 'removed'];
+
+// Rebuild the sitemaps a few seconds after content changes
+const start = () => {
+  if (listening) return;
+  EVENTS.forEach((event) => contentEvents.on(event, scheduleRebuild));
+  listening = true;
+};
+
+const stop = () => {
+  EVENTS.forEach((event) => contentEvents.off(event, scheduleRebuild));
+  clearTimeout(rebuildTimer);
+  rebuildTimer = null;
+  listening = false;
+};
+
+module.exports = {
+  config,
+  contentPath,
+  generate,
+  getSitemapXml,
+  rebuild,
+  start,
+  stop,
+};
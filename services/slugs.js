@@ -0,0 +1,46 @@
+const Page = require('../models/Page');
+const SlugHistory = require('../models/SlugHistory');
+const pageTree = require('./pageTree');
+const { slugify, isSlug } = require('../utils/slug');
+
+/**
+ * Slugs - lookups across current and previous slugs
+ *
+ * Slugs are generated and kept unique by the slug plugin
+ * (models/plugins/slug) on Page, Post, Category, Tag and SEO; every
+ * replaced slug (for pages: every replaced path, including those of moved
+ * descendants) stays in SlugHistory so old links can be answered with a
+ * 301 to the current URL.
+ */
+
+/**
+ * Resolve a request path to a page, following renamed and moved pages.
+ * Returns `{ page, redirect }`; `redirect` is true when `path` is an old
+ * path and the page now lives at `page.url`.
+ */
+const resolvePagePath = async (path) => {
+  const page = await pageTree.resolvePath(path);
+  if (page) return { page, redirect: false };
+
+  const normalized = String(path || '').replace(/^\/+|\/+$/g, '').toLowerCase();
+  if (!normalized) return { page: null, redirect: false };
+
+  const entry = await SlugHistory.findOne({ model: 'Page', slug: normalized }).lean();
+  const renamed = entry ? await Page.findById(entry.document) : null;
+  return { page: renamed, redirect: Boolean(renamed) };
+};
+
+// Previous slugs (paths for pages) of a document, newest first
+const historyFor = (modelName, documentId) =>
+  SlugHistory.find({ model: modelName, document: documentId }).sort({ updatedAt: -1 }).lean();
+
+// Remove a previous slug so it no longer redirects
+const forgetSlug = (modelName, slug) => SlugHistory.deleteOne({ model: modelName, slug });
+
+module.exports = {
+  slugify,
+  isSlug,
+  resolvePagePath,
+  historyFor,
+  forgetSlug,
+};
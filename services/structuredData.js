@@ -0,0 +1,282 @@
+const Settings = require('../models/Settings');
+const ratings = require('./ratings');
+const sitemap = require('./sitemap');
+const { stripTags } = require('../utils/html');
+const { siteUrl, absoluteUrl } = require('../utils/url');
+
+/**
+ * Structured Data - schema.org JSON-LD for pages and posts
+ *
+ * The graph is generated from data that is already stored:
+ *   MedicalClinic / MedicalBusiness  Settings.healthcare, contact and socialMedia,
+ *                                    with opening hours from contact.workingHours
+ *   MedicalWebPage (pages)           title, description, rating summary
+ *   Article (posts)                  headline, image, dates, author
+ *   FAQPage                          the page's visible 'faq' sections
+ *   BreadcrumbList                   SEO.breadcrumbs, else the page tree
+ *
+ * Hand-written markup still applies on top: SEO.schemaMarkup and then
+ * Page.seo.structuredData. A hand-written node with the `@id` or `@type` of
+ * a generated node is merged into it (its properties win, `null` removes
+ * one); any other node is added to the graph.
+ */
+
+const config = {
+  language: process.env.SITE_LANGUAGE || 'tr',
+};
+
+// Settings.healthcare.facilityType => schema.org type
+const FACILITY_TYPES = {
+  clinic: 'MedicalClinic',
+  hospital: 'Hospital',
+  laboratory: 'DiagnosticLab',
+  pharmacy: 'Pharmacy',
+};
+const DEFAULT_FACILITY_TYPE = 'MedicalBusiness';
+
+const DAYS = [
+  ['monday', 'Monday'],
+  ['tuesday', 'Tuesday'],
+  ['wednesday', 'Wednesday'],
+  ['thursday', 'Thursday'],
+  ['friday', 'Friday'],
+  ['saturday', 'Saturday'],
+  ['sunday', 'Sunday'],
+];
+
+// Drop empty values so the output only states what is known
+const compact = (node) =>
+  Object.fromEntries(
+    Object.entries(node).filter(
+      ([, value]) => value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)
+    )
+  );
+
+const typesOf = (node) => [].concat(node['@type'] || []);
+
+const postalAddress = (address = {}) => {
+  const node = compact({
+    '@type': 'PostalAddress',
+    streetAddress: address.street,
+    addressLocality: address.city,
+    addressRegion: address.state,
+    postalCode: address.postalCode,
+    addressCountry: address.country,
+  });
+  return Object.keys(node).length > 1 ? node : undefined;
+};
+
+/**
+ * OpeningHoursSpecification entries from contact.workingHours, one per set
+ * of opening and closing times: days with the same hours share an entry.
+ */
+const openingHours = (workingHours = {}) => {
+  const byHours = new Map();
+
+  DAYS.forEach(([key, day]) => {
+    const hours = workingHours[key];
+    if (!hours || !hours.opening || !hours.closing) return;
+
+    const times = `${hours.opening}-${hours.closing}`;
+    if (!byHours.has(times)) {
+      byHours.set(times, { '@type': 'OpeningHoursSpecification', dayOfWeek: [], opens: hours.opening, closes: hours.closing });
+    }
+    byHours.get(times).dayOfWeek.push(day);
+  });
+
+  return [...byHours.values()];
+};
+
+// Social profile URLs; the WhatsApp entry is a phone number, not a profile
+const profileUrls = (socialMedia = {}) =>
+  Object.entries(socialMedia)
+    .filter(([network, url]) => network !== 'whatsapp' && /^https?:\/\//i.test(url || ''))
+    .map(([, url]) => url);
+
+// The clinic itself, from Settings
+const organizationNode = (settings, baseUrl) => {
+  const contact = settings.contact || {};
+  const healthcare = settings.healthcare || {};
+  const seo = settings.seo || {};
+  const design = settings.design || {};
+
+  return compact({
+    '@type': FACILITY_TYPES[healthcare.facilityType] || DEFAULT_FACILITY_TYPE,
+    '@id': `${baseUrl}/#organization`,
+    name: healthcare.facilityName || seo.siteTitle,
+    description: seo.siteDescription,
+    url: `${baseUrl}/`,
+    logo: design.logo && absoluteUrl(baseUrl, design.logo),
+    image: seo.ogImage && absoluteUrl(baseUrl, seo.ogImage),
+    telephone: contact.phone,
+    email: contact.email,
+    address: postalAddress(contact.address),
+    openingHoursSpecification: openingHours(contact.workingHours),
+    sameAs: profileUrls(contact.socialMedia),
+    knowsLanguage: healthcare.languages,
+    availableService: (healthcare.departments || []).map((name) => ({ '@type': 'MedicalTherapy', name })),
+  });
+};
+
+const pageNode = (page, { url, description, organizationId }) =>
+  compact({
+    '@type': 'MedicalWebPage',
+    '@id': `${url}#webpage`,
+    url,
+    name: page.title,
+    description,
+    inLanguage: config.language,
+    datePublished: page.publishedAt,
+    dateModified: page.updatedAt,
+    about: { '@id': organizationId },
+    publisher: { '@id': organizationId },
+    aggregateRating: ratings.toAggregateRating(page),
+  });
+
+const authorName = (author) =>
+  author && typeof author === 'object' && (author.firstName || author.lastName)
+    ? [author.firstName, author.lastName].filter(Boolean).join(' ')
+    : null;
+
+const postNode = (post, { url, description, baseUrl, organizationId }) => {
+  const name = authorName(post.author);
+
+  return compact({
+    '@type': 'Article',
+    '@id': `${url}#article`,
+    mainEntityOfPage: url,
+    headline: post.title,
+    description,
+    image: post.featuredImage && absoluteUrl(baseUrl, post.featuredImage),
+    inLanguage: config.language,
+    datePublished: post.publishedAt,
+    dateModified: post.updatedAt,
+    author: name ? { '@type': 'Person', name } : { '@id': organizationId },
+    publisher: { '@id': organizationId },
+  });
+};
+
+// Questions of the visible 'faq' sections, in section order
+const faqNode = (page, url) => {
+  const questions = [...(page.sections || [])]
+    .filter((section) => section.type === 'faq' && section.isVisible !== false)
+    .sort((a, b) => (a.order || 0) - (b.order || 0))
+    .flatMap((section) => (section.data && section.data.items) || [])
+    .filter((item) => item.question && item.answer)
+    .map((item) => ({
+      '@type': 'Question',
+      name: stripTags(item.question),
+      acceptedAnswer: { '@type': 'Answer', text: stripTags(item.answer) },
+    }));
+
+  return questions.length ? { '@type': 'FAQPage', '@id': `${url}#faq`, mainEntity: questions } : null;
+};
+
+/**
+ * Breadcrumb items `{ name, url }`: the SEO record's breadcrumbs when it
+ * has any, else the home page followed by the page's ancestors and itself.
+ */
+const breadcrumbItems = async (model, doc, { seoRecord, settings, url }) => {
+  const custom = ((seoRecord && seoRecord.breadcrumbs) || []).filter((crumb) => crumb.name && crumb.url);
+  if (custom.length) return custom;
+
+  const home = { name: (settings.seo && settings.seo.siteTitle) || 'Ana Sayfa', url: '/' };
+  if (model === 'Post') return [home, { name: doc.title, url }];
+  if (doc.metadata && doc.metadata.isHomePage) return [];
+
+  const trail = typeof doc.getBreadcrumbs === 'function' ? await doc.getBreadcrumbs() : [{ name: doc.title, url }];
+  return [home, ...trail];
+};
+
+const breadcrumbNode = (items, url, baseUrl) =>
+  items.length > 1
+    ? {
+      '@type': 'BreadcrumbList',
+      '@id': `${url}#breadcrumb`,
+      itemListElement: items.map((item, index) => ({
+        '@type': 'ListItem',
+        position: index + 1,
+        name: item.name,
+        item: absoluteUrl(baseUrl, item.url),
+      })),
+    }
+    : null;
+
+// Hand-written markup as a list of nodes; strings are parsed, invalid JSON is ignored
+const handWrittenNodes = (markup) => {
+  let value = markup;
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (error) {
+      return [];
+    }
+  }
+  if (!value || typeof value !== 'object') return [];
+
+  return (Array.isArray(value) ? value : [value])
+    .flatMap((node) => (node && Array.isArray(node['@graph']) ? node['@graph'] : [node]))
+    .filter((node) => node && typeof node === 'object' && !Array.isArray(node))
+    .map(({ '@context': context, ...node }) => node);
+};
+
+const mergeNode = (generated, override) => {
+  const merged = { ...generated, ...override };
+  Object.keys(merged).forEach((key) => {
+    if (merged[key] === null) delete merged[key];
+  });
+  return merged;
+};
+
+/**
+ * Apply hand-written nodes to the generated graph: merged by `@id`, else by
+ * `@type`, else appended.
+ */
+const applyOverrides = (graph, markup) =>
+  handWrittenNodes(markup).reduce((nodes, override) => {
+    const index = override['@id']
+      ? nodes.findIndex((node) => node['@id'] === override['@id'])
+      : nodes.findIndex((node) => typesOf(override).length && typesOf(override).every((type) => typesOf(node).includes(type)));
+
+    if (index === -1) return [...nodes, override];
+    return nodes.map((node, position) => (position === index ? mergeNode(node, override) : node));
+  }, graph);
+
+/**
+ * JSON-LD of a page or post: `{ '@context', '@graph' }`.
+ * Options: `model` ('Page' or 'Post', default 'Page'), `settings`,
+ * `seoRecord` (its SEO document, if any) and `description` (the resolved
+ * meta description, see services/head).
+ */
+const generate = async (doc, options = {}) => {
+  const model = options.model || 'Page';
+  const settings = options.settings || (await Settings.getCurrent()) || {};
+  const seoRecord = options.seoRecord || null;
+  const baseUrl = siteUrl(settings);
+  const url = absoluteUrl(baseUrl, sitemap.contentPath(model, doc));
+  const organization = organizationNode(settings, baseUrl);
+  const context = { url, baseUrl, description: options.description, organizationId: organization['@id'] };
+
+  const generated = [
+    organization,
+    model === 'Post' ? postNode(doc, context) : pageNode(doc, context),
+    model === 'Page' ? faqNode(doc, url) : null,
+    breadcrumbNode(await breadcrumbItems(model, doc, { seoRecord, settings, url }), url, baseUrl),
+  ].filter(Boolean);
+
+  const ownMarkup = model === 'Page' && doc.seo ? doc.seo.structuredData : null;
+  const graph = applyOverrides(applyOverrides(generated, seoRecord && seoRecord.schemaMarkup), ownMarkup);
+
+  return { '@context': 'https://schema.org', '@graph': graph };
+};
+
+// <script> element for JSON-LD; '<' is escaped so the data cannot end the element
+const renderJsonLd = (data) =>
+  `<script type="application/ld+json">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>`;
+
+module.exports = {
+  openingHours,
+  applyOverrides,
+  generate,
+  renderJsonLd,
+};
@@ -0,0 +1,70 @@
+const structuredData = require('./structuredData');
+
+describe('openingHours', () => {
+  it('groups days with the same hours and skips closed days', () => {
+    const weekday = { opening: '09:00', closing: '18:00' };
+
+    expect(
+      structuredData.openingHours({
+        monday: weekday,
+        tuesday: weekday,
+        wednesday: { opening: '09:00', closing: '13:00' },
+        thursday: weekday,
+        friday: weekday,
+        saturday: { opening: '10:00' },
+        sunday: null,
+      })
+    ).toEqual([
+      { '@type': 'OpeningHoursSpecification', dayOfWeek: ['Monday', 'Tuesday', 'Thursday', 'Friday'], opens: '09:00', closes: '18:00' },
+      { '@type': 'OpeningHoursSpecification', dayOfWeek: ['Wednesday'], opens: '09:00', closes: '13:00' },
+    ]);
+  });
+
+  it('returns no entries without working hours', () => {
+    expect(structuredData.openingHours()).toEqual([]);
+  });
+});
+
+describe('applyOverrides', () => {
+  const graph = [
+    { '@type': 'MedicalClinic', '@id': 'https://example.com/#organization', name: 'Klinik', telephone: '+90 212 000 00 00' },
+    { '@type': 'MedicalWebPage', '@id': 'https://example.com/kupa#webpage', name: 'Kupa' },
+  ];
+
+  it('merges nodes by @id; null removes a property', () => {
+    const result = structuredData.applyOverrides(graph, {
+      '@id': 'https://example.com/#organization',
+      name: 'Merkez Klinik',
+      telephone: null,
+    });
+
+    expect(result[0]).toEqual({ '@type': 'MedicalClinic', '@id': 'https://example.com/#organization', name: 'Merkez Klinik' });
+    expect(result[1]).toBe(graph[1]);
+    expect(graph[0].name).toBe('Klinik');
+  });
+
+  it('merges nodes without an @id by @type and appends the rest', () => {
+    const result = structuredData.applyOverrides(
+      graph,
+      JSON.stringify({
+        '@context': 'https://schema.org',
+        '@graph': [
+          { '@type': 'MedicalWebPage', about: 'Kupa terapisi' },
+          { '@type': 'Physician', name: 'Dr. Ayşe Yılmaz' },
+        ],
+      })
+    );
+
+    expect(result).toEqual([
+      graph[0],
+      { ...graph[1], about: 'Kupa terapisi' },
+      { '@type': 'Physician', name: 'Dr. Ayşe Yılmaz' },
+    ]);
+  });
+
+  it('ignores invalid markup', () => {
+    expect(structuredData.applyOverrides(graph, '{ geçersiz')).toBe(graph);
+    expect(structuredData.applyOverrides(graph, null)).toBe(graph);
+    expect(structuredData.applyOverrides(graph, [null, 'metin', [1]])).toBe(graph);
+  });
+});
@@ -0,0 +1,175 @@
+const User = require('../models/User');
+const contentEvents = require('./contentEvents');
+const authorization = require('./authorization');
+const notifications = require('./notifications');
+const { HttpError } = require('../utils/errors');
+
+/**
+ * Editorial Workflow - review and approval for pages and posts
+ *
+ *   draft ─submit─> in_review ─approve─> approved ─publish/schedule─> published
+ *                       │                   │
+ *                       └─requestChanges────┴──> changes_requested ─submit─> …
+ *
+ * Each action needs a permission on the document's resource ('page' or
+ * 'post', see config/roles.js). Content with `workflow.requiresApproval`
+ * turned off may be published straight from draft. Every transition is
+ * appended to `workflow.history` and the people involved are e-mailed.
+ */
+
+const TRANSITIONS = {
+  submit: { from: ['draft', 'changes_requested'], to: 'in_review', permission: 'update' },
+  withdraw: { from: ['in_review'], to: 'draft', permission: 'update' },
+  requestChanges: { from: ['in_review', 'approved'], to: 'changes_requested', permission: 'review', requiresNotes: true },
+  approve: { from: ['in_review'], to: 'approved', permission: 'review' },
+  publish: { from: ['approved'], directFrom: ['draft', 'changes_requested'], to: 'published', permission: 'publish' },
+  schedule: { from: ['approved'], directFrom: ['draft', 'changes_requested'], to: 'scheduled', permission: 'publish' },
+  unpublish: { from: ['published', 'scheduled'], to: 'draft', permission: 'publish' },
+  archive: { from: ['draft', 'changes_requested', 'approved', 'scheduled', 'published'], to: 'archived', permission: 'publish' },
+  restore: { from: ['archived'], to: 'draft', permission: 'update' },
+};
+
+const resourceOf = (doc) => doc.constructor.modelName.toLowerCase();
+
+const allowedFrom = (doc, transition) =>
+  doc.workflow.requiresApproval ? transition.from : [...transition.from, ...(transition.directFrom || [])];
+
+// Actions `actor` could take on the document right now (for admin UI buttons)
+const availableActions = async (doc, actor) => {
+  const resource = resourceOf(doc);
+  const actions = [];
+
+  for (const [action, transition] of Object.entries(TRANSITIONS)) {
+    if (
+      allowedFrom(doc, transition).includes(doc.status) &&
+      (await authorization.can(actor, `${resource}:${transition.permission}`, doc))
+    ) {
+      actions.push(action);
+    }
+  }
+  return actions;
+};
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+const notificationText = {
+  submit: (doc) => ({
+    subject: `İnceleme bekliyor: ${doc.title}`,
+    text: `"${doc.title}" incelemeye gönderildi.`,
+  }),
+  approve: (doc, notes) => ({
+    subject: `Onaylandı: ${doc.title}`,
+    text: `"${doc.title}" onaylandı ve yayınlanmaya hazır.${notes ? `\n\nNotlar:\n${notes}` : ''}`,
+  }),
+  requestChanges: (doc, notes) => ({
+    subject: `Değişiklik istendi: ${doc.title}`,
+    text: `"${doc.title}" için değişiklik istendi.\n\nNotlar:\n${notes}`,
+  }),
+  publish: (doc) => ({
+    subject: `Yayınlandı: ${doc.title}`,
+    text: `"${doc.title}" yayınlandı.`,
+  }),
+  schedule: (doc) => ({
+    subject: `Yayın planlandı: ${doc.title}`,
+    text: `"${doc.title}" ${doc.scheduledFor.toISOString()} tarihinde yayınlanacak.`,
+  }),
+};
+
+// Reviewers for a submission, authors and submitters for review outcomes
+const recipientsFor = async (doc, action, actor) => {
+  const actorId = actor && String(actor._id);
+  let users;
+
+  if (action === 'submit') {
+    const roles = await authorization.rolesWith(`${resourceOf(doc)}:review`);
+    users = await User.find({ isActive: true, role: { $in: roles } }).select('email');
+  } else {
+    const ids = [idOf(doc.author), idOf(doc.workflow.submittedBy)].filter(Boolean);
+    users = await User.find({ _id: { $in: ids }, isActive: true }).select('email');
+  }
+
+  return users.filter((user) => String(user._id) !== actorId).map((user) => user.email);
+};
+
+const notify = async (doc, action, actor, notes) => {
+  if (!notificationText[action]) return;
+
+  try {
+    const to = await recipientsFor(doc, action, actor);
+    await notifications.sendMail({ to, ...notificationText[action](doc, notes) });
+  } catch (error) {
+    // A failed e-mail must not undo the transition
+    console.error(`Workflow notification failed (${action} ${doc._id}): ${error.message}`);
+  }
+};
+
+/**
+ * Move a page or post through the workflow.
+ * Options: `notes` (reviewer notes; required when requesting changes) and
+ * `scheduledFor` (required for 'schedule'). Resolves to the saved document.
+ */
+const transition = async (doc, action, actor, { notes, scheduledFor } = {}) => {
+  const definition = TRANSITIONS[action];
+  if (!definition) {
+    throw new HttpError(400, `Unknown workflow action: ${action}`);
+  }
+
+  const resource = resourceOf(doc);
+  const from = doc.status;
+  if (!allowedFrom(doc, definition).includes(from)) {
+    throw new HttpError(409, `Cannot ${action} a ${resource} that is ${from}`);
+  }
+
+  await authorization.authorize(actor, `${resource}:${definition.permission}`, doc);
+
+  if (definition.requiresNotes && !notes) {
+    throw new HttpError(400, 'Reviewer notes are required');
+  }
+  if (action === 'schedule' && !scheduledFor) {
+    throw new HttpError(400, 'A publish date is required');
+  }
+
+  const now = new Date();
+  const workflow = doc.workflow;
+
+  if (action === 'submit') {
+    workflow.submittedAt = now;
+    workflow.submittedBy = actor._id;
+  } else if (action === 'approve') {
+    workflow.approvedAt = now;
+    workflow.approvedBy = actor._id;
+    if (notes) workflow.reviewNotes = notes;
+  } else if (action === 'requestChanges') {
+    workflow.approvedAt = null;
+    workflow.approvedBy = null;
+    workflow.reviewNotes = notes;
+  }
+
+  workflow.history.push({ action, from, to: definition.to, actor: actor._id, notes, at: now });
+  doc.$locals.workflowAction = action;
+  if (doc.schema.path('lastModifiedBy')) doc.lastModifiedBy = actor._id;
+
+  if (action === 'publish') {
+    await doc.publish();
+  } else if (action === 'schedule') {
+    await doc.schedule(scheduledFor);
+  } else if (action === 'archive') {
+    await doc.archive();
+  } else {
+    doc.status = definition.to;
+    if (action === 'unpublish') doc.scheduledFor = null;
+    await doc.save();
+    if (action === 'unpublish' && from === 'published') {
+      contentEvents.emit('unpublished', { model: doc.constructor.modelName, document: doc });
+    }
+  }
+
+  await notify(doc, action, actor, notes);
+  return doc;
+};
+
+module.exports = {
+  TRANSITIONS,
+  transition,
+  availableActions,
+};
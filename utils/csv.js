@@ -0,0 +1,70 @@
+/**
+ * Minimal RFC 4180 CSV reading and writing
+ *   parseCsv('a,"b ""c"""\n1,2') -> [['a', 'b "c"'], ['1', '2']]
+ * The delimiter is detected from the first line: spreadsheets with a
+ * Turkish locale save ';' separated files.
+ */
+
+const detectDelimiter = (input) => {
+  const firstLine = input.split(/\r?\n/, 1)[0];
+  return firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+};
+
+const parseCsv = (text, { delimiter } = {}) => {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const separator = delimiter || detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let index = 0; index < input.length; index += 1) {
+    const char = input[index];
+
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[index + 1] === '\n') index += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+};
+
+// Cells starting with = + - @ are prefixed so spreadsheets do not run them as formulas
+const formatCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => rows.map((cells) => cells.map(formatCell).join(',')).join('\r\n');
+
+module.exports = {
+  parseCsv,
+  toCsv,
+};
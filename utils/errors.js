@@ -0,0 +1,16 @@
+/**
+ * Error carrying an HTTP status code, thrown by services and translated to a
+ * response by route handlers and middleware.
+ */
+class HttpError extends Error {
+  constructor(statusCode, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+module.exports = {
+  HttpError,
+};
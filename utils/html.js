@@ -0,0 +1,41 @@
+/**
+ * HTML helpers shared by the renderers
+ */
+
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+// Escape text for use in element content or a quoted attribute value
+const escapeHtml = (value) =>
+  value === undefined || value === null ? '' : String(value).replace(/[&<>"']/g, (char) => ESCAPES[char]);
+
+/**
+ * Build an attribute string from an object. `false`, `null` and `undefined`
+ * values are skipped and `true` renders a bare attribute:
+ *   attrs({ id: 'a', hidden: true, title: null }) => ' id="a" hidden'
+ */
+const attrs = (attributes) =>
+  Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null && value !== false)
+    .map(([name, value]) => (value === true ? ` ${name}` : ` ${name}="${escapeHtml(value)}"`))
+    .join('');
+
+// Remove tags and collapse whitespace, e.g. for excerpts and word counts
+const stripTags = (html) =>
+  String(html || '')
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+module.exports = {
+  escapeHtml,
+  attrs,
+  stripTags,
+};
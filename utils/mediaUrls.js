@@ -0,0 +1,21 @@
+/**
+ * Media file URLs a page refers to: its featured image, gallery and
+ * attachments plus files linked from its content and section data
+ * (anything ending in a known media extension).
+ */
+
+const MEDIA_URL = /["'(]((?:https?:\/\/|\/)[^"'()\s\\]+\.(?:jpe?g|png|gif|webp|avif|svg|pdf|mp4|webm|mp3))/gi;
+
+const pageMediaUrls = (page) => {
+  const media = page.media || {};
+  const urls = new Set([media.featuredImage, ...(media.gallery || []), ...(media.attachments || []).map((file) => file.url)]);
+
+  const embedded = JSON.stringify([page.content, page.sections]);
+  for (const [, url] of embedded.matchAll(MEDIA_URL)) urls.add(url);
+
+  return [...urls].filter(Boolean);
+};
+
+module.exports = {
+  pageMediaUrls,
+};
@@ -0,0 +1,227 @@
+const sanitizeHtmlLibrary = require('sanitize-html');
+
+/**
+ * Sanitizers for editor supplied HTML and CSS
+ *
+ * HTML is reduced to an allowlist of tags, attributes and URL schemes; CSS
+ * is re-serialized rule by rule so only plain selectors and declarations
+ * survive. `scopeCss()` additionally prefixes every selector with a scope
+ * selector so the rules only apply inside one element.
+ */
+
+const HTML_OPTIONS = {
+  allowedTags: [
+    ...sanitizeHtmlLibrary.defaults.allowedTags,
+    'img',
+    'picture',
+    'source',
+    'video',
+    'audio',
+    'iframe',
+  ],
+  allowedAttributes: {
+    '*': ['id', 'class', 'title', 'lang', 'dir', 'role', 'aria-*', 'data-*'],
+    a: ['href', 'name', 'target', 'rel'],
+    img: ['src', 'srcset', 'sizes', 'alt', 'width', 'height', 'loading'],
+    source: ['src', 'srcset', 'type', 'media'],
+    video: ['src', 'poster', 'controls', 'width', 'height', 'muted', 'loop', 'playsinline'],
+    audio: ['src', 'controls'],
+    iframe: ['src', 'width', 'height', 'allow', 'allowfullscreen', 'loading', 'referrerpolicy'],
+    td: ['colspan', 'rowspan'],
+    th: ['colspan', 'rowspan', 'scope'],
+    ol: ['start', 'reversed', 'type'],
+    time: ['datetime'],
+  },
+  allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+  allowedSchemesByTag: { img: ['http', 'https', 'data'] },
+  allowProtocolRelative: false,
+  // Video and map embeds only
+  allowedIframeHostnames: [
+    'www.youtube.com',
+    'www.youtube-nocookie.com',
+    'player.vimeo.com',
+    'www.google.com',
+    'maps.google.com',
+  ],
+  transformTags: {
+    a: (tagName, attributes) => ({
+      tagName,
+      attribs: attributes.target === '_blank' ? { ...attributes, rel: 'noopener noreferrer' } : attributes,
+    }),
+  },
+};
+
+const sanitizeHtml = (html) => (html ? sanitizeHtmlLibrary(String(html), HTML_OPTIONS) : html);
+
+// ---------------------------------------------------------------------------
+// CSS
+
+const FORBIDDEN_PROPERTY = /^(behavior|-moz-binding)$/;
+const FORBIDDEN_VALUE = /expression\s*\(|javascript:|vbscript:|behavior\s*:|-moz-binding|@import|[<>\\]/i;
+const SAFE_URL = /^(https?:\/\/|\/(?!\/)|\.{1,2}\/|data:image\/(png|gif|jpe?g|webp|avif);|#|[\w-])/i;
+const BLOCK_AT_RULES = ['media', 'supports', 'container', 'layer'];
+const KEYFRAMES_AT_RULES = ['keyframes', '-webkit-keyframes'];
+const ROOT_SELECTOR = /^(?:(?::root|html|body)(?![\w-]))\s*/i;
+// Selectors starting with a combinator select next to the scope, not inside it
+const LEADING_COMBINATOR = /^[~+>]/;
+
+// Index of the brace closing the one opened just before `start`
+const findClosingBrace = (text, start) => {
+  let depth = 1;
+  let quote = null;
+
+  for (let index = start; index < text.length; index += 1) {
+    const char = text[index];
+    if (quote) {
+      if (char === '\\') index += 1;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '{') {
+      depth += 1;
+    } else if (char === '}') {
+      depth -= 1;
+      if (depth === 0) return index;
+    }
+  }
+  return text.length;
+};
+
+// Split on `separator` outside of strings and parentheses
+const splitTopLevel = (text, separator) => {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(') {
+      depth += 1;
+    } else if (char === ')') {
+      depth = Math.max(depth - 1, 0);
+    } else if (char === separator && depth === 0) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts;
+};
+
+// Top-level `prelude { body }` blocks; statements such as @import are dropped
+const parseBlocks = (css) => {
+  const blocks = [];
+  let index = 0;
+
+  while (index < css.length) {
+    const open = css.indexOf('{', index);
+    if (open === -1) break;
+
+    const close = findClosingBrace(css, open + 1);
+    const prelude = css.slice(index, open).split(';').pop().trim();
+    blocks.push({ prelude, body: css.slice(open + 1, close) });
+    index = close + 1;
+  }
+  return blocks;
+};
+
+const urlsAreSafe = (value) =>
+  (value.match(/url\(([^)]*)\)/gi) || []).every((url) => {
+    const target = url.slice(4, -1).trim().replace(/^['"]|['"]$/g, '');
+    return SAFE_URL.test(target);
+  });
+
+const cleanDeclarations = (body, { scoped }) =>
+  splitTopLevel(body.replace(/\{[^{}]*\}/g, ''), ';')
+    .map((declaration) => {
+      const colon = declaration.indexOf(':');
+      if (colon === -1) return null;
+
+      const property = declaration.slice(0, colon).trim().toLowerCase();
+      const value = declaration.slice(colon + 1).trim();
+      if (!/^(--[\w-]+|-?[a-z][a-z-]*)$/.test(property) || FORBIDDEN_PROPERTY.test(property) || !value) return null;
+      if (FORBIDDEN_VALUE.test(value) || !urlsAreSafe(value)) return null;
+      // Fixed elements would be drawn over the rest of the page
+      if (scoped && property === 'position' && /fixed/i.test(value)) return null;
+
+      return `${property}:${value}`;
+    })
+    .filter(Boolean)
+    .join(';');
+
+/**
+ * Prefix a selector with `scope`; null when it cannot be confined to it.
+ * A selector already starting with the scope is kept when the scope is
+ * followed by whitespace or nothing ('#section-1 p', not '#section-10'),
+ * unless a sibling combinator comes next ('#section-1 ~ div').
+ */
+const scopeSelector = (selector, scope) => {
+  const trimmed = selector.trim();
+  if (!scope) return trimmed;
+
+  if (trimmed.startsWith(scope)) {
+    const after = trimmed.slice(scope.length);
+    if (/^\s*[~+]/.test(after)) return null;
+    if (!after || /^\s/.test(after)) return trimmed;
+  }
+
+  const rest = trimmed.replace(ROOT_SELECTOR, '');
+  if (LEADING_COMBINATOR.test(rest)) return null;
+  if (rest !== trimmed) {
+    return rest ? `${scope} ${rest}` : scope;
+  }
+  return `${scope} ${trimmed}`;
+};
+
+const serialize = (css, scope) =>
+  parseBlocks(css)
+    .map(({ prelude, body }) => {
+      if (!prelude || /[<>{}\\]/.test(prelude)) return '';
+
+      if (prelude.startsWith('@')) {
+        const name = prelude.slice(1).split(/[\s({]/)[0].toLowerCase();
+        if (BLOCK_AT_RULES.includes(name)) {
+          const inner = serialize(body, scope);
+          return inner ? `${prelude}{${inner}}` : '';
+        }
+        if (KEYFRAMES_AT_RULES.includes(name)) {
+          const frames = parseBlocks(body)
+            .filter((frame) => /^[\w%,\s.]+$/.test(frame.prelude))
+            .map((frame) => `${frame.prelude}{${cleanDeclarations(frame.body, { scoped: false })}}`);
+          return `${prelude}{${frames.join('')}}`;
+        }
+        if (name === 'font-face') {
+          return `@font-face{${cleanDeclarations(body, { scoped: false })}}`;
+        }
+        return '';
+      }
+
+      const selectors = splitTopLevel(prelude, ',').map((selector) => scopeSelector(selector, scope)).filter(Boolean);
+      const declarations = cleanDeclarations(body, { scoped: Boolean(scope) });
+      return selectors.length && declarations ? `${selectors.join(',')}{${declarations}}` : '';
+    })
+    .join('');
+
+const normalizeCss = (css) =>
+  String(css || '')
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/<!--|-->/g, '');
+
+// Clean a stylesheet without changing what it applies to
+const sanitizeCss = (css) => (css ? serialize(normalizeCss(css), null) : css);
+
+// Clean a stylesheet and confine every rule to `scope`, e.g. '#section-42'
+const scopeCss = (css, scope) => (css ? serialize(normalizeCss(css), scope) : '');
+
+module.exports = {
+  sanitizeHtml,
+  sanitizeCss,
+  scopeCss,
+};
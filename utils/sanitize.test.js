@@ -0,0 +1,86 @@
+const { sanitizeHtml, sanitizeCss, scopeCss } = require('./sanitize');
+
+describe('sanitizeHtml', () => {
+  it('removes scripts and event handlers', () => {
+    expect(sanitizeHtml('<p onclick="alert(1)">Merhaba</p><script>alert(1)</script>')).toBe('<p>Merhaba</p>');
+  });
+
+  it('drops javascript: and protocol-relative links', () => {
+    expect(sanitizeHtml('<a href="javascript:alert(1)">a</a>')).toBe('<a>a</a>');
+    expect(sanitizeHtml('<a href="//evil.com">a</a>')).toBe('<a>a</a>');
+  });
+
+  it('adds rel to links opening a new window', () => {
+    expect(sanitizeHtml('<a href="https://example.com" target="_blank">a</a>')).toBe(
+      '<a href="https://example.com" target="_blank" rel="noopener noreferrer">a</a>'
+    );
+  });
+});
+
+describe('sanitizeCss', () => {
+  it('keeps plain rules', () => {
+    expect(sanitizeCss('.kart { color: red; padding: 4px }')).toBe('.kart{color:red;padding:4px}');
+  });
+
+  it('drops dangerous declarations and statements', () => {
+    expect(sanitizeCss('@import url(evil.css); p { width: expression(alert(1)); color: blue }')).toBe('p{color:blue}');
+    expect(sanitizeCss('p { behavior: url(x.htc); background: url("javascript:alert(1)") }')).toBe('');
+  });
+
+  it('allows site and relative URLs but not protocol-relative ones', () => {
+    expect(sanitizeCss('p{background:url("/img/a.png")}')).toBe('p{background:url("/img/a.png")}');
+    expect(sanitizeCss('p{background:url(./a.png)}')).toBe('p{background:url(./a.png)}');
+    expect(sanitizeCss('p{background:url(../a.png)}')).toBe('p{background:url(../a.png)}');
+    expect(sanitizeCss('p{background:url("//evil.com/x")}')).toBe('');
+    expect(sanitizeCss('p{background:url(//evil.com/x)}')).toBe('');
+  });
+
+  it('keeps media queries and keyframes', () => {
+    expect(sanitizeCss('@media (max-width: 600px) { p { margin: 0 } }')).toBe('@media (max-width: 600px){p{margin:0}}');
+    expect(sanitizeCss('@keyframes solma { from { opacity: 1 } to { opacity: 0 } }')).toBe(
+      '@keyframes solma{from{opacity:1}to{opacity:0}}'
+    );
+  });
+});
+
+describe('scopeCss', () => {
+  const scope = '#section-1';
+
+  it('prefixes every selector with the scope', () => {
+    expect(scopeCss('h2, .kart p { color: red }', scope)).toBe('#section-1 h2,#section-1 .kart p{color:red}');
+  });
+
+  it('maps root selectors to the scope', () => {
+    expect(scopeCss('body { color: red } html .a { margin: 0 }', scope)).toBe('#section-1{color:red}#section-1 .a{margin:0}');
+  });
+
+  it('keeps selectors that already start with the scope', () => {
+    expect(scopeCss('#section-1 p { color: red }', scope)).toBe('#section-1 p{color:red}');
+    expect(scopeCss('#section-1 { color: red }', scope)).toBe('#section-1{color:red}');
+  });
+
+  it('does not treat a longer id as the scope', () => {
+    expect(scopeCss('#section-10 { display: none }', scope)).toBe('#section-1 #section-10{display:none}');
+  });
+
+  it('drops selectors that start with a combinator', () => {
+    expect(scopeCss('~ div { display: none }', scope)).toBe('');
+    expect(scopeCss('+ div { display: none }', scope)).toBe('');
+    expect(scopeCss('body ~ div { display: none }', scope)).toBe('');
+    expect(scopeCss('~ div, p { color: red }', scope)).toBe('#section-1 p{color:red}');
+  });
+
+  it('drops sibling combinators right after the scope', () => {
+    expect(scopeCss('#section-1~*{display:none}', scope)).toBe('');
+    expect(scopeCss('#section-1 + section { display: none }', scope)).toBe('');
+  });
+
+  it('scopes rules inside media queries and drops fixed positioning', () => {
+    expect(scopeCss('@media print { p { position: fixed; color: red } }', scope)).toBe('@media print{#section-1 p{color:red}}');
+  });
+
+  it('returns an empty string for empty input', () => {
+    expect(scopeCss('', scope)).toBe('');
+    expect(scopeCss(null, scope)).toBe('');
+  });
+});
@@ -0,0 +1,30 @@
+/**
+ * URL slugs from Turkish (or any) text
+ *   slugify('Kupa Terapisi Nedir?') === 'kupa-terapisi-nedir'
+ *   slugify('Şişli Çocuk Sağlığı') === 'sisli-cocuk-sagligi'
+ */
+
+const TRANSLITERATION = {
+  ç: 'c', ğ: 'g', ı: 'i', ö: 'o', ş: 's', ü: 'u', â: 'a', î: 'i', û: 'u',
+};
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const slugify = (text, { maxLength = 200 } = {}) =>
+  String(text || '')
+    .toLocaleLowerCase('tr')
+    .replace(/[çğıöşüâîû]/g, (char) => TRANSLITERATION[char])
+    .replace(/&/g, ' ve ')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, maxLength)
+    .replace(/-+$/, '');
+
+const isSlug = (value) => SLUG_PATTERN.test(value || '');
+
+module.exports = {
+  slugify,
+  isSlug,
+};
@@ -0,0 +1,34 @@
+const { slugify, isSlug } = require('./slug');
+
+describe('slugify', () => {
+  it('transliterates Turkish letters', () => {
+    expect(slugify('Kupa Terapisi Nedir?')).toBe('kupa-terapisi-nedir');
+    expect(slugify('Şişli Çocuk Sağlığı')).toBe('sisli-cocuk-sagligi');
+    expect(slugify('IĞDIR İLİ')).toBe('igdir-ili');
+  });
+
+  it('spells out ampersands and drops other symbols and diacritics', () => {
+    expect(slugify('Ağrı & Kas Tedavisi')).toBe('agri-ve-kas-tedavisi');
+    expect(slugify('  --Café  Crème!--  ')).toBe('cafe-creme');
+  });
+
+  it('cuts long slugs without leaving a trailing hyphen', () => {
+    expect(slugify('akupunktur tedavisi', { maxLength: 11 })).toBe('akupunktur');
+    expect(slugify('a'.repeat(300))).toHaveLength(200);
+  });
+
+  it('returns an empty string for text without letters or digits', () => {
+    expect(slugify('?!')).toBe('');
+    expect(slugify(null)).toBe('');
+  });
+});
+
+describe('isSlug', () => {
+  it('accepts lowercase words joined by single hyphens', () => {
+    expect(isSlug('kupa-terapisi')).toBe(true);
+    expect(isSlug('Kupa-terapisi')).toBe(false);
+    expect(isSlug('kupa--terapisi')).toBe(false);
+    expect(isSlug('-kupa')).toBe(false);
+    expect(isSlug('')).toBe(false);
+  });
+});
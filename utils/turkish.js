@@ -0,0 +1,60 @@
+/**
+ * Turkish text helpers for matching and search
+ *
+ * `fold()` maps text to a lowercase, diacritic-free form in which the
+ * Turkish dotted and dotless i (İ/i/I/ı) compare equal and ş/ğ/ç/ö/ü match
+ * s/g/c/o/u, e.g. fold('İstanbul Şişli') === fold('istanbul sisli').
+ */
+
+const FOLD_MAP = {
+  İ: 'i', I: 'i', ı: 'i', i: 'i',
+  Ş: 's', ş: 's',
+  Ğ: 'g', ğ: 'g',
+  Ç: 'c', ç: 'c',
+  Ö: 'o', ö: 'o',
+  Ü: 'u', ü: 'u',
+};
+
+// Characters that fold to each letter, for building regular expressions
+const VARIANTS = {
+  i: 'iIİıîÎìíÌÍ',
+  s: 'sSşŞ',
+  g: 'gGğĞ',
+  c: 'cCçÇ',
+  o: 'oOöÖôÔòóÒÓ',
+  u: 'uUüÜûÛùúÙÚ',
+  a: 'aAâÂàáÀÁ',
+  e: 'eEêÊèéÈÉ',
+};
+
+const fold = (text) =>
+  String(text || '')
+    .replace(/[İIıiŞşĞğÇçÖöÜü]/g, (char) => FOLD_MAP[char])
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+const escapeRegExp = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Regular expression source (use with the `i` flag) matching `text`
+ * diacritic-insensitively in unfolded text, e.g. 'sisli' matches 'Şişli'.
+ * The input is escaped, so user input is safe to pass in.
+ */
+const foldedPattern = (text) =>
+  [...fold(text)]
+    .map((char) => (VARIANTS[char] ? `[${VARIANTS[char]}]` : escapeRegExp(char)))
+    .join('');
+
+// Folded words of at least `minLength` characters
+const words = (text, minLength = 2) =>
+  fold(text)
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length >= minLength);
+
+module.exports = {
+  fold,
+  foldedPattern,
+  escapeRegExp,
+  words,
+};
@@ -0,0 +1,37 @@
+const { fold, foldedPattern, words } = require('./turkish');
+
+describe('fold', () => {
+  it('makes the Turkish i variants and diacritics compare equal', () => {
+    expect(fold('İstanbul Şişli')).toBe(fold('istanbul sisli'));
+    expect(fold('IĞDIR')).toBe('igdir');
+    expect(fold('Çocuk Sağlığı Ünitesi')).toBe('cocuk sagligi unitesi');
+    expect(fold('Café Crème')).toBe('cafe creme');
+  });
+
+  it('returns an empty string for missing text', () => {
+    expect(fold(null)).toBe('');
+    expect(fold(undefined)).toBe('');
+  });
+});
+
+describe('foldedPattern', () => {
+  it('matches unfolded text diacritic-insensitively', () => {
+    const pattern = new RegExp(foldedPattern('sisli'), 'i');
+    expect(pattern.test('Şişli')).toBe(true);
+    expect(pattern.test('ŞİŞLİ')).toBe(true);
+    expect(pattern.test('Sisley')).toBe(false);
+  });
+
+  it('escapes user input', () => {
+    const pattern = new RegExp(foldedPattern('a.b(c'), 'i');
+    expect(pattern.test('a.b(c')).toBe(true);
+    expect(pattern.test('axb(c')).toBe(false);
+  });
+});
+
+describe('words', () => {
+  it('splits folded text into words of the minimum length', () => {
+    expect(words('Kupa terapisi: ne, nasıl?')).toEqual(['kupa', 'terapisi', 'ne', 'nasil']);
+    expect(words('Kupa terapisi: ne, nasıl?', 3)).toEqual(['kupa', 'terapisi', 'nasil']);
+  });
+});
@@ -0,0 +1,17 @@
+/**
+ * Absolute URLs of the public site
+ * The site URL is Settings.seo.canonicalUrl, falling back to APP_URL.
+ *   absoluteUrl('https://ornek.com', '/hizmetler') === 'https://ornek.com/hizmetler'
+ */
+
+const siteUrl = (settings = {}) =>
+  String((settings.seo && settings.seo.canonicalUrl) || process.env.APP_URL || '').replace(/\/+$/, '');
+
+// Absolute URLs are returned as they are
+const absoluteUrl = (baseUrl, url) =>
+  /^https?:\/\//i.test(url) ? url : `${baseUrl}${String(url).startsWith('/') ? '' : '/'}${url}`;
+
+module.exports = {
+  siteUrl,
+  absoluteUrl,
+};
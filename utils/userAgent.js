@@ -0,0 +1,25 @@
+/**
+ * User agent helpers
+ */
+
+// Crawlers, monitoring services, link previewers and HTTP libraries
+const BOT_PATTERN = new RegExp(
+  [
+    'bot\\b', 'bot/', 'crawl', 'spider', 'slurp', 'mediapartners', 'facebookexternalhit', 'embedly',
+    'bingpreview', 'whatsapp', 'telegram', 'skypeuripreview', 'lighthouse', 'pagespeed', 'pingdom',
+    'uptimerobot', 'statuscake', 'headlesschrome', 'phantomjs', 'puppeteer', 'playwright', 'selenium',
+    'python-requests', 'python-urllib', 'aiohttp', 'curl/', 'wget', 'go-http-client', 'okhttp',
+    'java/', 'libwww', 'axios/', 'node-fetch', 'httpclient', 'scrapy', 'feedfetcher', 'rss',
+  ].join('|'),
+  'i'
+);
+
+// Missing and implausibly short user agents are treated as bots too
+const isBot = (userAgent) => {
+  const value = String(userAgent || '').trim();
+  return value.length < 10 || BOT_PATTERN.test(value);
+};
+
+module.exports = {
+  isBot,
+};
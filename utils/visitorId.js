@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+/**
+ * Cookieless visitor identifiers
+ *
+ * A visitor is the HMAC of IP address and user agent under a key that
+ * changes every (UTC) day, so the same visitor can be counted once per day
+ * but cannot be followed across days and nothing is stored on the device.
+ * The IP address itself is never stored.
+ *
+ * `scopedVisitorId()` is stable over time but differs per scope (e.g. per
+ * page), for deduplicating things like guest ratings without making
+ * visitors linkable across pages.
+ */
+
+const getSecret = () => {
+  const secret = process.env.ANALYTICS_SALT || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('ANALYTICS_SALT (or JWT_SECRET) is not configured');
+  }
+  return secret;
+};
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+const visitorId = (ip, userAgent, date = new Date()) => {
+  const dailyKey = crypto.createHmac('sha256', getSecret()).update(`visitor:${dayKey(date)}`).digest();
+  return crypto
+    .createHmac('sha256', dailyKey)
+    .update(`${ip || ''}\n${userAgent || ''}`)
+    .digest('base64url')
+    .slice(0, 22);
+};
+
+const scopedVisitorId = (scope, ip, userAgent) =>
+  crypto
+    .createHmac('sha256', getSecret())
+    .update(`scope:${scope}\n${ip || ''}\n${userAgent || ''}`)
+    .digest('base64url')
+    .slice(0, 22);
+
+module.exports = {
+  visitorId,
+  scopedVisitorId,
+};